@@ -0,0 +1,115 @@
+// ============================================
+// Cache benchmark
+// ============================================
+// Measures send_message (until the ack) and typing_start (until the other
+// participant sees user_typing) against a repository where every call
+// takes LATENCY_MS, once with the cache (lib/cache.js) and once without.
+//
+//   npm run bench
+//   LATENCY_MS=20 ROUNDS=100 npm run bench
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createMemoryRepository } = require('../lib/repository');
+const { createFakeSupabase } = require('../test/helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('../test/helpers/socket');
+
+const LATENCY_MS = Number(process.env.LATENCY_MS || 5);
+const ROUNDS = Number(process.env.ROUNDS || 200);
+const CONVERSATION_ID = 'conversation-1';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every repository method waits LATENCY_MS first, like a Supabase round-trip
+function withLatency(repository) {
+  const slow = {};
+  for (const [name, namespace] of Object.entries(repository)) {
+    if (typeof namespace !== 'object' || Array.isArray(namespace)) {
+      slow[name] = namespace;
+      continue;
+    }
+    slow[name] = Object.fromEntries(Object.entries(namespace).map(([method, fn]) => [
+      method,
+      typeof fn === 'function' ? async (...args) => { await sleep(LATENCY_MS); return fn(...args); } : fn,
+    ]));
+  }
+  return slow;
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { p50: at(0.5), p95: at(0.95) };
+}
+
+const elapsedMs = started => Number(process.hrtime.bigint() - started) / 1e6;
+
+async function run(cache) {
+  const cluster = createMemoryCluster();
+  const supabase = createFakeSupabase({
+    users: {
+      'token-lea': { id: 'user-1', email: 'lea@example.com' },
+      'token-tom': { id: 'user-2', email: 'tom@example.com' },
+    },
+  });
+  const repository = withLatency(createMemoryRepository({
+    tables: {
+      user_profiles: [
+        { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+        { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+      ],
+      chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+      chat_participants: [
+        { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+        { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+      ],
+    },
+  }));
+  const server = createChatServer({
+    supabase,
+    repository,
+    cluster,
+    cache,
+    rateLimits: { connection: { capacity: 100, refillPerSecond: 100 }, events: { default: { capacity: 1e6, refillPerSecond: 1e6 } } },
+  });
+  const port = await listen(server.httpServer);
+  const lea = await connect(port, 'token-lea');
+  const tom = await connect(port, 'token-tom');
+  await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+
+  const send = [];
+  const typing = [];
+  for (let i = 0; i < ROUNDS; i++) {
+    let started = process.hrtime.bigint();
+    const ack = await lea.timeout(5000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText: `Message ${i}` });
+    if (!ack.success) throw new Error(`send_message failed: ${JSON.stringify(ack.error)}`);
+    send.push(elapsedMs(started));
+
+    const seen = new Promise(resolve => tom.once('user_typing', resolve));
+    started = process.hrtime.bigint();
+    lea.emit('typing_start', { conversationId: CONVERSATION_ID });
+    await seen;
+    typing.push(elapsedMs(started));
+  }
+
+  [lea, tom].forEach(client => client.disconnect());
+  await server.close();
+  await cluster.close();
+  return { send: summarize(send), typing: summarize(typing) };
+}
+
+async function main() {
+  const uncached = await run(null);
+  const cached = await run(undefined);
+
+  const format = ({ p50, p95 }) => `p50 ${p50.toFixed(1)}ms  p95 ${p95.toFixed(1)}ms`;
+  console.log(`${ROUNDS} rounds, ${LATENCY_MS}ms per repository call`);
+  for (const event of ['send', 'typing']) {
+    console.log(`${event.padEnd(7)} uncached ${format(uncached[event])}   cached ${format(cached[event])}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+// ============================================
+// Attachments
+// ============================================
+// Files never pass through this server. A client asks for an upload with
+// request_upload, gets a signed upload URL for a path inside the
+// conversation's folder of the storage bucket, uploads there, and then sends
+// the message with that path. The server remembers every upload it handed
+// out (in the cluster store), so a message can only reference a file that
+// went through this flow, by the same user, for the same conversation.
+//
+// Messages store the bucket path in file_path. Clients get short-lived
+// signed download URLs in file_url whenever a message goes out.
+
+const crypto = require('crypto');
+const { logger: log } = require('./logger');
+
+const MB = 1024 * 1024;
+
+// Allowed MIME types and maximum size per message type
+const ATTACHMENT_RULES = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'],
+    maxBytes: 10 * MB,
+  },
+  voice: {
+    mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav'],
+    maxBytes: 10 * MB,
+  },
+  file: {
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/plain',
+      'text/csv',
+      'application/zip',
+      'image/jpeg',
+      'image/png',
+    ],
+    maxBytes: 25 * MB,
+  },
+};
+
+const ATTACHMENT_TYPES = Object.keys(ATTACHMENT_RULES);
+
+// Supabase signed upload URLs are valid for two hours
+const UPLOAD_TTL_MS = 2 * 60 * 60 * 1000;
+const DOWNLOAD_URL_TTL_SECONDS = 60 * 60;
+
+const uploadKey = path => `upload:${path}`;
+
+// Returns an error message, or null if the file is allowed
+function checkAttachment(messageType, mimeType, size) {
+  const rules = ATTACHMENT_RULES[messageType];
+  if (!rules) return `${messageType} messages cannot have attachments`;
+  if (!rules.mimeTypes.includes(mimeType)) return `${mimeType} is not allowed for ${messageType} messages`;
+  if (size > rules.maxBytes) return `${messageType} attachments can be at most ${rules.maxBytes / MB} MB`;
+  return null;
+}
+
+// Keeps file names readable but safe to use as one path segment
+function safeFileName(fileName) {
+  const cleaned = fileName.normalize('NFC').replace(/[^\p{L}\p{N}._ -]/gu, '_').trim().slice(0, 100);
+  return cleaned.replace(/^\.+/, '') || 'file';
+}
+
+function createAttachmentStore({ supabase, store, bucket }) {
+  const storage = () => supabase.storage.from(bucket);
+
+  async function checkClaim(issued, { userId, conversationId, messageType, path }) {
+    if (issued.userId !== userId || issued.conversationId !== conversationId) {
+      return { error: 'Unknown or expired upload; request a new one with request_upload' };
+    }
+    if (issued.messageType !== messageType) {
+      return { error: `This upload was requested for a ${issued.messageType} message` };
+    }
+
+    const { data: info, error } = await storage().info(path);
+    if (error || !info) {
+      return { error: 'The file has not been uploaded yet' };
+    }
+
+    const mimeType = info.contentType || issued.mimeType;
+    const problem = checkAttachment(messageType, mimeType, info.size ?? issued.size);
+    if (problem) return { error: problem };
+
+    return { attachment: { path, fileName: issued.fileName, mimeType, size: info.size ?? issued.size } };
+  }
+
+  return {
+    // Returns { upload } with the signed URL, or { error } with a message
+    async requestUpload({ userId, conversationId, messageType, fileName, mimeType, size }) {
+      const problem = checkAttachment(messageType, mimeType, size);
+      if (problem) return { error: problem };
+
+      const path = `${conversationId}/${userId}/${crypto.randomUUID()}/${safeFileName(fileName)}`;
+      const { data, error } = await storage().createSignedUploadUrl(path);
+      if (error || !data) throw error || new Error('No signed upload URL returned');
+
+      const expiresAt = Date.now() + UPLOAD_TTL_MS;
+      await store.set(uploadKey(path), { userId, conversationId, messageType, fileName, mimeType, size, expiresAt }, UPLOAD_TTL_MS);
+      return {
+        upload: {
+          path: data.path,
+          signedUrl: data.signedUrl,
+          token: data.token,
+          expiresAt: new Date(expiresAt).toISOString(),
+        },
+      };
+    },
+
+    // Checks that `path` came from requestUpload for this user, conversation
+    // and message type, and that the uploaded object is within the limits.
+    // Each upload can be used once: it is taken out of the store before the
+    // checks, so two messages can't both claim it, and put back if this
+    // message can't use it. Returns { attachment } or { error }.
+    async claimUpload({ userId, conversationId, messageType, path }) {
+      const issued = await store.getdel(uploadKey(path));
+      if (!issued) {
+        return { error: 'Unknown or expired upload; request a new one with request_upload' };
+      }
+
+      const putBack = async () => {
+        const ttlMs = issued.expiresAt - Date.now();
+        if (ttlMs > 0) await store.set(uploadKey(path), issued, ttlMs);
+      };
+
+      let claimed;
+      try {
+        claimed = await checkClaim(issued, { userId, conversationId, messageType, path });
+      } catch (error) {
+        await putBack();
+        throw error;
+      }
+      if (claimed.error) await putBack();
+      return claimed;
+    },
+
+    // Replaces file_url with a signed download URL on every row that has a
+    // file_path. Rows without one (older messages) are left as they are.
+    async signRows(rows) {
+      const paths = [...new Set(rows.filter(row => row && row.file_path).map(row => row.file_path))];
+      if (paths.length === 0) return rows;
+
+      const { data, error } = await storage().createSignedUrls(paths, DOWNLOAD_URL_TTL_SECONDS);
+      if (error) {
+        log.error('Error signing download URLs', { err: error });
+        return rows;
+      }
+
+      const urls = new Map((data || []).filter(d => d.signedUrl).map(d => [d.path, d.signedUrl]));
+      return rows.map(row => (row && row.file_path ? { ...row, file_url: urls.get(row.file_path) || null } : row));
+    },
+  };
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  createAttachmentStore,
+};
@@ -0,0 +1,70 @@
+// ============================================
+// Audit log
+// ============================================
+// Append-only record of moderation actions, kept in chat_audit_log. Rows are
+// only ever inserted; nothing in the server updates or deletes them.
+//
+// Each row: { action, actor_id, conversation_id, target_id, details, created_at }
+// actor_id is null for actions the server takes on its own (e.g. a poll
+// closing at its deadline).
+
+const { logger: log } = require('./logger');
+
+const AUDIT_ACTIONS = [
+  'message_deleted_for_everyone',
+  'read_only_changed',
+  'poll_created',
+  'poll_closed',
+  'moderation_reviewed',
+  'user_muted',
+  'user_unmuted',
+  'user_kicked',
+  'user_banned',
+  'user_unbanned',
+];
+
+const AUDIT_DEFAULT_LIMIT = 50;
+const AUDIT_MAX_LIMIT = 200;
+
+function createAuditLog({ db }) {
+  return {
+    // Never throws: a failed audit write is logged, the action still stands
+    async record(action, { actorId = null, conversationId = null, targetId = null, details = {} }) {
+      try {
+        await db.audit.insert({
+          action,
+          actor_id: actorId,
+          conversation_id: conversationId,
+          target_id: targetId === null ? null : String(targetId),
+          details,
+        });
+      } catch (error) {
+        log.error(`Error writing audit log entry (${action})`, { err: error });
+      }
+    },
+
+    // Newest first. `before` is the id of the last entry of the previous page.
+    async query({ conversationId, actorId, action, from, to, before, limit } = {}) {
+      const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : AUDIT_DEFAULT_LIMIT, AUDIT_MAX_LIMIT);
+
+      const rows = await db.audit.query({
+        conversationId,
+        actorId,
+        action,
+        from: from ? new Date(from).toISOString() : null,
+        to: to ? new Date(to).toISOString() : null,
+        before,
+        limit: pageSize + 1,
+      });
+      return {
+        entries: rows.slice(0, pageSize),
+        hasMore: rows.length > pageSize,
+      };
+    },
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  createAuditLog,
+};
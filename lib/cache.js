@@ -0,0 +1,285 @@
+// ============================================
+// Participant, conversation and profile cache
+// ============================================
+// send_message and typing_start check membership, the read-only flag and
+// display names on every event. createCachedRepository wraps a repository
+// (lib/repository.js) so those reads are answered from bounded in-process
+// caches that expire:
+//   membership      participants.isMember(conversationId, userId)
+//   conversations   conversations.get(conversationId)
+//   profiles        profiles.get(userId), profiles.getMany(userIds)
+// Writes this server makes through the wrapped repository update or drop the
+// entries they touch. Other instances and the web app write these tables
+// too; their changes arrive over Supabase Realtime (subscribeToChanges) and
+// go through applyChange. The TTL bounds how long a change that never
+// arrives can leave an entry stale.
+
+const { logger: log } = require('./logger');
+
+const DEFAULT_CACHE_LIMITS = {
+  membership: { maxEntries: 50000, ttlMs: 5 * 60 * 1000 },
+  conversations: { maxEntries: 10000, ttlMs: 5 * 60 * 1000 },
+  profiles: { maxEntries: 20000, ttlMs: 10 * 60 * 1000 },
+};
+
+// Tables whose Realtime changes applyChange understands
+const CACHED_TABLES = ['chat_participants', 'chat_conversations', 'user_profiles'];
+
+// A Map kept in least-recently-used order: reads move an entry to the end and
+// the first entry is evicted once there are more than maxEntries. Expired
+// entries are dropped when read. A load takes a token from beginLoad(key);
+// writing that key (or clearing it) withdraws the token, so endLoad tells a
+// load whose answer may predate a write not to cache it. Writes to other keys
+// don't affect it.
+function createLruCache({ maxEntries, ttlMs, now = Date.now }) {
+  const entries = new Map();
+  // key -> token of the newest load in flight
+  const loading = new Map();
+
+  return {
+    get size() {
+      return entries.size;
+    },
+    // undefined on a miss; null is a cached "no such row"
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      loading.delete(key);
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      loading.delete(key);
+      entries.delete(key);
+    },
+    deleteWhere(predicate) {
+      for (const key of loading.keys()) {
+        if (predicate(key)) loading.delete(key);
+      }
+      for (const key of entries.keys()) {
+        if (predicate(key)) entries.delete(key);
+      }
+    },
+    clear() {
+      loading.clear();
+      entries.clear();
+    },
+    beginLoad(key) {
+      const token = {};
+      loading.set(key, token);
+      return token;
+    },
+    // True if nothing wrote `key` since beginLoad handed out `token`
+    endLoad(key, token) {
+      if (loading.get(key) !== token) return false;
+      loading.delete(key);
+      return true;
+    },
+  };
+}
+
+// `lookups` is an optional metrics counter, incremented with { cache, result }
+function createCachedRepository(db, { limits = DEFAULT_CACHE_LIMITS, now = Date.now, lookups = null } = {}) {
+  const caches = {
+    membership: createLruCache({ ...DEFAULT_CACHE_LIMITS.membership, ...limits.membership, now }),
+    conversations: createLruCache({ ...DEFAULT_CACHE_LIMITS.conversations, ...limits.conversations, now }),
+    profiles: createLruCache({ ...DEFAULT_CACHE_LIMITS.profiles, ...limits.profiles, now }),
+  };
+  const { membership, conversations, profiles } = caches;
+
+  const memberKey = (conversationId, userId) => `${conversationId}:${userId}`;
+  const countLookup = (cache, result, by = 1) => {
+    if (lookups && by > 0) lookups.inc({ cache, result }, by);
+  };
+
+  async function load(name, key, fetch) {
+    const cache = caches[name];
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+      countLookup(name, 'hit');
+      return cached;
+    }
+    countLookup(name, 'miss');
+
+    const token = cache.beginLoad(key);
+    let fresh = false;
+    let value;
+    try {
+      value = await fetch();
+    } finally {
+      fresh = cache.endLoad(key, token);
+    }
+    // Unless the key was written while this read was in flight; the answer
+    // may predate that write
+    if (fresh) cache.set(key, value);
+    return value;
+  }
+
+  // Runs a write, then drops `keys` whether it succeeded or not
+  async function invalidating(cache, keys, write) {
+    try {
+      return await write();
+    } finally {
+      keys.forEach(key => cache.delete(key));
+    }
+  }
+
+  // Applies one Supabase Realtime postgres_changes payload. DELETE payloads
+  // only carry the primary key unless the table has REPLICA IDENTITY FULL, so
+  // a participant delete without conversation_id and user_id drops every
+  // membership entry.
+  function applyChange({ table, eventType, new: row = {}, old = {} }) {
+    switch (table) {
+      case 'chat_participants': {
+        const changed = eventType === 'DELETE' ? old : row;
+        if (changed.conversation_id && changed.user_id) {
+          membership.delete(memberKey(changed.conversation_id, changed.user_id));
+        } else {
+          membership.clear();
+        }
+        break;
+      }
+      case 'chat_conversations':
+        if (eventType === 'DELETE') {
+          conversations.delete(old.id);
+          membership.deleteWhere(key => key.startsWith(`${old.id}:`));
+        } else {
+          conversations.set(row.id, row);
+        }
+        break;
+      case 'user_profiles':
+        profiles.delete(eventType === 'DELETE' ? old.user_id : row.user_id);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    ...db,
+    profiles: {
+      ...db.profiles,
+      async get(userId) {
+        return load('profiles', userId, () => db.profiles.get(userId));
+      },
+      async getMany(userIds) {
+        const unique = [...new Set(userIds)];
+        const found = [];
+        const missing = [];
+        for (const userId of unique) {
+          const cached = profiles.get(userId);
+          if (cached === undefined) missing.push(userId);
+          else if (cached) found.push(cached);
+        }
+        countLookup('profiles', 'hit', unique.length - missing.length);
+        countLookup('profiles', 'miss', missing.length);
+        if (missing.length === 0) return found;
+
+        const tokens = missing.map(userId => profiles.beginLoad(userId));
+        let fetched;
+        try {
+          fetched = await db.profiles.getMany(missing);
+        } catch (error) {
+          missing.forEach((userId, i) => profiles.endLoad(userId, tokens[i]));
+          throw error;
+        }
+        const byId = new Map(fetched.map(p => [p.user_id, p]));
+        missing.forEach((userId, i) => {
+          if (profiles.endLoad(userId, tokens[i])) profiles.set(userId, byId.get(userId) || null);
+        });
+        return [...found, ...fetched];
+      },
+    },
+    participants: {
+      ...db.participants,
+      async isMember(conversationId, userId) {
+        return load('membership', memberKey(conversationId, userId), () => db.participants.isMember(conversationId, userId));
+      },
+      async add(conversationId, userIds) {
+        return invalidating(membership, userIds.map(userId => memberKey(conversationId, userId)), () => db.participants.add(conversationId, userIds));
+      },
+      async remove(conversationId, userId) {
+        return invalidating(membership, [memberKey(conversationId, userId)], () => db.participants.remove(conversationId, userId));
+      },
+    },
+    conversations: {
+      ...db.conversations,
+      async get(conversationId) {
+        return load('conversations', conversationId, () => db.conversations.get(conversationId));
+      },
+      // Every message bumps updated_at, so keep the returned row rather than
+      // dropping the entry
+      async update(conversationId, changes) {
+        let updated;
+        try {
+          updated = await db.conversations.update(conversationId, changes);
+        } catch (error) {
+          conversations.delete(conversationId);
+          throw error;
+        }
+        if (updated) conversations.set(conversationId, updated);
+        else conversations.delete(conversationId);
+        return updated;
+      },
+      async delete(conversationId) {
+        try {
+          return await db.conversations.delete(conversationId);
+        } finally {
+          conversations.delete(conversationId);
+          membership.deleteWhere(key => key.startsWith(`${conversationId}:`));
+        }
+      },
+    },
+    cache: {
+      applyChange,
+      clear() {
+        Object.values(caches).forEach(cache => cache.clear());
+      },
+      sizes() {
+        return Object.entries(caches).map(([name, cache]) => ({ name, size: cache.size }));
+      },
+    },
+  };
+}
+
+// Subscribes to Realtime changes of the cached tables (they need to be in the
+// supabase_realtime publication). Changes missed while the channel was down
+// can't be replayed, so the caches are cleared on every status change.
+// Returns a function that unsubscribes.
+function subscribeToChanges(supabase, cache) {
+  const channel = supabase.channel('chat-server-cache');
+  for (const table of CACHED_TABLES) {
+    channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+      try {
+        cache.applyChange(payload);
+      } catch (error) {
+        log.error('Error applying Realtime change to the cache', { err: error, table });
+        cache.clear();
+      }
+    });
+  }
+  channel.subscribe((status, error) => {
+    cache.clear();
+    if (status !== 'SUBSCRIBED') {
+      log.warn(`Cache change feed ${status}`, { err: error });
+    }
+  });
+  return () => supabase.removeChannel(channel);
+}
+
+module.exports = {
+  DEFAULT_CACHE_LIMITS,
+  CACHED_TABLES,
+  createLruCache,
+  createCachedRepository,
+  subscribeToChanges,
+};
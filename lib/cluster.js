@@ -0,0 +1,301 @@
+// ============================================
+// Cluster layer: Socket.IO adapter + shared state
+// ============================================
+// Every server instance gets a cluster object with two parts:
+//   - adapter: passed to io.adapter() so io.to(room).emit() reaches sockets
+//     connected to any instance
+//   - store:   a small async key/value + hash store for state that must be
+//     shared between instances (presence, rate limits, ...), plus three
+//     atomic operations: getdel for single-use entries, hswap for presence
+//     and a token bucket for rate limiting
+//
+// createMemoryCluster() keeps everything in this process. Several server
+// instances created from the same memory cluster behave like a real cluster,
+// which is what the tests use. createRedisCluster() is for production.
+
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { logger: log } = require('./logger');
+
+// ============================================
+// MEMORY CLUSTER
+// ============================================
+// `now` lets tests move the store's time (expiry, token refills) by hand
+function createMemoryStore({ now = Date.now } = {}) {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function write(key, value, ttlMs) {
+    entries.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : null });
+  }
+
+  // Values are copied in and out so callers never share references,
+  // matching what they get back from Redis
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    async get(key) {
+      const value = read(key);
+      return value === undefined ? null : copy(value);
+    },
+    async set(key, value, ttlMs) {
+      write(key, copy(value), ttlMs);
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    // Returns the value (null if there is none) and deletes it in one step
+    async getdel(key) {
+      const value = read(key);
+      entries.delete(key);
+      return value === undefined ? null : copy(value);
+    },
+    async hget(key, field) {
+      const hash = read(key);
+      return hash && field in hash ? copy(hash[field]) : null;
+    },
+    async hset(key, field, value) {
+      const hash = read(key) || {};
+      hash[field] = copy(value);
+      write(key, hash, null);
+    },
+    async hdel(key, field) {
+      const hash = read(key);
+      if (!hash) return;
+      delete hash[field];
+      if (Object.keys(hash).length === 0) entries.delete(key);
+    },
+    async hgetall(key) {
+      return copy(read(key) || {});
+    },
+    // Sets `field` (deletes it when `value` is null) and returns the whole
+    // hash as it was before, in one step
+    async hswap(key, field, value) {
+      const hash = read(key) || {};
+      const before = copy(hash);
+      if (value === null) {
+        delete hash[field];
+      } else {
+        hash[field] = copy(value);
+      }
+      if (Object.keys(hash).length === 0) {
+        entries.delete(key);
+      } else {
+        write(key, hash, null);
+      }
+      return before;
+    },
+    // Takes one token from the bucket at `key`. A full bucket holds
+    // `capacity` tokens and refills at `refillPerSecond`.
+    async consumeToken(key, capacity, refillPerSecond) {
+      const at = now();
+      const bucket = read(key) || { tokens: capacity, updatedAt: at };
+      const refillPerMs = refillPerSecond / 1000;
+
+      let tokens = Math.min(capacity, bucket.tokens + (at - bucket.updatedAt) * refillPerMs);
+      let retryAfterMs = 0;
+      const allowed = tokens >= 1;
+      if (allowed) {
+        tokens -= 1;
+      } else {
+        retryAfterMs = Math.ceil((1 - tokens) / refillPerMs);
+      }
+
+      write(key, { tokens, updatedAt: at }, Math.ceil(capacity / refillPerMs));
+      return { allowed, retryAfterMs };
+    },
+    async close() {
+      entries.clear();
+    },
+  };
+}
+
+// Adapter that speaks the Socket.IO cluster protocol over an in-process bus
+function createBusAdapter(bus) {
+  return class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.channel = `socket.io#${nsp.name}#`;
+      this.responseChannel = `${this.channel}${this.uid}#`;
+
+      this.handleMessage = message => this.onMessage(message);
+      this.handleResponse = response => this.onResponse(response);
+      bus.on(this.channel, this.handleMessage);
+      bus.on(this.responseChannel, this.handleResponse);
+    }
+
+    doPublish(message) {
+      // Deliver asynchronously, like a real network hop
+      setImmediate(() => bus.emit(this.channel, message));
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      setImmediate(() => bus.emit(`${this.channel}${requesterUid}#`, response));
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      bus.off(this.channel, this.handleMessage);
+      bus.off(this.responseChannel, this.handleResponse);
+    }
+  };
+}
+
+function createMemoryCluster({ now = Date.now } = {}) {
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  const store = createMemoryStore({ now });
+  const adapter = createBusAdapter(bus);
+
+  // Each instance calls this; instances from the same cluster share the
+  // bus and the store
+  return {
+    name: 'memory',
+    adapter,
+    store,
+    async close() {
+      bus.removeAllListeners();
+      await store.close();
+    },
+  };
+}
+
+// ============================================
+// REDIS CLUSTER
+// ============================================
+// Same token bucket as the memory store, run as one script so concurrent
+// instances can't both spend the last token
+const CONSUME_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfterMs = math.ceil((1 - tokens) / refillPerMs)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs))
+return { allowed, retryAfterMs }
+`;
+
+// hswap: read the hash and change one field without another instance's
+// change landing in between
+const HSWAP_SCRIPT = `
+local before = redis.call('HGETALL', KEYS[1])
+if ARGV[2] == '1' then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+else
+  redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return before
+`;
+
+function createRedisStore(redis) {
+  const encode = value => JSON.stringify(value);
+  const decode = raw => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+  return {
+    async get(key) {
+      return decode(await redis.get(key));
+    },
+    async set(key, value, ttlMs) {
+      if (ttlMs) {
+        await redis.set(key, encode(value), 'PX', ttlMs);
+      } else {
+        await redis.set(key, encode(value));
+      }
+    },
+    async del(key) {
+      await redis.del(key);
+    },
+    async getdel(key) {
+      return decode(await redis.getdel(key));
+    },
+    async hget(key, field) {
+      return decode(await redis.hget(key, field));
+    },
+    async hset(key, field, value) {
+      await redis.hset(key, field, encode(value));
+    },
+    async hdel(key, field) {
+      await redis.hdel(key, field);
+    },
+    async hgetall(key) {
+      const raw = await redis.hgetall(key);
+      const result = {};
+      for (const [field, value] of Object.entries(raw || {})) {
+        result[field] = decode(value);
+      }
+      return result;
+    },
+    async hswap(key, field, value) {
+      const raw = await redis.eval(HSWAP_SCRIPT, 1, key, field, value === null ? '0' : '1', encode(value));
+      const before = {};
+      for (let i = 0; i < raw.length; i += 2) {
+        before[raw[i]] = decode(raw[i + 1]);
+      }
+      return before;
+    },
+    async consumeToken(key, capacity, refillPerSecond) {
+      const [allowed, retryAfterMs] = await redis.eval(
+        CONSUME_TOKEN_SCRIPT, 1, key, capacity, refillPerSecond / 1000, Date.now()
+      );
+      return { allowed: allowed === 1, retryAfterMs };
+    },
+    async close() {},
+  };
+}
+
+// Works with Redis and Redis-compatible servers (Valkey, KeyDB, Upstash, ...)
+function createRedisCluster(url, { keyPrefix = 'salescrew-chat:' } = {}) {
+  const Redis = require('ioredis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const pubClient = new Redis(url);
+  const subClient = pubClient.duplicate();
+  const dataClient = new Redis(url, { keyPrefix });
+
+  for (const client of [pubClient, subClient, dataClient]) {
+    client.on('error', (error) => {
+      log.error('Redis error', { err: error });
+    });
+  }
+
+  const store = createRedisStore(dataClient);
+
+  return {
+    name: 'redis',
+    adapter: createAdapter(pubClient, subClient, { key: `${keyPrefix}socket.io` }),
+    store,
+    redis: dataClient,
+    async close() {
+      await Promise.allSettled([pubClient.quit(), subClient.quit(), dataClient.quit()]);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryCluster,
+  createRedisCluster,
+};
@@ -0,0 +1,81 @@
+// ============================================
+// Health checks
+// ============================================
+// Backs the HTTP probes:
+//   /livez   the process is up and its event loop turns; never checks
+//            dependencies, so a Supabase outage doesn't get us restarted
+//   /readyz  this instance can serve chat: it isn't draining and Supabase
+//            answers. Also reports event loop lag and connection counts.
+//
+// The Supabase probe is one tiny query. Its result is cached for
+// `probeTtlMs`, and concurrent checks share the probe in progress, so load
+// balancers polling every second don't add database load.
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const PROBE_TTL_MS = 5 * 1000;
+const PROBE_TIMEOUT_MS = 2 * 1000;
+// Event loop lag is measured over windows of this length
+const LAG_WINDOW_MS = 30 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+function createHealthChecks({ supabase, probeTtlMs = PROBE_TTL_MS, probeTimeoutMs = PROBE_TIMEOUT_MS }) {
+  let lastProbe = null;
+  let probing = null;
+
+  const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+  loopDelay.enable();
+  const lagWindow = setInterval(() => loopDelay.reset(), LAG_WINDOW_MS);
+  lagWindow.unref();
+
+  async function probe() {
+    const started = Date.now();
+    let timer;
+    try {
+      const { error } = await Promise.race([
+        supabase.from('user_profiles').select('user_id', { head: true }).limit(1),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve({ error: { message: `No answer within ${probeTimeoutMs}ms` } }), probeTimeoutMs);
+        }),
+      ]);
+      if (error) throw error;
+      return { ok: true, latencyMs: Date.now() - started, checkedAt: new Date().toISOString() };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), error: error.message || String(error) };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    // { ok, latencyMs, checkedAt, error? } from the last probe, running a
+    // new one when that is older than probeTtlMs
+    async checkSupabase() {
+      if (lastProbe && Date.now() - Date.parse(lastProbe.checkedAt) < probeTtlMs) return lastProbe;
+      if (!probing) {
+        probing = probe()
+          .then((result) => { lastProbe = result; return result; })
+          .finally(() => { probing = null; });
+      }
+      return probing;
+    },
+    // Event loop delay in the current window, in milliseconds
+    eventLoopLag() {
+      if (loopDelay.count === 0) return { meanMs: 0, p99Ms: 0, maxMs: 0 };
+      return {
+        meanMs: round(loopDelay.mean / 1e6),
+        p99Ms: round(loopDelay.percentile(99) / 1e6),
+        maxMs: round(loopDelay.max / 1e6),
+      };
+    },
+    stop() {
+      clearInterval(lagWindow);
+      loopDelay.disable();
+    },
+  };
+}
+
+module.exports = {
+  createHealthChecks,
+};
@@ -0,0 +1,80 @@
+// ============================================
+// Structured logging
+// ============================================
+// One JSON object per line: { time, level, msg, ...context, ...fields }.
+// Errors passed as `err` are flattened to { message, code, stack }.
+//
+// Context comes from AsyncLocalStorage: everything logged while a socket
+// event is handled (including awaited Supabase calls) carries that socket's
+// correlationId, socketId and userId plus the event name and its eventId,
+// without passing anything around.
+//
+// LOG_LEVEL sets the minimum level (debug, info, warn, error; default
+// info). warn and error go to stderr, the rest to stdout.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const contextStorage = new AsyncLocalStorage();
+
+// Runs `fn` with `fields` added to the log context of everything it does
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+  return { message: error.message, code: error.code, stack: error.stack };
+}
+
+function defaultWrite(level, line) {
+  if (level === 'warn' || level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+function createLogger({ level = 'info', base = {}, write = defaultWrite } = {}) {
+  const minimum = Math.max(0, LOG_LEVELS.indexOf(level));
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(entryLevel) < minimum) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...base,
+      ...contextStorage.getStore(),
+      ...fields,
+    };
+    if (fields.err !== undefined) entry.err = serializeError(fields.err);
+
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: 'Fields could not be serialized' });
+    }
+    write(entryLevel, line);
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: fields => createLogger({ level, base: { ...base, ...fields }, write }),
+  };
+}
+
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  withLogContext,
+  logger,
+};
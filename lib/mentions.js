@@ -0,0 +1,73 @@
+// ============================================
+// @mentions
+// ============================================
+// Finds mentions in message text. A mention is an "@" at the start of the
+// text or after a non-word character (so e-mail addresses don't count),
+// followed by one of:
+//   - a participant's display name, matched case-insensitively; names may
+//     contain spaces, and the longest matching name wins
+//   - a participant's user ID
+//   - "all" (every participant) or "here" (participants who are online),
+//     only when `allowBroadcast` is set
+// Anything else after an "@" is plain text. Each mention becomes an entity
+// { type: 'user' | 'all' | 'here', userId?, offset, length } with offsets
+// into the original text, so clients can highlight them.
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+const BROADCAST_MENTIONS = ['all', 'here'];
+
+const isWordChar = char => char !== undefined && WORD_CHAR.test(char);
+
+// Returns the candidate text starting at `start` if it stands alone there
+function matchAt(text, start, candidate) {
+  const end = start + candidate.length;
+  if (text.slice(start, end).toLowerCase() !== candidate.toLowerCase()) return false;
+  return !isWordChar(text[end]);
+}
+
+// `participants` is [{ user_id, display_name }]
+function parseMentions(text, participants, { allowBroadcast = false } = {}) {
+  if (typeof text !== 'string' || !text.includes('@')) return [];
+
+  // Longest names first so "Anna Maria" beats "Anna"
+  const byName = participants
+    .filter(p => p.display_name)
+    .sort((a, b) => b.display_name.length - a.display_name.length);
+
+  const entities = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '@' || isWordChar(text[i - 1])) continue;
+    const start = i + 1;
+
+    let entity = null;
+    const named = byName.find(p => matchAt(text, start, p.display_name));
+    if (named) {
+      entity = { type: 'user', userId: named.user_id, length: named.display_name.length };
+    } else {
+      const byId = participants.find(p => matchAt(text, start, String(p.user_id)));
+      if (byId) {
+        entity = { type: 'user', userId: byId.user_id, length: String(byId.user_id).length };
+      } else if (allowBroadcast) {
+        const special = BROADCAST_MENTIONS.find(name => matchAt(text, start, name));
+        if (special) entity = { type: special, length: special.length };
+      }
+    }
+
+    if (entity) {
+      // The length covers the "@" too
+      entities.push({ ...entity, offset: i, length: entity.length + 1 });
+      i += entity.length;
+    }
+  }
+  return entities;
+}
+
+// Distinct user IDs mentioned by name or ID
+function mentionedUserIds(entities) {
+  return [...new Set(entities.filter(e => e.type === 'user').map(e => e.userId))];
+}
+
+module.exports = {
+  parseMentions,
+  mentionedUserIds,
+};
@@ -0,0 +1,156 @@
+// ============================================
+// Prometheus metrics
+// ============================================
+// A small registry rendering the Prometheus text format (0.0.4), served on
+// GET /metrics. Each chat server has its own registry, and every instance
+// reports only what it sees itself; Prometheus sums across instances.
+//
+//   counter(name, help)           .inc(labels, by = 1)
+//   gauge(name, help, collect)    collect() returns a number or
+//                                 [{ labels, value }] at scrape time
+//   histogram(name, help, buckets) .observe(labels, value)
+
+const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label set, in a stable key order
+const seriesKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, by = 1) {
+        const key = seriesKey(labels);
+        const current = series.get(key) || { labels, value: 0 };
+        current.value += by;
+        series.set(key, current);
+      },
+      lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`),
+    });
+  }
+
+  function gauge(name, help, collect) {
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      lines() {
+        const value = collect();
+        const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return samples.map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+      },
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_LATENCY_BUCKETS) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = seriesKey(labels);
+        let current = series.get(key);
+        if (!current) {
+          current = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, current);
+        }
+        buckets.forEach((bound, i) => {
+          if (value <= bound) current.counts[i]++;
+        });
+        current.sum += value;
+        current.count++;
+      },
+      lines: () => [...series.values()].flatMap(s => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`),
+        `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+        `${name}_count${formatLabels(s.labels)} ${s.count}`,
+      ]),
+    });
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    render() {
+      return `${metrics.flatMap(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()]).join('\n')}\n`;
+    },
+  };
+}
+
+// Seconds since `started` (from process.hrtime.bigint())
+const secondsSince = started => Number(process.hrtime.bigint() - started) / 1e9;
+
+// Wraps a Supabase client so every from(table) query is timed when it is
+// awaited. The operation is the first of select/insert/upsert/update/delete
+// called on the builder. "No rows" from .single() (PGRST116) is an answer,
+// not an error.
+function instrumentSupabase(supabase, { queryDuration, queryErrors }) {
+  const OPERATIONS = new Set(['select', 'insert', 'upsert', 'update', 'delete']);
+
+  function wrap(builder, table, operation) {
+    return new Proxy(builder, {
+      get(target, prop) {
+        const value = Reflect.get(target, prop);
+        if (typeof value !== 'function') return value;
+
+        if (prop === 'then') {
+          return (onFulfilled, onRejected) => {
+            const labels = { table, operation: operation || 'select' };
+            const started = process.hrtime.bigint();
+            return value.call(target, (result) => {
+              queryDuration.observe(labels, secondsSince(started));
+              if (result && result.error && result.error.code !== 'PGRST116') queryErrors.inc(labels);
+              return result;
+            }, (error) => {
+              queryDuration.observe(labels, secondsSince(started));
+              queryErrors.inc(labels);
+              throw error;
+            }).then(onFulfilled, onRejected);
+          };
+        }
+
+        return (...args) => {
+          const result = value.apply(target, args);
+          if (result === null || typeof result !== 'object' || typeof result.then !== 'function') return result;
+          return wrap(result, table, operation || (OPERATIONS.has(prop) ? prop : null));
+        };
+      },
+    });
+  }
+
+  return new Proxy(supabase, {
+    get(target, prop) {
+      if (prop === 'from') return table => wrap(target.from(table), table, null);
+      return Reflect.get(target, prop);
+    },
+  });
+}
+
+module.exports = {
+  createMetrics,
+  instrumentSupabase,
+  secondsSince,
+};
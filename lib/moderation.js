@@ -0,0 +1,136 @@
+// ============================================
+// Content moderation
+// ============================================
+// A chain of hooks that every message text passes before it is stored, both
+// on send and on edit. Each hook looks at the text (as left by the hooks
+// before it) and returns null to let it through, or a verdict:
+//   { action: 'reject' | 'mask' | 'flag', ruleId, reason, matches? }
+// - reject stops the chain and the message is refused
+// - mask replaces the `matches` ({ offset, length }) with asterisks, keeping
+//   the text length, and the chain goes on with the masked text
+// - flag lets the message through and sends it to the review queue
+//
+// Hooks are built from rules (usually the MODERATION_RULES env var):
+//   { id, type: 'words', words: ['…'], action }          whole words, any case
+//   { id, type: 'regex', pattern: '…', flags: 'i', action }
+//   { id, type: 'links', allow: ['example.com'], deny: ['bit.ly'], action }
+// Link rules match hosts and their subdomains. With an allow list, every
+// other host is caught; without one, only the deny list is. Custom hooks
+// (sync or async) run after the rules.
+
+const MODERATION_ACTIONS = ['reject', 'mask', 'flag'];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function regexMatches(text, regex) {
+  const matches = [];
+  for (const match of text.matchAll(regex)) {
+    if (match[0].length > 0) matches.push({ offset: match.index, length: match[0].length });
+  }
+  return matches;
+}
+
+function wordsHook(rule) {
+  const alternatives = [...rule.words].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu');
+  return ({ text }) => regexMatches(text, regex);
+}
+
+function regexHook(rule) {
+  const flags = (rule.flags || '').replace('g', '');
+  const regex = new RegExp(rule.pattern, `g${flags}`);
+  return ({ text }) => regexMatches(text, regex);
+}
+
+function hostOf(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function linksHook(rule) {
+  const normalize = hosts => (hosts || []).map(host => host.toLowerCase().replace(/^www\./, ''));
+  const allow = normalize(rule.allow);
+  const deny = normalize(rule.deny);
+  const listed = (host, hosts) => hosts.some(entry => host === entry || host.endsWith(`.${entry}`));
+
+  return ({ text }) => regexMatches(text, LINK_PATTERN).filter(({ offset, length }) => {
+    const host = hostOf(text.slice(offset, offset + length));
+    if (!host) return true;
+    if (listed(host, deny)) return true;
+    return allow.length > 0 && !listed(host, allow);
+  });
+}
+
+const RULE_TYPES = { words: wordsHook, regex: regexHook, links: linksHook };
+
+const DEFAULT_REASONS = {
+  words: 'Contains blocked words',
+  regex: 'Matches a blocked pattern',
+  links: 'Contains a link that is not allowed',
+};
+
+// Throws on rules that cannot work, so bad configuration fails at startup
+function compileRule(rule, index) {
+  const id = rule.id || `${rule.type}-${index + 1}`;
+  if (!RULE_TYPES[rule.type]) throw new Error(`Moderation rule ${id}: unknown type "${rule.type}"`);
+  if (!MODERATION_ACTIONS.includes(rule.action)) throw new Error(`Moderation rule ${id}: unknown action "${rule.action}"`);
+  if (rule.type === 'words' && !(Array.isArray(rule.words) && rule.words.length > 0)) {
+    throw new Error(`Moderation rule ${id}: words must be a non-empty array`);
+  }
+
+  const find = RULE_TYPES[rule.type](rule);
+  const reason = rule.reason || DEFAULT_REASONS[rule.type];
+  return (context) => {
+    const matches = find(context);
+    return matches.length > 0 ? { action: rule.action, ruleId: id, reason, matches } : null;
+  };
+}
+
+function maskMatches(text, matches) {
+  let masked = text;
+  for (const { offset, length } of matches) {
+    masked = masked.slice(0, offset) + '*'.repeat(length) + masked.slice(offset + length);
+  }
+  return masked;
+}
+
+function createModerationPipeline({ rules = [], hooks = [] } = {}) {
+  const chain = [...rules.map(compileRule), ...hooks];
+
+  return {
+    // `context` is { text, userId, conversationId, event }. Returns
+    // { rejected: true, ruleId, reason } or { rejected: false, text, flags }
+    // where `text` is the (possibly masked) text to store and `flags` lists
+    // { ruleId, reason } for the review queue.
+    async moderate(context) {
+      let text = context.text || '';
+      const flags = [];
+
+      for (const hook of chain) {
+        const verdict = await hook({ ...context, text });
+        if (!verdict) continue;
+
+        if (verdict.action === 'reject') {
+          return { rejected: true, ruleId: verdict.ruleId, reason: verdict.reason };
+        }
+        if (verdict.action === 'mask') {
+          text = maskMatches(text, verdict.matches || []);
+        } else if (verdict.action === 'flag') {
+          flags.push({ ruleId: verdict.ruleId, reason: verdict.reason });
+        }
+      }
+
+      return { rejected: false, text, flags };
+    },
+  };
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  createModerationPipeline,
+};
@@ -0,0 +1,96 @@
+// ============================================
+// Presence tracking
+// ============================================
+// A user can be connected from several devices at once (phone + laptop),
+// and those sockets may live on different server instances, so presence is
+// kept per socket in the shared cluster store and folded into one status
+// per user when read.
+//
+// Each socket's entry is { status, expiresAt }. An instance that dies
+// without disconnecting its sockets (crash, SIGKILL) leaves its entries
+// behind, so every instance refreshes the entries of its own sockets every
+// PRESENCE_HEARTBEAT_MS (refresh()) and entries past expiresAt don't count.
+// Expired entries are dropped the next time the user's presence changes.
+
+const PRESENCE_STATUSES = ['online', 'away'];
+const PRESENCE_TTL_MS = 90 * 1000;
+const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+
+const socketsKey = userId => `presence:${userId}`;
+const LAST_SEEN_KEY = 'presence:last_seen';
+
+const isLive = (entry, now) => Boolean(entry && typeof entry === 'object' && entry.expiresAt > now);
+
+function foldStatus(sockets, now) {
+  const statuses = Object.values(sockets).filter(entry => isLive(entry, now)).map(entry => entry.status);
+  if (statuses.length === 0) return 'offline';
+  return statuses.includes('online') ? 'online' : 'away';
+}
+
+function createPresenceTracker(store, { now = Date.now, ttlMs = PRESENCE_TTL_MS } = {}) {
+  async function get(userId) {
+    const [sockets, lastSeenAt] = await Promise.all([
+      store.hgetall(socketsKey(userId)),
+      store.hget(LAST_SEEN_KEY, userId),
+    ]);
+    return {
+      userId,
+      status: foldStatus(sockets, now()),
+      last_seen_at: lastSeenAt || null,
+    };
+  }
+
+  async function getMany(userIds) {
+    return Promise.all(userIds.map(get));
+  }
+
+  // Updates one socket's presence and returns the user's new presence if the
+  // aggregated status changed, or null if nothing visible changed. The
+  // socket's entry is swapped in one store operation, so two sockets of the
+  // same user changing at once can't both miss (or both announce) a change.
+  async function update(userId, socketId, status) {
+    const at = now();
+    const entry = status === 'offline' ? null : { status, expiresAt: at + ttlMs };
+    const sockets = await store.hswap(socketsKey(userId), socketId, entry);
+    const before = foldStatus(sockets, at);
+    if (entry) {
+      sockets[socketId] = entry;
+    } else {
+      delete sockets[socketId];
+    }
+    const after = foldStatus(sockets, at);
+
+    const lastSeenAt = new Date(at).toISOString();
+    const expired = Object.keys(sockets).filter(id => !isLive(sockets[id], at));
+    await Promise.all([
+      store.hset(LAST_SEEN_KEY, userId, lastSeenAt),
+      ...expired.map(id => store.hdel(socketsKey(userId), id)),
+    ]);
+
+    return after !== before ? { userId, status: after, last_seen_at: lastSeenAt } : null;
+  }
+
+  // Pushes back the expiry of sockets still connected to this instance;
+  // `sockets` is [{ userId, socketId, status }]. A socket that disconnects
+  // while this runs can be written back, and then lingers until it expires.
+  async function refresh(sockets) {
+    const expiresAt = now() + ttlMs;
+    await Promise.all(sockets.map(({ userId, socketId, status }) => (
+      store.hset(socketsKey(userId), socketId, { status, expiresAt })
+    )));
+  }
+
+  return {
+    get,
+    getMany,
+    update,
+    refresh,
+  };
+}
+
+module.exports = {
+  PRESENCE_STATUSES,
+  PRESENCE_TTL_MS,
+  PRESENCE_HEARTBEAT_MS,
+  createPresenceTracker,
+};
@@ -0,0 +1,274 @@
+// ============================================
+// Push notifications
+// ============================================
+// Sends a notification to participants who have no connected socket when a
+// message arrives. Bursts are collapsed: the first message for a user and
+// conversation opens a short window, and everything that arrives in it goes
+// out as one notification when the window closes.
+//
+// Delivery goes through providers, one per device platform:
+//   { name, platforms: ['web' | 'android' | 'ios'], send(token, notification) }
+// send() resolves to { expired: true } when the token is dead, so it can be
+// dropped. Tokens live in chat_push_tokens (user_id, token, platform).
+
+const crypto = require('crypto');
+const { systemClock, createScheduler } = require('./scheduler');
+const { logger: log } = require('./logger');
+
+const PUSH_PLATFORMS = ['web', 'android', 'ios'];
+const DEFAULT_COLLAPSE_MS = 3000;
+const PREVIEW_LENGTH = 140;
+
+// ============================================
+// PROVIDERS
+// ============================================
+// Web Push (browsers and PWAs). The token is the browser's PushSubscription
+// serialized as JSON.
+function createWebPushProvider({ publicKey, privateKey, subject }) {
+  const webpush = require('web-push');
+  const vapidDetails = { subject, publicKey, privateKey };
+
+  return {
+    name: 'web-push',
+    platforms: ['web'],
+    async send(token, notification) {
+      try {
+        await webpush.sendNotification(JSON.parse(token), JSON.stringify(notification), { vapidDetails, TTL: 24 * 60 * 60 });
+        return { expired: false };
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          return { expired: true };
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+// Firebase Cloud Messaging (Android and iOS apps) over the HTTP v1 API,
+// authenticated with a service account
+function createFcmProvider({ serviceAccount, fetch = globalThis.fetch }) {
+  const { project_id: projectId, client_email: clientEmail, private_key: privateKey } = serviceAccount;
+  const tokenUri = serviceAccount.token_uri || 'https://oauth2.googleapis.com/token';
+  let accessToken = null;
+
+  const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  async function getAccessToken() {
+    if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) {
+      return accessToken.token;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64url({ alg: 'RS256', typ: 'JWT' })}.${base64url({
+      iss: clientEmail,
+      scope: 'https://www.googleapis.com/auth/firebase.messaging',
+      aud: tokenUri,
+      iat: now,
+      exp: now + 3600,
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+
+    const response = await fetch(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${unsigned}.${signature}`,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`FCM auth failed with status ${response.status}`);
+    }
+
+    const { access_token: token, expires_in: expiresIn } = await response.json();
+    accessToken = { token, expiresAt: Date.now() + expiresIn * 1000 };
+    return token;
+  }
+
+  return {
+    name: 'fcm',
+    platforms: ['android', 'ios'],
+    async send(token, notification) {
+      // FCM data values must be strings
+      const data = Object.fromEntries(Object.entries(notification.data).map(([key, value]) => [key, String(value)]));
+
+      const response = await fetch(`https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          message: {
+            token,
+            notification: { title: notification.title, body: notification.body },
+            data,
+            android: { collapse_key: notification.tag },
+            apns: { headers: { 'apns-collapse-id': notification.tag } },
+          },
+        }),
+      });
+
+      if (response.status === 404) {
+        return { expired: true };
+      }
+      if (!response.ok) {
+        throw new Error(`FCM send failed with status ${response.status}`);
+      }
+      return { expired: false };
+    },
+  };
+}
+
+// Records every call instead of sending anything. Used by the tests and for
+// local development.
+function createRecordingProvider({ platforms = PUSH_PLATFORMS, expiredTokens = [] } = {}) {
+  const sent = [];
+  return {
+    name: 'recording',
+    platforms,
+    sent,
+    async send(token, notification) {
+      sent.push({ token, notification });
+      return { expired: expiredTokens.includes(token) };
+    },
+  };
+}
+
+// ============================================
+// DISPATCHER
+// ============================================
+function messagePreview(message) {
+  switch (message.message_type) {
+    case 'image':
+      return '📷 Photo';
+    case 'voice':
+      return '🎤 Voice message';
+    case 'file':
+      return `📎 ${message.file_name || 'File'}`;
+    case 'poll':
+      return `📊 ${message.message_text}`;
+    default: {
+      const text = message.message_text || '';
+      return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text;
+    }
+  }
+}
+
+function isMuted(participant, now) {
+  if (!participant.muted) return false;
+  return !participant.muted_until || Date.parse(participant.muted_until) > now;
+}
+
+function createPushDispatcher({ db, presence, providers = [], clock = systemClock, collapseMs = DEFAULT_COLLAPSE_MS }) {
+  const scheduler = createScheduler({
+    clock,
+    onError: (id, error) => log.error(`Push job ${id} failed`, { err: error }),
+  });
+  // `${userId}:${conversationId}` -> { userId, conversationId, count, message, mentioned }
+  const pending = new Map();
+
+  const providerFor = platform => providers.find(p => p.platforms.includes(platform));
+
+  async function deliver(userId, conversationId) {
+    const key = `${userId}:${conversationId}`;
+    const batch = pending.get(key);
+    pending.delete(key);
+    if (!batch) return;
+
+    // They may have come online while the window was open
+    const { status } = await presence.get(userId);
+    if (status !== 'offline') return;
+
+    const tokens = await db.pushTokens.list(userId);
+    if (tokens.length === 0) return;
+
+    const { message } = batch;
+    const notification = {
+      title: batch.mentioned ? `${message.sender_name} mentioned you` : message.sender_name,
+      body: batch.count > 1 ? `${batch.count} new messages` : messagePreview(message),
+      tag: `conversation:${conversationId}`,
+      data: {
+        conversationId,
+        messageId: message.id,
+        count: batch.count,
+      },
+    };
+
+    await Promise.all(tokens.map(async ({ token, platform }) => {
+      const provider = providerFor(platform);
+      if (!provider) return;
+      try {
+        const { expired } = await provider.send(token, notification);
+        if (expired) {
+          await db.pushTokens.unregister(token);
+        }
+      } catch (error) {
+        log.error(`${provider.name} push to ${userId} failed`, { err: error });
+      }
+    }));
+    log.info(`Push sent to ${userId} for ${conversationId} (${batch.count} message(s))`);
+  }
+
+  function enqueue(userId, message, mentioned) {
+    const key = `${userId}:${message.conversation_id}`;
+    const batch = pending.get(key);
+    if (batch) {
+      batch.count += 1;
+      batch.message = message;
+      batch.mentioned = batch.mentioned || mentioned;
+      return;
+    }
+
+    pending.set(key, { userId, conversationId: message.conversation_id, count: 1, message, mentioned });
+    scheduler.schedule(`push:${key}`, clock.now() + collapseMs, () => deliver(userId, message.conversation_id));
+  }
+
+  return {
+    // Queues a notification for every offline participant except the
+    // sender. Muted conversations stay silent unless the user was mentioned.
+    // `audienceIds` narrows it down further (a thread's followers, say);
+    // mentioned users are always included.
+    async notifyNewMessage(message, { mentionedUserIds = [], audienceIds = null } = {}) {
+      if (providers.length === 0) return;
+
+      const participants = await db.participants.list(message.conversation_id);
+
+      const now = clock.now();
+      const mentioned = new Set(mentionedUserIds);
+      const audience = audienceIds ? new Set(audienceIds) : null;
+      const recipients = participants.filter(p => (
+        p.user_id !== message.sender_id
+        && (mentioned.has(p.user_id) || ((!audience || audience.has(p.user_id)) && !isMuted(p, now)))
+      ));
+      if (recipients.length === 0) return;
+
+      const presences = await presence.getMany(recipients.map(p => p.user_id));
+      presences
+        .filter(p => p.status === 'offline')
+        .forEach(p => enqueue(p.userId, message, mentioned.has(p.userId)));
+    },
+    // Sends every batch still inside its collapse window right away, so a
+    // shutdown doesn't drop them
+    async flush() {
+      scheduler.stop();
+      await Promise.all([...pending.values()].map(batch => (
+        deliver(batch.userId, batch.conversationId)
+          .catch(error => log.error(`Push to ${batch.userId} failed`, { err: error }))
+      )));
+    },
+    stop() {
+      scheduler.stop();
+      pending.clear();
+    },
+  };
+}
+
+module.exports = {
+  PUSH_PLATFORMS,
+  createWebPushProvider,
+  createFcmProvider,
+  createRecordingProvider,
+  createPushDispatcher,
+};
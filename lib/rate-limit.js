@@ -0,0 +1,77 @@
+// ============================================
+// Rate limiting
+// ============================================
+// Token buckets per user and event, plus one per IP for new connections.
+// Buckets live in the cluster store so limits hold across instances.
+//
+// Each limit is { capacity, refillPerSecond }: a client can burst up to
+// `capacity` events, then gets `refillPerSecond` more per second. An `admin`
+// entry overrides the limit for admin roles.
+
+const { logger: log } = require('./logger');
+
+const DEFAULT_RATE_LIMITS = {
+  connection: { capacity: 20, refillPerSecond: 0.2 },
+  events: {
+    default: { capacity: 30, refillPerSecond: 5 },
+    send_message: {
+      capacity: 10,
+      refillPerSecond: 1,
+      admin: { capacity: 30, refillPerSecond: 3 },
+    },
+    typing_start: { capacity: 5, refillPerSecond: 1 },
+    typing_stop: { capacity: 5, refillPerSecond: 1 },
+    react_to_message: { capacity: 20, refillPerSecond: 2 },
+    remove_reaction: { capacity: 20, refillPerSecond: 2 },
+    vote_poll: { capacity: 10, refillPerSecond: 1 },
+    edit_message: { capacity: 10, refillPerSecond: 0.5 },
+  },
+};
+
+// Merges overrides (e.g. from the RATE_LIMITS env var) over the defaults,
+// one event at a time
+function resolveRateLimits(overrides = {}) {
+  return {
+    connection: { ...DEFAULT_RATE_LIMITS.connection, ...overrides.connection },
+    events: { ...DEFAULT_RATE_LIMITS.events, ...overrides.events },
+  };
+}
+
+function createRateLimiter({ store, limits = DEFAULT_RATE_LIMITS, isAdminRole }) {
+  async function consume(key, limit) {
+    try {
+      return await store.consumeToken(key, limit.capacity, limit.refillPerSecond);
+    } catch (error) {
+      // Fail open: a store outage must not take the chat down with it
+      log.error('Rate limiter error', { err: error });
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  }
+
+  // Events without their own limit share the default bucket. Own keys only:
+  // clients pick the event name, and `constructor` is no limit.
+  function bucketFor(event) {
+    return Object.hasOwn(limits.events, event) ? event : 'default';
+  }
+
+  function limitFor(bucket, role) {
+    const limit = limits.events[bucket];
+    return isAdminRole(role) && limit.admin ? limit.admin : limit;
+  }
+
+  return {
+    consumeEvent(userId, role, event) {
+      const bucket = bucketFor(event);
+      return consume(`ratelimit:event:${bucket}:${userId}`, limitFor(bucket, role));
+    },
+    consumeConnection(ip) {
+      return consume(`ratelimit:connection:${ip}`, limits.connection);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  resolveRateLimits,
+  createRateLimiter,
+};
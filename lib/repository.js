@@ -0,0 +1,1088 @@
+// ============================================
+// Repository: data access for the chat tables
+// ============================================
+// The server never builds queries itself; it calls the methods here, grouped
+// by domain (profiles, participants, conversations, messages, threads, polls,
+// votes, reactions, events, scheduled, sanctions, moderation, pushTokens,
+// audit). There are two implementations with the same methods:
+//   - createSupabaseRepository(supabase) for production
+//   - createMemoryRepository({ tables, now }) keeps every table in this
+//     process, seeded with `tables` ({ chat_messages: [...], ... }) and
+//     stamping created_at from `now`. The integration tests run the server
+//     against it.
+//
+// Rows keep their Postgres column names. Lookups of a single row return it
+// or null; database errors are thrown.
+
+const crypto = require('crypto');
+const { SEARCH_CONFIG } = require('./search');
+
+// ============================================
+// SUPABASE
+// ============================================
+// "No rows" from .single() (PGRST116) is an answer, not an error
+function rowOrNull({ data, error }) {
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+function rowsOf({ data, error }) {
+  if (error) throw error;
+  return data || [];
+}
+
+function createSupabaseRepository(supabase) {
+  const from = table => supabase.from(table);
+
+  const profiles = {
+    async get(userId) {
+      return rowOrNull(await from('user_profiles')
+        .select('user_id, display_name, role')
+        .eq('user_id', userId)
+        .single());
+    },
+    async getMany(userIds) {
+      if (userIds.length === 0) return [];
+      return rowsOf(await from('user_profiles')
+        .select('user_id, display_name, role')
+        .in('user_id', userIds));
+    },
+  };
+
+  const participants = {
+    async isMember(conversationId, userId) {
+      const participant = rowOrNull(await from('chat_participants')
+        .select('conversation_id')
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .single());
+      return Boolean(participant);
+    },
+    async list(conversationId) {
+      return rowsOf(await from('chat_participants')
+        .select('user_id, last_read_at, muted, muted_until')
+        .eq('conversation_id', conversationId));
+    },
+    async listForUser(userId) {
+      return rowsOf(await from('chat_participants')
+        .select('conversation_id, last_read_at, muted, muted_until')
+        .eq('user_id', userId));
+    },
+    async add(conversationId, userIds) {
+      rowsOf(await from('chat_participants')
+        .insert(userIds.map(userId => ({ conversation_id: conversationId, user_id: userId }))));
+    },
+    // Returns false if the user wasn't a participant
+    async remove(conversationId, userId) {
+      const removed = rowsOf(await from('chat_participants')
+        .delete()
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .select('user_id'));
+      return removed.length > 0;
+    },
+    // Returns false if the user isn't a participant
+    async update(conversationId, userId, changes) {
+      const updated = rowsOf(await from('chat_participants')
+        .update(changes)
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .select('conversation_id'));
+      return updated.length > 0;
+    },
+  };
+
+  const conversations = {
+    async get(conversationId) {
+      return rowOrNull(await from('chat_conversations')
+        .select('*')
+        .eq('id', conversationId)
+        .single());
+    },
+    // Most recently active first; `before` is an updated_at
+    async listPage(conversationIds, { before = null, limit }) {
+      let query = from('chat_conversations')
+        .select('*')
+        .in('id', conversationIds);
+      if (before) query = query.lt('updated_at', before);
+      return rowsOf(await query
+        .order('updated_at', { ascending: false })
+        .limit(limit));
+    },
+    async findDirect(userId, otherUserId) {
+      const mine = rowsOf(await from('chat_participants')
+        .select('conversation_id')
+        .eq('user_id', userId));
+      if (mine.length === 0) return null;
+
+      const shared = rowsOf(await from('chat_participants')
+        .select('conversation_id')
+        .eq('user_id', otherUserId)
+        .in('conversation_id', mine.map(p => p.conversation_id)));
+      if (shared.length === 0) return null;
+
+      const [conversation] = rowsOf(await from('chat_conversations')
+        .select('*')
+        .eq('type', 'direct')
+        .in('id', shared.map(p => p.conversation_id))
+        .limit(1));
+      return conversation || null;
+    },
+    async create(row) {
+      return rowOrNull(await from('chat_conversations')
+        .insert(row)
+        .select()
+        .single());
+    },
+    async update(conversationId, changes) {
+      return rowOrNull(await from('chat_conversations')
+        .update(changes)
+        .eq('id', conversationId)
+        .select()
+        .single());
+    },
+    async delete(conversationId) {
+      rowsOf(await from('chat_conversations').delete().eq('id', conversationId));
+    },
+  };
+
+  const messages = {
+    async get(messageId) {
+      return rowOrNull(await from('chat_messages')
+        .select('*')
+        .eq('id', messageId)
+        .single());
+    },
+    async getMany(messageIds) {
+      if (messageIds.length === 0) return [];
+      return rowsOf(await from('chat_messages')
+        .select('*')
+        .in('id', messageIds));
+    },
+    async insert(row) {
+      return rowOrNull(await from('chat_messages')
+        .insert(row)
+        .select()
+        .single());
+    },
+    // With `senderId`, only that sender's message is updated. Returns the
+    // updated row, or null if none matched.
+    async update(messageId, changes, { senderId = null } = {}) {
+      let query = from('chat_messages')
+        .update(changes)
+        .eq('id', messageId);
+      if (senderId) query = query.eq('sender_id', senderId);
+      return rowOrNull(await query.select().single());
+    },
+    // A conversation's main timeline, or a thread when threadRootId is set.
+    // `before` / `after` are created_at bounds; rows come newest first, or
+    // oldest first with `after`.
+    async listPage({ conversationId, threadRootId = null, before = null, after = null, limit }) {
+      let query = from('chat_messages')
+        .select('*')
+        .eq('conversation_id', conversationId);
+      query = threadRootId ? query.eq('thread_root_id', threadRootId) : query.is('thread_root_id', null);
+      if (before) query = query.lt('created_at', before);
+      if (after) query = query.gt('created_at', after);
+      return rowsOf(await query
+        .order('created_at', { ascending: Boolean(after) })
+        .limit(limit));
+    },
+    // The newest message of the main timeline (thread replies left out),
+    // optionally the newest created at or before `until`
+    async latest(conversationId, { until = null } = {}) {
+      let query = from('chat_messages')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .is('thread_root_id', null);
+      if (until) query = query.lte('created_at', until);
+      const [message] = rowsOf(await query
+        .order('created_at', { ascending: false })
+        .limit(1));
+      return message || null;
+    },
+    // latest() of each conversation that has a message, in one request:
+    // messages are embedded in their conversation, limited to one each
+    async latestMany(conversationIds) {
+      if (conversationIds.length === 0) return [];
+      const rows = rowsOf(await from('chat_conversations')
+        .select('id, chat_messages(*)')
+        .in('id', conversationIds)
+        .is('chat_messages.thread_root_id', null)
+        .order('created_at', { referencedTable: 'chat_messages', ascending: false })
+        .limit(1, { referencedTable: 'chat_messages' }));
+      return rows.flatMap(conversation => conversation.chat_messages || []);
+    },
+    // Messages from others after `since` (all of them without it). Thread
+    // replies are counted on their thread, not here.
+    async countUnread(conversationId, userId, since) {
+      let query = from('chat_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('conversation_id', conversationId)
+        .neq('sender_id', userId)
+        .is('thread_root_id', null);
+      if (since) query = query.gt('created_at', since);
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+    // countUnread for several conversations, counted in parallel;
+    // `sinceByConversation` is { conversationId: since or null } and the
+    // result { conversationId: count }
+    async countUnreadMany(userId, sinceByConversation) {
+      const entries = Object.entries(sinceByConversation);
+      const counts = await Promise.all(entries.map(([conversationId, since]) => messages.countUnread(conversationId, userId, since)));
+      return Object.fromEntries(entries.map(([conversationId], i) => [conversationId, counts[i]]));
+    },
+    async countThreadReplies(rootId) {
+      const { count, error } = await from('chat_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('thread_root_id', rootId)
+        .neq('deleted_for_all', true);
+      if (error) throw error;
+      return count || 0;
+    },
+    // Newest first
+    async latestThreadReplies(rootId, limit) {
+      return rowsOf(await from('chat_messages')
+        .select('sender_id, created_at')
+        .eq('thread_root_id', rootId)
+        .neq('deleted_for_all', true)
+        .order('created_at', { ascending: false })
+        .limit(limit));
+    },
+    // Full-text search in websearch syntax, newest first, never returning
+    // messages deleted for everyone. `before` is a created_at bound.
+    async search({
+      conversationIds, query, senderId = null, messageType = null, messageTypes = null,
+      excludeMessageTypes = null, from: since = null, to = null, before = null, limit,
+    }) {
+      let search = from('chat_messages')
+        .select('*')
+        .in('conversation_id', conversationIds)
+        .neq('deleted_for_all', true)
+        .textSearch('message_text', query, { type: 'websearch', config: SEARCH_CONFIG });
+
+      if (senderId) search = search.eq('sender_id', senderId);
+      if (messageType) search = search.eq('message_type', messageType);
+      if (messageTypes) search = search.in('message_type', messageTypes);
+      if (excludeMessageTypes) search = search.not('message_type', 'in', `(${excludeMessageTypes.join(',')})`);
+      if (since) search = search.gte('created_at', since);
+      if (to) search = search.lt('created_at', to);
+      if (before) search = search.lt('created_at', before);
+
+      return rowsOf(await search
+        .order('created_at', { ascending: false })
+        .limit(limit));
+    },
+    async addRevision(row) {
+      rowsOf(await from('chat_message_revisions').insert(row));
+    },
+    // Oldest first
+    async listRevisions(messageId) {
+      return rowsOf(await from('chat_message_revisions')
+        .select('id, message_text, editor_id, written_at, created_at')
+        .eq('message_id', messageId)
+        .order('id', { ascending: true }));
+    },
+  };
+
+  const threads = {
+    async isFollowing(rootId, userId) {
+      const rows = rowsOf(await from('chat_thread_followers')
+        .select('user_id')
+        .eq('thread_root_id', rootId)
+        .eq('user_id', userId));
+      return rows.length > 0;
+    },
+    async follow(rootId, conversationId, userId) {
+      if (await threads.isFollowing(rootId, userId)) return;
+      rowsOf(await from('chat_thread_followers')
+        .insert({ thread_root_id: rootId, conversation_id: conversationId, user_id: userId }));
+    },
+    async unfollow(rootId, userId) {
+      rowsOf(await from('chat_thread_followers')
+        .delete()
+        .eq('thread_root_id', rootId)
+        .eq('user_id', userId));
+    },
+    // Unfollows every thread of the conversation; returns their root IDs
+    async unfollowConversation(conversationId, userId) {
+      const removed = rowsOf(await from('chat_thread_followers')
+        .delete()
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .select('thread_root_id'));
+      return removed.map(f => f.thread_root_id);
+    },
+    async followerIds(rootId) {
+      const rows = rowsOf(await from('chat_thread_followers')
+        .select('user_id')
+        .eq('thread_root_id', rootId));
+      return rows.map(f => f.user_id);
+    },
+    async followedRootIds(userId) {
+      const rows = rowsOf(await from('chat_thread_followers')
+        .select('thread_root_id')
+        .eq('user_id', userId));
+      return rows.map(f => f.thread_root_id);
+    },
+  };
+
+  const polls = {
+    async get(pollId) {
+      return rowOrNull(await from('chat_polls')
+        .select('*')
+        .eq('id', pollId)
+        .single());
+    },
+    async getMany(pollIds) {
+      if (pollIds.length === 0) return [];
+      return rowsOf(await from('chat_polls')
+        .select('*')
+        .in('id', pollIds));
+    },
+    async create(row) {
+      return rowOrNull(await from('chat_polls')
+        .insert(row)
+        .select()
+        .single());
+    },
+    async addOptions(rows) {
+      return rowsOf(await from('chat_poll_options')
+        .insert(rows)
+        .select());
+    },
+    async listOptions(pollIds) {
+      if (pollIds.length === 0) return [];
+      return rowsOf(await from('chat_poll_options')
+        .select('id, poll_id, option_text, order_index')
+        .in('poll_id', pollIds));
+    },
+    // Returns the closed poll, or null if it was already closed
+    async close(pollId, { closedAt, closedBy }) {
+      return rowOrNull(await from('chat_polls')
+        .update({ closed_at: closedAt, closed_by: closedBy })
+        .eq('id', pollId)
+        .is('closed_at', null)
+        .select()
+        .single());
+    },
+    async listOpen() {
+      return rowsOf(await from('chat_polls')
+        .select('id, closes_at')
+        .is('closed_at', null));
+    },
+  };
+
+  const votes = {
+    // Newest first, or oldest first with `ascending`
+    async list(pollIds, { ascending = false } = {}) {
+      if (pollIds.length === 0) return [];
+      return rowsOf(await from('chat_poll_votes')
+        .select('poll_id, option_id, user_id, created_at')
+        .in('poll_id', pollIds)
+        .order('created_at', { ascending }));
+    },
+    async add(pollId, optionId, userId) {
+      rowsOf(await from('chat_poll_votes')
+        .upsert({ poll_id: pollId, option_id: optionId, user_id: userId }, { onConflict: 'poll_id,option_id,user_id' }));
+    },
+    // Without `optionId`, removes all of the user's votes on the poll
+    async remove(pollId, userId, optionId = null) {
+      let query = from('chat_poll_votes')
+        .delete()
+        .eq('poll_id', pollId)
+        .eq('user_id', userId);
+      if (optionId) query = query.eq('option_id', optionId);
+      rowsOf(await query);
+    },
+  };
+
+  const reactions = {
+    // Newest first
+    async list(messageId) {
+      return rowsOf(await from('chat_message_reactions')
+        .select('emoji, user_id, created_at')
+        .eq('message_id', messageId)
+        .order('created_at', { ascending: false }));
+    },
+    async has(messageId, userId, emoji) {
+      const rows = rowsOf(await from('chat_message_reactions')
+        .select('id')
+        .eq('message_id', messageId)
+        .eq('user_id', userId)
+        .eq('emoji', emoji));
+      return rows.length > 0;
+    },
+    async add(messageId, userId, emoji) {
+      rowsOf(await from('chat_message_reactions')
+        .upsert({ message_id: messageId, user_id: userId, emoji }, { onConflict: 'message_id,user_id,emoji' }));
+    },
+    async remove(messageId, userId, emoji) {
+      rowsOf(await from('chat_message_reactions')
+        .delete()
+        .eq('message_id', messageId)
+        .eq('user_id', userId)
+        .eq('emoji', emoji));
+    },
+  };
+
+  const events = {
+    // Returns the change's sequence number
+    async record(conversationId, event, payload) {
+      const change = rowOrNull(await from('chat_events')
+        .insert({ conversation_id: conversationId, event, payload })
+        .select('id')
+        .single());
+      if (!change) throw new Error(`No sequence number returned for ${event}`);
+      return change.id;
+    },
+    async latestSeq(conversationId) {
+      const [latest] = rowsOf(await from('chat_events')
+        .select('id')
+        .eq('conversation_id', conversationId)
+        .order('id', { ascending: false })
+        .limit(1));
+      return latest ? latest.id : 0;
+    },
+    // Oldest first
+    async listAfter(conversationId, seq, limit) {
+      return rowsOf(await from('chat_events')
+        .select('id, event, payload, created_at')
+        .eq('conversation_id', conversationId)
+        .gt('id', seq)
+        .order('id', { ascending: true })
+        .limit(limit));
+    },
+  };
+
+  const scheduled = {
+    async create(row) {
+      return rowOrNull(await from('chat_scheduled_messages')
+        .insert(row)
+        .select()
+        .single());
+    },
+    // Moves a pending job to sending; null if it was cancelled or claimed
+    async claim(scheduledId, claimedAt) {
+      return rowOrNull(await from('chat_scheduled_messages')
+        .update({ status: 'sending', claimed_at: claimedAt })
+        .eq('id', scheduledId)
+        .eq('status', 'pending')
+        .select()
+        .single());
+    },
+    // Moves jobs claimed before `claimedBefore` and never finished back to
+    // pending. Returns them.
+    async reclaimStale(claimedBefore) {
+      return rowsOf(await from('chat_scheduled_messages')
+        .update({ status: 'pending', claimed_at: null })
+        .eq('status', 'sending')
+        .lt('claimed_at', claimedBefore)
+        .select());
+    },
+    async update(scheduledId, changes) {
+      rowsOf(await from('chat_scheduled_messages').update(changes).eq('id', scheduledId));
+    },
+    // Soonest first
+    async listPending({ senderId = null, conversationId = null } = {}) {
+      let query = from('chat_scheduled_messages')
+        .select('*')
+        .eq('status', 'pending');
+      if (senderId) query = query.eq('sender_id', senderId);
+      if (conversationId) query = query.eq('conversation_id', conversationId);
+      return rowsOf(await query.order('send_at', { ascending: true }));
+    },
+    // Returns false unless a pending job of this sender was cancelled
+    async cancel(scheduledId, senderId) {
+      const cancelled = rowOrNull(await from('chat_scheduled_messages')
+        .update({ status: 'cancelled' })
+        .eq('id', scheduledId)
+        .eq('sender_id', senderId)
+        .eq('status', 'pending')
+        .select('id')
+        .single());
+      return Boolean(cancelled);
+    },
+  };
+
+  const sanctions = {
+    // The mute still running at `now`, or null
+    async activeMute(conversationId, userId, now) {
+      return rowOrNull(await from('chat_user_mutes')
+        .select('muted_until, reason')
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .gt('muted_until', now)
+        .single());
+    },
+    async mute(row) {
+      rowsOf(await from('chat_user_mutes').upsert(row, { onConflict: 'conversation_id,user_id' }));
+    },
+    // Returns false if the user wasn't muted
+    async unmute(conversationId, userId) {
+      const removed = rowsOf(await from('chat_user_mutes')
+        .delete()
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .select('user_id'));
+      return removed.length > 0;
+    },
+    // The ban row, expired or not
+    async getBan(userId) {
+      return rowOrNull(await from('chat_user_bans')
+        .select('banned_until, reason')
+        .eq('user_id', userId)
+        .single());
+    },
+    async ban(row) {
+      rowsOf(await from('chat_user_bans').upsert(row, { onConflict: 'user_id' }));
+    },
+    // Returns false if the user wasn't banned
+    async unban(userId) {
+      const removed = rowsOf(await from('chat_user_bans')
+        .delete()
+        .eq('user_id', userId)
+        .select('user_id'));
+      return removed.length > 0;
+    },
+  };
+
+  const moderation = {
+    async enqueue(row) {
+      return rowOrNull(await from('chat_moderation_queue')
+        .insert(row)
+        .select()
+        .single());
+    },
+    // Oldest first
+    async list(status, limit) {
+      return rowsOf(await from('chat_moderation_queue')
+        .select('*')
+        .eq('status', status)
+        .order('id', { ascending: true })
+        .limit(limit));
+    },
+    // Closes a pending item; null if there is no pending item with this ID
+    async review(itemId, changes) {
+      return rowOrNull(await from('chat_moderation_queue')
+        .update(changes)
+        .eq('id', itemId)
+        .eq('status', 'pending')
+        .select()
+        .single());
+    },
+  };
+
+  const pushTokens = {
+    async list(userId) {
+      return rowsOf(await from('chat_push_tokens')
+        .select('token, platform')
+        .eq('user_id', userId));
+    },
+    // A token belongs to one user at a time
+    async register(userId, token, platform, updatedAt) {
+      rowsOf(await from('chat_push_tokens').delete().eq('token', token));
+      rowsOf(await from('chat_push_tokens').insert({ user_id: userId, token, platform, updated_at: updatedAt }));
+    },
+    // Without `userId`, removes the token whoever it belongs to
+    async unregister(token, userId = null) {
+      let query = from('chat_push_tokens').delete().eq('token', token);
+      if (userId) query = query.eq('user_id', userId);
+      rowsOf(await query);
+    },
+  };
+
+  const audit = {
+    async insert(row) {
+      rowsOf(await from('chat_audit_log').insert(row));
+    },
+    // Newest first; `before` is an entry ID, `from` / `to` are created_at bounds
+    async query({ conversationId = null, actorId = null, action = null, from: since = null, to = null, before = null, limit }) {
+      let query = from('chat_audit_log').select('*');
+      if (conversationId) query = query.eq('conversation_id', conversationId);
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (action) query = query.eq('action', action);
+      if (since) query = query.gte('created_at', since);
+      if (to) query = query.lt('created_at', to);
+      if (before) query = query.lt('id', before);
+      return rowsOf(await query
+        .order('id', { ascending: false })
+        .limit(limit));
+    },
+  };
+
+  return {
+    name: 'supabase',
+    profiles,
+    participants,
+    conversations,
+    messages,
+    threads,
+    polls,
+    votes,
+    reactions,
+    events,
+    scheduled,
+    sanctions,
+    moderation,
+    pushTokens,
+    audit,
+  };
+}
+
+// ============================================
+// MEMORY
+// ============================================
+// Timestamps are ISO strings like Postgres returns them, and compare
+// correctly as strings. Rows are copied in and out so callers never share
+// references, matching what they get back from Supabase.
+const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const byKey = (key, ascending = true) => (a, b) => (
+  (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * (ascending ? 1 : -1)
+);
+
+// Websearch syntax as Postgres applies it with the 'simple' config: every
+// word (or "quoted phrase") must occur as whole words, in any case; "-word"
+// must not; "or" between two terms accepts either.
+function websearchMatches(text, query) {
+  const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+  const has = (term) => {
+    const termWords = term.toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (termWords.length === 0) return true;
+    return words.some((_, i) => termWords.every((w, j) => words[i + j] === w));
+  };
+
+  // Clauses are ANDed; each clause is a list of alternatives
+  const clauses = [];
+  let joinNext = false;
+  for (const [token, phrase] of query.matchAll(/-?"([^"]*)"?|\S+/g)) {
+    if (phrase === undefined && token.toLowerCase() === 'or') {
+      joinNext = clauses.length > 0;
+      continue;
+    }
+    const negated = token.startsWith('-');
+    const term = { negated, text: phrase !== undefined ? phrase : token.replace(/^-/, '') };
+    if (joinNext) {
+      clauses[clauses.length - 1].push(term);
+    } else {
+      clauses.push([term]);
+    }
+    joinNext = false;
+  }
+
+  return clauses.every(alternatives => alternatives.some(t => (t.negated ? !has(t.text) : has(t.text))));
+}
+
+function createMemoryRepository({ tables = {}, now: clockNow = Date.now } = {}) {
+  const db = {};
+  for (const [table, rows] of Object.entries(tables)) {
+    db[table] = copy(rows);
+  }
+  const rowsIn = table => (db[table] = db[table] || []);
+
+  let nextId = 1;
+  // Strictly increasing, so rows inserted in the same millisecond still sort
+  // in insertion order by created_at
+  let lastCreatedAt = 0;
+  const now = () => {
+    lastCreatedAt = Math.max(clockNow(), lastCreatedAt + 1);
+    return new Date(lastCreatedAt).toISOString();
+  };
+
+  function insert(table, row) {
+    const stored = { id: nextId++, created_at: now(), ...copy(row) };
+    rowsIn(table).push(stored);
+    return copy(stored);
+  }
+
+  const select = (table, where) => rowsIn(table).filter(where);
+  const first = (table, where) => copy(rowsIn(table).find(where)) || null;
+
+  // Updates matching rows in place and returns copies of them
+  function update(table, where, changes) {
+    const matched = select(table, where);
+    matched.forEach(row => Object.assign(row, copy(changes)));
+    return copy(matched);
+  }
+
+  // Deletes matching rows and returns them
+  function remove(table, where) {
+    const removed = select(table, where);
+    db[table] = rowsIn(table).filter(row => !where(row));
+    return removed;
+  }
+
+  function upsert(table, row, keys) {
+    const existing = rowsIn(table).find(r => keys.every(key => r[key] === row[key]));
+    if (existing) {
+      Object.assign(existing, copy(row));
+    } else {
+      insert(table, row);
+    }
+  }
+
+  const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+
+  const profiles = {
+    async get(userId) {
+      const profile = first('user_profiles', p => p.user_id === userId);
+      return profile && pick(profile, ['user_id', 'display_name', 'role']);
+    },
+    async getMany(userIds) {
+      return select('user_profiles', p => userIds.includes(p.user_id))
+        .map(p => pick(p, ['user_id', 'display_name', 'role']));
+    },
+  };
+
+  const PARTICIPANT_SETTINGS = ['last_read_at', 'muted', 'muted_until'];
+  const participants = {
+    async isMember(conversationId, userId) {
+      return rowsIn('chat_participants').some(p => p.conversation_id === conversationId && p.user_id === userId);
+    },
+    async list(conversationId) {
+      return select('chat_participants', p => p.conversation_id === conversationId)
+        .map(p => pick(p, ['user_id', ...PARTICIPANT_SETTINGS]));
+    },
+    async listForUser(userId) {
+      return select('chat_participants', p => p.user_id === userId)
+        .map(p => pick(p, ['conversation_id', ...PARTICIPANT_SETTINGS]));
+    },
+    async add(conversationId, userIds) {
+      userIds.forEach(userId => insert('chat_participants', { conversation_id: conversationId, user_id: userId }));
+    },
+    async remove(conversationId, userId) {
+      return remove('chat_participants', p => p.conversation_id === conversationId && p.user_id === userId).length > 0;
+    },
+    async update(conversationId, userId, changes) {
+      return update('chat_participants', p => p.conversation_id === conversationId && p.user_id === userId, changes).length > 0;
+    },
+  };
+
+  const conversations = {
+    async get(conversationId) {
+      return first('chat_conversations', c => c.id === conversationId);
+    },
+    async listPage(conversationIds, { before = null, limit }) {
+      return copy(select('chat_conversations', c => conversationIds.includes(c.id) && (!before || c.updated_at < before))
+        .sort(byKey('updated_at', false))
+        .slice(0, limit));
+    },
+    async findDirect(userId, otherUserId) {
+      const idsOf = id => new Set(select('chat_participants', p => p.user_id === id).map(p => p.conversation_id));
+      const mine = idsOf(userId);
+      const theirs = idsOf(otherUserId);
+      return first('chat_conversations', c => c.type === 'direct' && mine.has(c.id) && theirs.has(c.id));
+    },
+    async create(row) {
+      // Conversation ids are uuids in Postgres and double as socket.io room names
+      return insert('chat_conversations', { id: crypto.randomUUID(), ...row });
+    },
+    async update(conversationId, changes) {
+      return update('chat_conversations', c => c.id === conversationId, changes)[0] || null;
+    },
+    async delete(conversationId) {
+      remove('chat_conversations', c => c.id === conversationId);
+    },
+  };
+
+  const isDeleted = m => m.deleted_for_all === true;
+
+  const messages = {
+    async get(messageId) {
+      return first('chat_messages', m => m.id === messageId);
+    },
+    async getMany(messageIds) {
+      return copy(select('chat_messages', m => messageIds.includes(m.id)));
+    },
+    async insert(row) {
+      return insert('chat_messages', row);
+    },
+    async update(messageId, changes, { senderId = null } = {}) {
+      return update('chat_messages', m => m.id === messageId && (!senderId || m.sender_id === senderId), changes)[0] || null;
+    },
+    async listPage({ conversationId, threadRootId = null, before = null, after = null, limit }) {
+      return copy(select('chat_messages', m => (
+        m.conversation_id === conversationId
+        && (threadRootId ? m.thread_root_id === threadRootId : !m.thread_root_id)
+        && (!before || m.created_at < before)
+        && (!after || m.created_at > after)
+      ))
+        .sort(byKey('created_at', Boolean(after)))
+        .slice(0, limit));
+    },
+    async latest(conversationId, { until = null } = {}) {
+      const [message] = select('chat_messages', m => m.conversation_id === conversationId && !m.thread_root_id && (!until || m.created_at <= until))
+        .sort(byKey('created_at', false));
+      return copy(message) || null;
+    },
+    async latestMany(conversationIds) {
+      const latest = await Promise.all(conversationIds.map(id => messages.latest(id)));
+      return latest.filter(Boolean);
+    },
+    async countUnread(conversationId, userId, since) {
+      return select('chat_messages', m => (
+        m.conversation_id === conversationId && m.sender_id !== userId && !m.thread_root_id && (!since || m.created_at > since)
+      )).length;
+    },
+    async countUnreadMany(userId, sinceByConversation) {
+      const counts = {};
+      for (const [conversationId, since] of Object.entries(sinceByConversation)) {
+        counts[conversationId] = await messages.countUnread(conversationId, userId, since);
+      }
+      return counts;
+    },
+    async countThreadReplies(rootId) {
+      return select('chat_messages', m => m.thread_root_id === rootId && !isDeleted(m)).length;
+    },
+    async latestThreadReplies(rootId, limit) {
+      return select('chat_messages', m => m.thread_root_id === rootId && !isDeleted(m))
+        .sort(byKey('created_at', false))
+        .slice(0, limit)
+        .map(m => pick(m, ['sender_id', 'created_at']));
+    },
+    async search({
+      conversationIds, query, senderId = null, messageType = null, messageTypes = null,
+      excludeMessageTypes = null, from: since = null, to = null, before = null, limit,
+    }) {
+      return copy(select('chat_messages', m => (
+        conversationIds.includes(m.conversation_id)
+        && !isDeleted(m)
+        && websearchMatches(m.message_text, query)
+        && (!senderId || m.sender_id === senderId)
+        && (!messageType || m.message_type === messageType)
+        && (!messageTypes || messageTypes.includes(m.message_type))
+        && (!excludeMessageTypes || !excludeMessageTypes.includes(m.message_type))
+        && (!since || m.created_at >= since)
+        && (!to || m.created_at < to)
+        && (!before || m.created_at < before)
+      ))
+        .sort(byKey('created_at', false))
+        .slice(0, limit));
+    },
+    async addRevision(row) {
+      insert('chat_message_revisions', row);
+    },
+    async listRevisions(messageId) {
+      return select('chat_message_revisions', r => r.message_id === messageId)
+        .sort(byKey('id'))
+        .map(r => pick(r, ['id', 'message_text', 'editor_id', 'written_at', 'created_at']));
+    },
+  };
+
+  const threads = {
+    async isFollowing(rootId, userId) {
+      return rowsIn('chat_thread_followers').some(f => f.thread_root_id === rootId && f.user_id === userId);
+    },
+    async follow(rootId, conversationId, userId) {
+      if (await threads.isFollowing(rootId, userId)) return;
+      insert('chat_thread_followers', { thread_root_id: rootId, conversation_id: conversationId, user_id: userId });
+    },
+    async unfollow(rootId, userId) {
+      remove('chat_thread_followers', f => f.thread_root_id === rootId && f.user_id === userId);
+    },
+    async unfollowConversation(conversationId, userId) {
+      return remove('chat_thread_followers', f => f.conversation_id === conversationId && f.user_id === userId)
+        .map(f => f.thread_root_id);
+    },
+    async followerIds(rootId) {
+      return select('chat_thread_followers', f => f.thread_root_id === rootId).map(f => f.user_id);
+    },
+    async followedRootIds(userId) {
+      return select('chat_thread_followers', f => f.user_id === userId).map(f => f.thread_root_id);
+    },
+  };
+
+  const polls = {
+    async get(pollId) {
+      return first('chat_polls', p => p.id === pollId);
+    },
+    async getMany(pollIds) {
+      return copy(select('chat_polls', p => pollIds.includes(p.id)));
+    },
+    async create(row) {
+      return insert('chat_polls', { closed_at: null, closed_by: null, ...row });
+    },
+    async addOptions(rows) {
+      return rows.map(row => insert('chat_poll_options', row));
+    },
+    async listOptions(pollIds) {
+      return select('chat_poll_options', o => pollIds.includes(o.poll_id))
+        .map(o => pick(o, ['id', 'poll_id', 'option_text', 'order_index']));
+    },
+    async close(pollId, { closedAt, closedBy }) {
+      return update('chat_polls', p => p.id === pollId && !p.closed_at, { closed_at: closedAt, closed_by: closedBy })[0] || null;
+    },
+    async listOpen() {
+      return select('chat_polls', p => !p.closed_at).map(p => pick(p, ['id', 'closes_at']));
+    },
+  };
+
+  const votes = {
+    async list(pollIds, { ascending = false } = {}) {
+      return select('chat_poll_votes', v => pollIds.includes(v.poll_id))
+        .sort(byKey('created_at', ascending))
+        .map(v => pick(v, ['poll_id', 'option_id', 'user_id', 'created_at']));
+    },
+    async add(pollId, optionId, userId) {
+      upsert('chat_poll_votes', { poll_id: pollId, option_id: optionId, user_id: userId }, ['poll_id', 'option_id', 'user_id']);
+    },
+    async remove(pollId, userId, optionId = null) {
+      remove('chat_poll_votes', v => v.poll_id === pollId && v.user_id === userId && (!optionId || v.option_id === optionId));
+    },
+  };
+
+  const reactions = {
+    async list(messageId) {
+      return select('chat_message_reactions', r => r.message_id === messageId)
+        .sort(byKey('created_at', false))
+        .map(r => pick(r, ['emoji', 'user_id', 'created_at']));
+    },
+    async has(messageId, userId, emoji) {
+      return rowsIn('chat_message_reactions').some(r => r.message_id === messageId && r.user_id === userId && r.emoji === emoji);
+    },
+    async add(messageId, userId, emoji) {
+      upsert('chat_message_reactions', { message_id: messageId, user_id: userId, emoji }, ['message_id', 'user_id', 'emoji']);
+    },
+    async remove(messageId, userId, emoji) {
+      remove('chat_message_reactions', r => r.message_id === messageId && r.user_id === userId && r.emoji === emoji);
+    },
+  };
+
+  const events = {
+    async record(conversationId, event, payload) {
+      return insert('chat_events', { conversation_id: conversationId, event, payload }).id;
+    },
+    async latestSeq(conversationId) {
+      const ids = select('chat_events', e => e.conversation_id === conversationId).map(e => e.id);
+      return ids.length > 0 ? Math.max(...ids) : 0;
+    },
+    async listAfter(conversationId, seq, limit) {
+      return select('chat_events', e => e.conversation_id === conversationId && e.id > seq)
+        .sort(byKey('id'))
+        .slice(0, limit)
+        .map(e => copy(pick(e, ['id', 'event', 'payload', 'created_at'])));
+    },
+  };
+
+  const scheduled = {
+    async create(row) {
+      return insert('chat_scheduled_messages', row);
+    },
+    async claim(scheduledId, claimedAt) {
+      return update('chat_scheduled_messages', j => j.id === scheduledId && j.status === 'pending', { status: 'sending', claimed_at: claimedAt })[0] || null;
+    },
+    async reclaimStale(claimedBefore) {
+      return copy(update('chat_scheduled_messages', j => (
+        j.status === 'sending' && Boolean(j.claimed_at) && j.claimed_at < claimedBefore
+      ), { status: 'pending', claimed_at: null }));
+    },
+    async update(scheduledId, changes) {
+      update('chat_scheduled_messages', j => j.id === scheduledId, changes);
+    },
+    async listPending({ senderId = null, conversationId = null } = {}) {
+      return copy(select('chat_scheduled_messages', j => (
+        j.status === 'pending'
+        && (!senderId || j.sender_id === senderId)
+        && (!conversationId || j.conversation_id === conversationId)
+      )).sort(byKey('send_at')));
+    },
+    async cancel(scheduledId, senderId) {
+      const cancelled = update('chat_scheduled_messages', j => (
+        j.id === scheduledId && j.sender_id === senderId && j.status === 'pending'
+      ), { status: 'cancelled' });
+      return cancelled.length > 0;
+    },
+  };
+
+  const sanctions = {
+    async activeMute(conversationId, userId, at) {
+      const mute = first('chat_user_mutes', m => m.conversation_id === conversationId && m.user_id === userId && m.muted_until > at);
+      return mute && pick(mute, ['muted_until', 'reason']);
+    },
+    async mute(row) {
+      upsert('chat_user_mutes', row, ['conversation_id', 'user_id']);
+    },
+    async unmute(conversationId, userId) {
+      return remove('chat_user_mutes', m => m.conversation_id === conversationId && m.user_id === userId).length > 0;
+    },
+    async getBan(userId) {
+      const ban = first('chat_user_bans', b => b.user_id === userId);
+      return ban && pick(ban, ['banned_until', 'reason']);
+    },
+    async ban(row) {
+      upsert('chat_user_bans', row, ['user_id']);
+    },
+    async unban(userId) {
+      return remove('chat_user_bans', b => b.user_id === userId).length > 0;
+    },
+  };
+
+  const moderation = {
+    async enqueue(row) {
+      return insert('chat_moderation_queue', row);
+    },
+    async list(status, limit) {
+      return copy(select('chat_moderation_queue', i => i.status === status).sort(byKey('id')).slice(0, limit));
+    },
+    async review(itemId, changes) {
+      return update('chat_moderation_queue', i => i.id === itemId && i.status === 'pending', changes)[0] || null;
+    },
+  };
+
+  const pushTokens = {
+    async list(userId) {
+      return select('chat_push_tokens', t => t.user_id === userId).map(t => pick(t, ['token', 'platform']));
+    },
+    async register(userId, token, platform, updatedAt) {
+      remove('chat_push_tokens', t => t.token === token);
+      insert('chat_push_tokens', { user_id: userId, token, platform, updated_at: updatedAt });
+    },
+    async unregister(token, userId = null) {
+      remove('chat_push_tokens', t => t.token === token && (!userId || t.user_id === userId));
+    },
+  };
+
+  const audit = {
+    async insert(row) {
+      insert('chat_audit_log', row);
+    },
+    async query({ conversationId = null, actorId = null, action = null, from: since = null, to = null, before = null, limit }) {
+      return copy(select('chat_audit_log', e => (
+        (!conversationId || e.conversation_id === conversationId)
+        && (!actorId || e.actor_id === actorId)
+        && (!action || e.action === action)
+        && (!since || e.created_at >= since)
+        && (!to || e.created_at < to)
+        && (!before || e.id < before)
+      )).sort(byKey('id', false)).slice(0, limit));
+    },
+  };
+
+  return {
+    name: 'memory',
+    // The tables themselves, for tests to inspect
+    tables: db,
+    profiles,
+    participants,
+    conversations,
+    messages,
+    threads,
+    polls,
+    votes,
+    reactions,
+    events,
+    scheduled,
+    sanctions,
+    moderation,
+    pushTokens,
+    audit,
+  };
+}
+
+module.exports = {
+  createSupabaseRepository,
+  createMemoryRepository,
+};
@@ -0,0 +1,74 @@
+// ============================================
+// Job scheduler
+// ============================================
+// Runs tasks at a point in time. The scheduler itself only keeps timers;
+// durability comes from the caller persisting jobs and scheduling them again
+// on startup.
+//
+// Time comes from an injectable clock ({ now, setTimeout, clearTimeout }) so
+// tests can drive it with a fake one instead of waiting.
+
+// setTimeout can't wait longer than this; longer delays are split
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle),
+};
+
+function createScheduler({ clock = systemClock, onError = () => {} } = {}) {
+  // id -> { runAt, task, timer }
+  const jobs = new Map();
+
+  function arm(id, job) {
+    const delay = Math.max(0, job.runAt - clock.now());
+    job.timer = clock.setTimeout(() => {
+      if (jobs.get(id) !== job) return;
+      if (job.runAt > clock.now()) {
+        return arm(id, job);
+      }
+      jobs.delete(id);
+      Promise.resolve()
+        .then(() => job.task())
+        .catch(error => onError(id, error));
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+    clock.clearTimeout(job.timer);
+    jobs.delete(id);
+    return true;
+  }
+
+  return {
+    // Schedules `task` to run at `runAt` (ms timestamp or Date), replacing
+    // any job with the same id. Past times run on the next tick.
+    schedule(id, runAt, task) {
+      cancel(id);
+      const job = { runAt: runAt instanceof Date ? runAt.getTime() : runAt, task, timer: null };
+      jobs.set(id, job);
+      arm(id, job);
+    },
+    cancel,
+    has(id) {
+      return jobs.has(id);
+    },
+    get size() {
+      return jobs.size;
+    },
+    stop() {
+      for (const job of jobs.values()) {
+        clock.clearTimeout(job.timer);
+      }
+      jobs.clear();
+    },
+  };
+}
+
+module.exports = {
+  systemClock,
+  createScheduler,
+};
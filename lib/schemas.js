@@ -0,0 +1,478 @@
+// ============================================
+// Inbound event schemas
+// ============================================
+// Every event a client may emit is listed here. The server rejects events
+// that aren't, and validates payloads before the handler runs, so handlers
+// can rely on the shape of `data`.
+//
+// Field rules:
+//   type      'string' | 'id' | 'boolean' | 'integer' | 'array' | 'object' | 'timestamp'
+//   required  must be present and not null
+//   nullable  null is accepted (undefined always is unless required)
+//   trim      string lengths are checked after trimming
+//   minLength / maxLength, min / max, minItems / maxItems, enum
+//   items     rule applied to each array item
+// A schema's `check(data)` runs after the field rules for constraints that
+// span fields; it returns { field, message } or null.
+
+const { PRESENCE_STATUSES } = require('./presence');
+const { PUSH_PLATFORMS } = require('./push');
+const { AUDIT_ACTIONS } = require('./audit');
+const { ATTACHMENT_TYPES } = require('./attachments');
+
+const MAX_ID_LENGTH = 128;
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_PRESENCE_LOOKUP = 200;
+const SYNC_MAX_CONVERSATIONS = 100;
+const MAX_PARTICIPANTS_PER_REQUEST = 200;
+const MAX_SANCTION_MINUTES = 366 * 24 * 60; // Timed mutes and bans: up to a year
+const MESSAGE_TYPES = ['text', 'image', 'file', 'voice', 'poll'];
+// Flagged messages start pending; reviewers dismiss them or mark them
+// actioned (e.g. after deleting the message)
+const MODERATION_STATUSES = ['pending', 'dismissed', 'actioned'];
+// The reaction picker offers these; anything else is rejected
+const ALLOWED_REACTIONS = ['👍', '👎', '❤️', '😂', '😮', '😢', '🙏', '🎉', '🔥', '👀', '✅', '💯'];
+
+const requiredId = { type: 'id', required: true };
+const optionalId = { type: 'id', nullable: true };
+const pageLimit = { type: 'integer', min: 1 };
+const sanctionReason = { type: 'string', nullable: true, maxLength: 500 };
+
+// send_message and schedule_message take the same message payload
+const sendMessageSchema = {
+  fields: {
+    conversationId: requiredId,
+    messageText: { type: 'string', nullable: true, maxLength: MAX_MESSAGE_LENGTH },
+    messageType: { type: 'string', enum: MESSAGE_TYPES },
+    // Path returned by request_upload; required for image, file and voice
+    filePath: { type: 'string', nullable: true, maxLength: 1024 },
+    replyToId: optionalId,
+    threadRootId: optionalId,
+    // Poll contents are checked in depth by validatePollInput
+    pollQuestion: { type: 'string' },
+    pollOptions: { type: 'array' },
+    allowMultiple: { type: 'boolean' },
+    anonymous: { type: 'boolean' },
+    closesAt: { type: 'timestamp', nullable: true },
+  },
+  check(data) {
+    const messageType = data.messageType || 'text';
+    if (messageType === 'text' && (!data.messageText || data.messageText.trim().length === 0)) {
+      return { field: 'messageText', message: 'Message text cannot be empty' };
+    }
+    if (ATTACHMENT_TYPES.includes(messageType) && !data.filePath) {
+      return { field: 'filePath', message: `filePath is required for ${messageType} messages; get one with request_upload` };
+    }
+    if (messageType === 'poll' && data.threadRootId) {
+      return { field: 'threadRootId', message: 'Polls cannot be posted in a thread' };
+    }
+    return null;
+  },
+};
+
+const EVENT_SCHEMAS = {
+  request_upload: {
+    fields: {
+      conversationId: requiredId,
+      messageType: { type: 'string', required: true, enum: ATTACHMENT_TYPES },
+      fileName: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 255 },
+      mimeType: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+      size: { type: 'integer', required: true, min: 1 },
+    },
+  },
+  send_message: sendMessageSchema,
+  schedule_message: {
+    fields: {
+      ...sendMessageSchema.fields,
+      sendAt: { type: 'timestamp', required: true },
+    },
+    check: sendMessageSchema.check,
+  },
+  list_scheduled: {
+    fields: { conversationId: optionalId },
+  },
+  cancel_scheduled: {
+    fields: { scheduledId: requiredId },
+  },
+  vote_poll: {
+    fields: {
+      conversationId: requiredId,
+      pollId: requiredId,
+      optionId: requiredId,
+      checked: { type: 'boolean', required: true },
+    },
+  },
+  close_poll: {
+    fields: {
+      conversationId: requiredId,
+      pollId: requiredId,
+    },
+  },
+  get_poll_results: {
+    fields: {
+      conversationId: requiredId,
+      pollId: requiredId,
+    },
+  },
+  typing_start: {
+    fields: { conversationId: requiredId },
+  },
+  typing_stop: {
+    fields: { conversationId: requiredId },
+  },
+  mark_read: {
+    fields: { conversationId: requiredId },
+  },
+  get_read_receipts: {
+    fields: {
+      conversationId: requiredId,
+      messageId: requiredId,
+    },
+  },
+  delete_message: {
+    fields: {
+      conversationId: requiredId,
+      messageId: requiredId,
+      deleteForEveryone: { type: 'boolean' },
+    },
+  },
+  edit_message: {
+    fields: {
+      conversationId: requiredId,
+      messageId: requiredId,
+      newText: { type: 'string', required: true, trim: true, minLength: 1, maxLength: MAX_MESSAGE_LENGTH },
+    },
+  },
+  get_edit_history: {
+    fields: {
+      conversationId: requiredId,
+      messageId: requiredId,
+    },
+  },
+  react_to_message: {
+    fields: {
+      conversationId: requiredId,
+      messageId: requiredId,
+      emoji: { type: 'string', required: true, enum: ALLOWED_REACTIONS },
+      toggle: { type: 'boolean' },
+    },
+  },
+  remove_reaction: {
+    fields: {
+      conversationId: requiredId,
+      messageId: requiredId,
+      emoji: { type: 'string', required: true, enum: ALLOWED_REACTIONS },
+    },
+  },
+  join_conversation: {
+    fields: { conversationId: requiredId },
+  },
+  create_conversation: {
+    fields: {
+      type: { type: 'string', required: true, enum: ['direct', 'group'] },
+      name: { type: 'string', nullable: true, trim: true, minLength: 1, maxLength: 100 },
+      participantIds: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_PARTICIPANTS_PER_REQUEST,
+        items: { type: 'id' },
+      },
+    },
+    check(data) {
+      if (data.type === 'group' && !data.name) {
+        return { field: 'name', message: 'Group conversations need a name' };
+      }
+      return null;
+    },
+  },
+  add_participants: {
+    fields: {
+      conversationId: requiredId,
+      userIds: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_PARTICIPANTS_PER_REQUEST,
+        items: { type: 'id' },
+      },
+    },
+  },
+  remove_participant: {
+    fields: {
+      conversationId: requiredId,
+      userId: requiredId,
+    },
+  },
+  leave_conversation: {
+    fields: { conversationId: requiredId },
+  },
+  mute_user: {
+    fields: {
+      conversationId: requiredId,
+      userId: requiredId,
+      minutes: { type: 'integer', required: true, min: 1, max: MAX_SANCTION_MINUTES },
+      reason: sanctionReason,
+    },
+  },
+  unmute_user: {
+    fields: {
+      conversationId: requiredId,
+      userId: requiredId,
+    },
+  },
+  kick_user: {
+    fields: {
+      conversationId: requiredId,
+      userId: requiredId,
+      reason: sanctionReason,
+    },
+  },
+  ban_user: {
+    fields: {
+      userId: requiredId,
+      // Omit for a permanent ban
+      minutes: { type: 'integer', nullable: true, min: 1, max: MAX_SANCTION_MINUTES },
+      reason: sanctionReason,
+    },
+  },
+  unban_user: {
+    fields: { userId: requiredId },
+  },
+  set_read_only: {
+    fields: {
+      conversationId: requiredId,
+      isReadOnly: { type: 'boolean', required: true },
+    },
+  },
+  get_audit_log: {
+    fields: {
+      conversationId: optionalId,
+      actorId: optionalId,
+      action: { type: 'string', nullable: true, enum: AUDIT_ACTIONS },
+      from: { type: 'timestamp', nullable: true },
+      to: { type: 'timestamp', nullable: true },
+      before: optionalId,
+      limit: pageLimit,
+    },
+  },
+  get_moderation_queue: {
+    fields: {
+      status: { type: 'string', nullable: true, enum: MODERATION_STATUSES },
+      limit: pageLimit,
+    },
+  },
+  review_moderation_item: {
+    fields: {
+      itemId: requiredId,
+      status: { type: 'string', required: true, enum: MODERATION_STATUSES.filter(s => s !== 'pending') },
+    },
+  },
+  register_push_token: {
+    fields: {
+      token: { type: 'string', required: true, minLength: 1, maxLength: 4096 },
+      platform: { type: 'string', required: true, enum: PUSH_PLATFORMS },
+    },
+  },
+  unregister_push_token: {
+    fields: {
+      token: { type: 'string', required: true, minLength: 1, maxLength: 4096 },
+    },
+  },
+  mute_conversation: {
+    fields: {
+      conversationId: requiredId,
+      muted: { type: 'boolean', required: true },
+      until: { type: 'timestamp', nullable: true },
+    },
+  },
+  set_presence: {
+    fields: {
+      status: { type: 'string', required: true, enum: PRESENCE_STATUSES },
+    },
+  },
+  get_presence: {
+    fields: {
+      userIds: { type: 'array', required: true, maxItems: MAX_PRESENCE_LOOKUP, items: { type: 'id' } },
+    },
+  },
+  search_messages: {
+    fields: {
+      query: { type: 'string', required: true, trim: true, minLength: 2, maxLength: 200 },
+      conversationId: optionalId,
+      senderId: optionalId,
+      messageType: { type: 'string', nullable: true, enum: MESSAGE_TYPES },
+      hasAttachment: { type: 'boolean', nullable: true },
+      from: { type: 'timestamp', nullable: true },
+      to: { type: 'timestamp', nullable: true },
+      before: optionalId,
+      limit: pageLimit,
+    },
+  },
+  fetch_messages: {
+    fields: {
+      conversationId: requiredId,
+      before: optionalId,
+      after: optionalId,
+      limit: pageLimit,
+    },
+    check(data) {
+      if (data.before && data.after) {
+        return { field: 'after', message: 'Use either before or after, not both' };
+      }
+      return null;
+    },
+  },
+  fetch_thread: {
+    fields: {
+      conversationId: requiredId,
+      threadRootId: requiredId,
+      before: optionalId,
+      after: optionalId,
+      limit: pageLimit,
+    },
+    check(data) {
+      if (data.before && data.after) {
+        return { field: 'after', message: 'Use either before or after, not both' };
+      }
+      return null;
+    },
+  },
+  follow_thread: {
+    fields: {
+      conversationId: requiredId,
+      threadRootId: requiredId,
+    },
+  },
+  unfollow_thread: {
+    fields: {
+      conversationId: requiredId,
+      threadRootId: requiredId,
+    },
+  },
+  fetch_conversations: {
+    fields: {
+      before: { type: 'timestamp', nullable: true },
+      limit: pageLimit,
+    },
+  },
+  sync: {
+    fields: {
+      cursors: { type: 'object', required: true },
+      limit: pageLimit,
+    },
+    check(data) {
+      const entries = Object.entries(data.cursors);
+      if (entries.length > SYNC_MAX_CONVERSATIONS) {
+        return { field: 'cursors', message: `Cannot sync more than ${SYNC_MAX_CONVERSATIONS} conversations at once` };
+      }
+      for (const [conversationId, cursor] of entries) {
+        if (cursor !== null && (!Number.isSafeInteger(cursor) || cursor < 0)) {
+          return { field: `cursors.${conversationId}`, message: 'Cursor must be a sequence number or null' };
+        }
+      }
+      return null;
+    },
+  },
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for the value, or null if it passes the rule
+function validateField(field, value, rule) {
+  if (value === undefined || value === null) {
+    if (rule.required) return `${field} is required`;
+    if (value === null && !rule.nullable) return `${field} cannot be null`;
+    return null;
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return `${field} must be a string`;
+      const length = rule.trim ? value.trim().length : value.length;
+      if (rule.minLength !== undefined && length < rule.minLength) {
+        return rule.minLength === 1 ? `${field} cannot be empty` : `${field} must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength !== undefined && length > rule.maxLength) {
+        return `${field} is too long (max ${rule.maxLength} characters)`;
+      }
+      break;
+    }
+    case 'id': {
+      const validString = typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+      const validNumber = Number.isSafeInteger(value) && value > 0;
+      if (!validString && !validNumber) return `${field} must be a valid ID`;
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${field} must be a boolean`;
+      break;
+    case 'integer':
+      if (!Number.isSafeInteger(value)) return `${field} must be an integer`;
+      if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+      break;
+    case 'timestamp':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return `${field} must be an ISO timestamp`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${field} must be an array`;
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return `${field} must have at least ${rule.minItems} items`;
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `${field} cannot have more than ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const itemError = validateField(`${field}[${i}]`, value[i], { ...rule.items, required: true });
+          if (itemError) return itemError;
+        }
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) return `${field} must be an object`;
+      break;
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of: ${rule.enum.join(', ')}`;
+  }
+  return null;
+}
+
+// Returns null when the payload is valid, otherwise { code, field, message }
+function validateEvent(event, data) {
+  // Own keys only, so `constructor` and friends aren't found on the prototype
+  const schema = Object.hasOwn(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+  if (!schema) {
+    return { code: 'unknown_event', field: null, message: `Unknown event: ${event}` };
+  }
+
+  // Events whose fields are all optional may be emitted without a payload
+  const payload = data === undefined || data === null ? {} : data;
+  if (!isPlainObject(payload)) {
+    return { code: 'invalid_payload', field: null, message: 'Payload must be an object' };
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const message = validateField(field, payload[field], rule);
+    if (message) {
+      return { code: 'invalid_payload', field, message };
+    }
+  }
+
+  const crossFieldError = schema.check ? schema.check(payload) : null;
+  if (crossFieldError) {
+    return { code: 'invalid_payload', ...crossFieldError };
+  }
+  return null;
+}
+
+module.exports = {
+  ALLOWED_REACTIONS,
+  EVENT_SCHEMAS,
+  validateEvent,
+};
@@ -0,0 +1,73 @@
+// ============================================
+// Message search
+// ============================================
+// Queries use Postgres websearch syntax (`to_tsquery` via PostgREST's
+// textSearch): plain words must all match, "quoted phrases" match together,
+// a leading "-" excludes a word and "or" between words allows either. The
+// 'simple' config is used because conversations mix languages; it matches
+// whole words, case-insensitively, without stemming.
+//
+// Postgres does the matching; this module only builds the snippet shown
+// with each result. A snippet is a window of the message text around the
+// first match, with { offset, length } highlights into the snippet (the
+// same shape as mention entities), so clients can mark them up safely.
+
+const SEARCH_CONFIG = 'simple';
+const SNIPPET_LENGTH = 160;
+const ELLIPSIS = '…';
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+const isWordChar = char => char !== undefined && WORD_CHAR.test(char);
+
+// The words and phrases a result can match, lowercased, longest first
+function searchTerms(query) {
+  const terms = [];
+  for (const [token, phrase] of query.matchAll(/-?"([^"]*)"?|\S+/g)) {
+    if (token.startsWith('-')) continue;
+    const term = (phrase !== undefined ? phrase : token).trim().toLowerCase();
+    if (term && term !== 'or') terms.push(term);
+  }
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+// Every whole-word occurrence of the terms, in order and not overlapping
+function findMatches(text, terms) {
+  const lower = text.toLowerCase();
+  const matches = [];
+  for (let i = 0; i < lower.length; i++) {
+    if (isWordChar(lower[i - 1])) continue;
+    const term = terms.find(t => lower.startsWith(t, i) && !isWordChar(lower[i + t.length]));
+    if (term) {
+      matches.push({ offset: i, length: term.length });
+      i += term.length - 1;
+    }
+  }
+  return matches;
+}
+
+function buildSnippet(text, terms, maxLength = SNIPPET_LENGTH) {
+  if (!text) return { text: '', highlights: [] };
+  const matches = findMatches(text, terms);
+
+  // Start a little before the first match, at a word boundary
+  let start = 0;
+  if (text.length > maxLength && matches.length > 0) {
+    start = Math.max(0, Math.min(matches[0].offset - Math.floor(maxLength / 3), text.length - maxLength));
+    while (start > 0 && isWordChar(text[start - 1])) start--;
+  }
+  const end = Math.min(text.length, start + maxLength);
+
+  const prefix = start > 0 ? ELLIPSIS : '';
+  const suffix = end < text.length ? ELLIPSIS : '';
+  const highlights = matches
+    .filter(m => m.offset >= start && m.offset + m.length <= end)
+    .map(m => ({ offset: m.offset - start + prefix.length, length: m.length }));
+
+  return { text: prefix + text.slice(start, end) + suffix, highlights };
+}
+
+module.exports = {
+  SEARCH_CONFIG,
+  searchTerms,
+  buildSnippet,
+};
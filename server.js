@@ -7,67 +7,162 @@
 // For Railway/Render/External Deployment
 // ============================================
 
+const crypto = require('crypto');
 const http = require('http');
 const { Server } = require('socket.io');
 const { createClient } = require('@supabase/supabase-js');
+const { createMemoryCluster, createRedisCluster } = require('./lib/cluster');
+const { PRESENCE_HEARTBEAT_MS, createPresenceTracker } = require('./lib/presence');
+const { DEFAULT_RATE_LIMITS, resolveRateLimits, createRateLimiter } = require('./lib/rate-limit');
+const { EVENT_SCHEMAS, validateEvent } = require('./lib/schemas');
+const { parseMentions, mentionedUserIds } = require('./lib/mentions');
+const { systemClock, createScheduler } = require('./lib/scheduler');
+const { createWebPushProvider, createFcmProvider, createPushDispatcher } = require('./lib/push');
+const { createAuditLog } = require('./lib/audit');
+const { ATTACHMENT_TYPES, createAttachmentStore } = require('./lib/attachments');
+const { searchTerms, buildSnippet } = require('./lib/search');
+const { createModerationPipeline } = require('./lib/moderation');
+const { logger: log, withLogContext } = require('./lib/logger');
+const { createMetrics, instrumentSupabase, secondsSince } = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health');
+const { createSupabaseRepository } = require('./lib/repository');
+const { DEFAULT_CACHE_LIMITS, createCachedRepository, subscribeToChanges } = require('./lib/cache');
 
-// Environment variables (set these in Railway dashboard)
-const PORT = process.env.PORT || 3000;
-const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
-const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'; // Set to your Vercel URL in production
-
-// Validate environment variables
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-  console.error('ERROR: Missing required environment variables');
-  console.error('Required: NEXT_PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY');
-  process.exit(1);
+// ============================================
+// HELPERS
+// ============================================
+const SYNC_DEFAULT_LIMIT = 100;
+const SYNC_MAX_LIMIT = 500;
+// Changes to a message that only go to its thread's room when it is a reply
+const THREAD_SCOPED_EVENTS = ['message_edited', 'message_deleted', 'reaction_updated'];
+// What deleting a message for everyone clears, in the row and in replays
+const DELETED_MESSAGE_CONTENT = {
+  message_text: null,
+  mentions: [],
+  file_url: null,
+  file_path: null,
+  file_name: null,
+  file_mime_type: null,
+  file_size: null,
+  poll_id: null,
+};
+const MESSAGES_DEFAULT_LIMIT = 50;
+const MESSAGES_MAX_LIMIT = 100;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const FANOUT_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+// Railway sends SIGKILL 30 seconds after SIGTERM by default
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 25 * 1000;
+const FATAL_SHUTDOWN_TIMEOUT_MS = 5 * 1000;
+// Clients reconnect after this plus up to as much again, spread out
+const DEFAULT_RECONNECT_DELAY_MS = 2 * 1000;
+// How long closing connections get to flush their last packets (acks)
+const CONNECTION_FLUSH_TIMEOUT_MS = 1000;
+const CONVERSATIONS_DEFAULT_LIMIT = 30;
+const CONVERSATIONS_MAX_LIMIT = 100;
+const POLL_RECENT_VOTERS = 3;
+const REACTION_RECENT_REACTORS = 3;
+const THREAD_RECENT_REPLIERS = 3;
+// Latest replies scanned to find the distinct recent repliers
+const THREAD_REPLIER_SCAN = 50;
+const SCHEDULE_MAX_AHEAD_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+// How long after sending non-admins may still edit a message or delete it
+// for everyone. Admins are not limited.
+const DEFAULT_MESSAGE_WINDOWS = { editMinutes: 15, deleteMinutes: 60 };
+const SCHEDULED_RELOAD_MS = 5 * 60 * 1000;
+// A job still sending this long after it was claimed belonged to an instance
+// that died mid-send
+const SCHEDULED_CLAIM_LEASE_MS = 10 * 60 * 1000;
+// The parts of a send_message payload kept for a scheduled message
+const SCHEDULED_PAYLOAD_FIELDS = ['messageText', 'messageType', 'filePath', 'replyToId', 'pollQuestion', 'pollOptions', 'allowMultiple', 'closesAt', 'anonymous', 'threadRootId'];
+
+// Every socket also joins a personal room so a user's devices can be
+// reached (and moved between conversation rooms) from any instance
+function userRoom(userId) {
+  return `user:${userId}`;
 }
 
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-
-// Create HTTP server (minimal, just for Socket.IO)
-const httpServer = http.createServer((req, res) => {
-  console.log(`HTTP ${req.method} ${req.url}`);
-  
-  // Health check endpoints (Railway checks root by default)
-  if (req.url === '/health' || req.url === '/' || req.url === '') {
-    res.writeHead(200, { 
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*'
-    });
-    res.end(JSON.stringify({ 
-      status: 'ok', 
-      service: 'SalesCrew Chat Server',
-      timestamp: new Date().toISOString()
-    }));
-  } else {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('SalesCrew Chat Server - Socket.IO running');
-  }
-});
+// Replies in a thread go to this room; followers of the thread are in it
+function threadRoom(rootId) {
+  return `thread:${rootId}`;
+}
+
+// Where changes to a message go live: those to a thread reply only reach
+// its thread, like the reply itself
+function messageRoom(message) {
+  return message.thread_root_id ? threadRoom(message.thread_root_id) : message.conversation_id;
+}
 
-// Initialize Socket.IO with CORS
-const io = new Server(httpServer, {
-  cors: {
-    origin: ALLOWED_ORIGIN,
-    methods: ['GET', 'POST'],
-    credentials: true,
-  },
-  path: '/socket.io',
-  transports: ['websocket', 'polling'],
-});
+// Admins are in this room to get flagged messages as they happen
+const MODERATION_ROOM = 'moderation_queue';
 
-console.log(`Socket.IO CORS origin set to: ${ALLOWED_ORIGIN}`);
+// The conversation rooms a socket is in, without its own, personal, thread
+// and moderation rooms
+function conversationRooms(socket) {
+  return Array.from(socket.rooms).filter(room => (
+    room !== socket.id && room !== userRoom(socket.userId) && !room.startsWith('thread:') && room !== MODERATION_ROOM
+  ));
+}
+
+function senderOf(socket) {
+  return { userId: socket.userId, userName: socket.userName, userRole: socket.userRole };
+}
+
+// Every ack error has the same shape: { error: { code, field, message } }
+function errorAck(code, message, field = null) {
+  return { error: { code, field, message } };
+}
 
-// ============================================
-// HELPERS
-// ============================================
 function isAdminRole(role) {
   return role === 'admin_staff' || role === 'admin_of_admins';
 }
 
+// Counts votes per option and keeps the most recent voters, unless the poll
+// is anonymous
+function tallyPollVotes(optionIds, votes, anonymous) {
+  const countsByOption = new Map();
+  const votersByOption = {};
+  votes.forEach(v => {
+    countsByOption.set(v.option_id, (countsByOption.get(v.option_id) || 0) + 1);
+    if (anonymous) return;
+    if (!votersByOption[v.option_id]) votersByOption[v.option_id] = [];
+    if (votersByOption[v.option_id].length < POLL_RECENT_VOTERS) {
+      votersByOption[v.option_id].push(v.user_id);
+    }
+  });
+
+  const totals = optionIds.map(id => ({ optionId: id, count: countsByOption.get(id) || 0 }));
+  return { totals, votersByOption };
+}
+
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+}
+
+// True once `minutes` have passed since the message was sent
+function windowExpired(message, minutes, now) {
+  return now - Date.parse(message.created_at) > minutes * 60 * 1000;
+}
+
+// Railway/Render terminate TLS in a proxy that appends the address it saw
+// to X-Forwarded-For. Entries left of those the `trustedProxyHops` proxies
+// appended come from the client and can be anything, so the client is the
+// entry `trustedProxyHops` from the right. With fewer entries than that, or
+// with no trusted proxies, the header is ignored.
+function clientIp(socket, trustedProxyHops) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (trustedProxyHops > 0 && typeof forwarded === 'string' && forwarded.length > 0) {
+    const entries = forwarded.split(',').map(entry => entry.trim());
+    const ip = entries[entries.length - trustedProxyHops];
+    if (ip) return ip;
+  }
+  return socket.handshake.address;
+}
+
 function validatePollInput(question, options, allowMultiple) {
   if (!question || typeof question !== 'string') {
     return 'Question is required';
@@ -94,813 +189,3242 @@ function validatePollInput(question, options, allowMultiple) {
 }
 
 // ============================================
-// AUTHENTICATION MIDDLEWARE
+// CHAT SERVER
 // ============================================
-io.use(async (socket, next) => {
-  try {
-    const token = socket.handshake.auth.token;
-    
-    if (!token) {
-      console.log('Connection rejected: No authentication token');
-      return next(new Error('Authentication token missing'));
-    }
+// Builds one server instance. Several instances can share a cluster (see
+// lib/cluster.js); with a Redis cluster they can run as separate replicas.
+function createChatServer({
+  supabase,
+  cluster,
+  allowedOrigin = '*',
+  rateLimits = DEFAULT_RATE_LIMITS,
+  clock = systemClock,
+  pushProviders = [],
+  messageWindows = DEFAULT_MESSAGE_WINDOWS,
+  attachmentsBucket = 'chat-attachments',
+  moderation = {},
+  repository = null,
+  cache = DEFAULT_CACHE_LIMITS,
+  trustedProxyHops = 1,
+}) {
+  // ============================================
+  // METRICS
+  // ============================================
+  // Served on /metrics. Supabase is wrapped first so every query made from
+  // here on, including by the lib/ modules, is timed.
+  const metrics = createMetrics();
+  const eventsReceived = metrics.counter('chat_events_received_total', 'Socket events received, by event name');
+  const eventsRejected = metrics.counter('chat_events_rejected_total', 'Socket events refused before reaching their handler, by event and error code');
+  const ackDuration = metrics.histogram('chat_ack_duration_seconds', 'Time from receiving an event to acknowledging it, by event and outcome');
+  const queryDuration = metrics.histogram('chat_supabase_query_duration_seconds', 'Supabase query latency, by table and operation');
+  const queryErrors = metrics.counter('chat_supabase_query_errors_total', 'Failed Supabase queries, by table and operation');
+  const cacheLookups = metrics.counter('chat_cache_lookups_total', 'Membership, conversation and profile cache lookups, by cache and result');
+  const broadcastFanout = metrics.histogram('chat_broadcast_fanout_sockets', 'Sockets on this instance reached by each broadcast change, by event', FANOUT_BUCKETS);
+  metrics.gauge('chat_connected_sockets', 'Open connections to this instance, authenticated or not', () => io.engine.clientsCount);
+  metrics.gauge('chat_authenticated_users', 'Distinct users with an authenticated socket on this instance', () => (
+    new Set([...io.of('/').sockets.values()].map(socket => socket.userId)).size
+  ));
+
+  supabase = instrumentSupabase(supabase, { queryDuration, queryErrors });
+  // Every table read and write goes through the repository (lib/repository.js);
+  // supabase itself is only used for auth, storage, the health probe and the
+  // cache's change feed. `cache: null` turns the cache (lib/cache.js) off.
+  const store = repository || createSupabaseRepository(supabase);
+  const db = cache ? createCachedRepository(store, { limits: cache, now: () => clock.now(), lookups: cacheLookups }) : store;
+  if (cache) {
+    metrics.gauge('chat_cache_entries', 'Entries held by the membership, conversation and profile caches', () => (
+      db.cache.sizes().map(({ name, size }) => ({ labels: { cache: name }, value: size }))
+    ));
+  }
+  // An injected repository isn't backed by this Supabase project, so there is
+  // no change feed to follow
+  const unsubscribeCache = cache && !repository ? subscribeToChanges(supabase, db.cache) : () => {};
+
+  // ============================================
+  // DRAINING
+  // ============================================
+  // Set once shutdown() starts: /readyz (and /health) report draining, and new
+  // connections and events are refused
+  let draining = false;
+  // Event handlers and scheduled jobs still running; shutdown waits for them
+  const inFlight = new Set();
+
+  function trackInFlight(result) {
+    if (!result || typeof result.then !== 'function') return result;
+    const tracked = Promise.resolve(result)
+      .catch(error => log.error('Unhandled error in handler', { err: error }))
+      .finally(() => inFlight.delete(tracked));
+    inFlight.add(tracked);
+    return tracked;
+  }
+
+  const shuttingDownError = () => ({
+    code: 'server_shutting_down',
+    field: null,
+    message: 'Server is restarting, reconnect shortly',
+  });
+
+  // ============================================
+  // HTTP ENDPOINTS
+  // ============================================
+  // Socket.IO answers /socket.io itself; everything else lands here:
+  //   /livez          liveness, always 200 while the process runs
+  //   /readyz         readiness, 503 while draining or when Supabase is down
+  //   /health, /      the same as /readyz (Railway checks / by default)
+  //   /metrics        Prometheus metrics
+  //   /admin/status   connected users and their rooms, for admins (Bearer token)
+  const health = createHealthChecks({ supabase });
+
+  function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  async function readiness() {
+    const supabaseCheck = await health.checkSupabase();
+    const status = draining ? 'draining' : supabaseCheck.ok ? 'ready' : 'not_ready';
+    return {
+      status,
+      service: 'SalesCrew Chat Server',
+      timestamp: new Date().toISOString(),
+      checks: { supabase: supabaseCheck },
+      eventLoopLag: health.eventLoopLag(),
+      connections: {
+        sockets: io.engine.clientsCount,
+        users: new Set([...io.of('/').sockets.values()].map(socket => socket.userId)).size,
+      },
+    };
+  }
+
+  // Resolves to the admin's user id, or to { status, message } to refuse with
+  async function authenticateAdminRequest(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return { status: 401, message: 'Bearer token required' };
 
-    // Verify token with Supabase
     const { data: { user }, error } = await supabase.auth.getUser(token);
-    
-    if (error || !user) {
-      console.log('Connection rejected: Invalid token');
-      return next(new Error('Invalid authentication token'));
-    }
-
-    // Attach user info to socket
-    socket.userId = user.id;
-    socket.userEmail = user.email;
-    
-    // Fetch user profile for role information
-    const { data: profile } = await supabase
-      .from('user_profiles')
-      .select('role, display_name')
-      .eq('user_id', user.id)
-      .single();
-    
-    socket.userRole = profile?.role || 'promotor';
-    socket.userName = profile?.display_name || user.email;
-    
-    console.log(`✅ Authenticated: ${socket.userName} (${socket.userRole})`);
-    next();
-  } catch (error) {
-    console.error('Socket authentication error:', error);
-    next(new Error('Authentication failed'));
+    if (error || !user) return { status: 401, message: 'Invalid token' };
+
+    const profile = await db.profiles.get(user.id);
+    if (!isAdminRole(profile?.role)) return { status: 403, message: 'Admins only' };
+    return { userId: user.id };
   }
-});
 
-// ============================================
-// CONNECTION HANDLER
-// ============================================
-io.on('connection', async (socket) => {
-  console.log(`🔌 User connected: ${socket.userId} (${socket.userName})`);
+  // Every authenticated socket across the cluster, grouped by user
+  async function connectedUsers() {
+    const sockets = await io.fetchSockets();
+    const users = new Map();
+    for (const socket of sockets) {
+      if (!socket.data.userId) continue;
+      const user = users.get(socket.data.userId) || {
+        userId: socket.data.userId,
+        userName: socket.data.userName,
+        role: socket.data.userRole,
+        sockets: [],
+      };
+      user.sockets.push({
+        socketId: socket.id,
+        connectedAt: socket.data.connectedAt,
+        rooms: [...socket.rooms].filter(room => room !== socket.id),
+      });
+      users.set(user.userId, user);
+    }
+    return [...users.values()].sort((a, b) => String(a.userName).localeCompare(String(b.userName)));
+  }
 
-  // Join user to their conversation rooms
-  try {
-    const { data: participants } = await supabase
-      .from('chat_participants')
-      .select('conversation_id')
-      .eq('user_id', socket.userId);
-    
-    if (participants) {
-      participants.forEach(({ conversation_id }) => {
-        socket.join(conversation_id);
+  async function handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': metrics.contentType });
+      res.end(metrics.render());
+    } else if (pathname === '/livez') {
+      sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    } else if (pathname === '/readyz' || pathname === '/health' || pathname === '/') {
+      const body = await readiness();
+      sendJson(res, body.status === 'ready' ? 200 : 503, body, { 'Access-Control-Allow-Origin': '*' });
+    } else if (pathname === '/admin/status') {
+      const admin = await authenticateAdminRequest(req);
+      if (!admin.userId) {
+        sendJson(res, admin.status, { error: admin.message });
+        return;
+      }
+      const users = await connectedUsers();
+      sendJson(res, 200, {
+        status: draining ? 'draining' : 'ok',
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.round(process.uptime()),
+        users,
       });
-      console.log(`📂 ${socket.userName} joined ${participants.length} rooms`);
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
     }
-  } catch (error) {
-    console.error('❌ Error joining rooms:', error);
   }
 
-  // ============================================
-  // SEND MESSAGE EVENT
-  // ============================================
-  socket.on('send_message', async (data, callback) => {
-    try {
-      const { conversationId, messageText, messageType = 'text', fileUrl = null, fileName = null, replyToId = null } = data;
+  const httpServer = http.createServer((req, res) => {
+    log.debug(`HTTP ${req.method} ${req.url}`);
+    handleHttpRequest(req, res).catch((error) => {
+      log.error('HTTP request failed', { err: error, url: req.url });
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      } else {
+        res.end();
+      }
+    });
+  });
 
-      // Validate participant
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
+  // Initialize Socket.IO with CORS
+  const io = new Server(httpServer, {
+    cors: {
+      origin: allowedOrigin,
+      methods: ['GET', 'POST'],
+      credentials: true,
+    },
+    path: '/socket.io',
+    transports: ['websocket', 'polling'],
+  });
 
-      if (!participant) {
-        return callback({ error: 'Not a participant in this conversation' });
-      }
+  io.adapter(cluster.adapter);
 
-      // Check read-only status
-      const { data: conversation } = await supabase
-        .from('chat_conversations')
-        .select('is_read_only')
-        .eq('id', conversationId)
-        .single();
+  log.info(`Socket.IO CORS origin set to: ${allowedOrigin} (${cluster.name} cluster)`);
 
-      if (conversation?.is_read_only && !['admin_staff', 'admin_of_admins'].includes(socket.userRole)) {
-        return callback({ error: 'Cannot send messages to read-only conversation' });
-      }
+  // ============================================
+  // PRESENCE
+  // ============================================
+  const presence = createPresenceTracker(cluster.store, { now: () => clock.now() });
+
+  // Updates the socket's presence and, if the user's overall status changed,
+  // broadcasts it to every conversation room the socket is in. Rooms are read
+  // up front because a disconnecting socket leaves them right after.
+  async function announcePresence(socket, status) {
+    const rooms = conversationRooms(socket);
+    socket.presenceStatus = status === 'offline' ? null : status;
+    const userPresence = await presence.update(socket.userId, socket.id, status);
+    if (userPresence && rooms.length > 0) {
+      io.to(rooms).except(socket.id).emit('presence_changed', userPresence);
+    }
+  }
 
-      // ============================================
-      // POLL MESSAGE CREATION
-      // ============================================
-      if (messageType === 'poll') {
-        if (!isAdminRole(socket.userRole)) {
-          return callback({ error: 'Only admins can create polls' });
-        }
+  // Keeps the store entries of this instance's sockets from expiring; if the
+  // process dies they expire and its users go offline (lib/presence.js)
+  let presenceHeartbeat = null;
+  function schedulePresenceHeartbeat() {
+    presenceHeartbeat = clock.setTimeout(() => {
+      const sockets = [...io.of('/').sockets.values()]
+        .filter(socket => socket.presenceStatus)
+        .map(socket => ({ userId: socket.userId, socketId: socket.id, status: socket.presenceStatus }));
+      presence.refresh(sockets).catch((error) => {
+        log.error('Error refreshing presence', { err: error });
+      });
+      schedulePresenceHeartbeat();
+    }, PRESENCE_HEARTBEAT_MS);
+  }
+  schedulePresenceHeartbeat();
 
-        const pollQuestion = data.pollQuestion;
-        const pollOptions = data.pollOptions;
-        const allowMultiple = data.allowMultiple === true;
+  // ============================================
+  // RATE LIMITING
+  // ============================================
+  const rateLimiter = createRateLimiter({ store: cluster.store, limits: rateLimits, isAdminRole });
+
+  // How many sockets on this instance a broadcast to `to` reaches
+  function localAudience(to, except) {
+    const rooms = io.of('/').adapter.rooms;
+    const socketsIn = room => [...(rooms.get(room) || [])];
+    const excluded = new Set([].concat(except).flatMap(socketsIn));
+    return new Set([].concat(to).flatMap(socketsIn).filter(id => !excluded.has(id))).size;
+  }
 
-        const validationError = validatePollInput(pollQuestion, pollOptions, allowMultiple);
-        if (validationError) {
-          return callback({ error: validationError });
-        }
+  // ============================================
+  // CHANGE LOG
+  // ============================================
+  // Every message, edit, delete, reaction and poll change broadcast to a
+  // conversation is also appended to chat_events. The row ID is the change's
+  // sequence number: it is sent along as `seq` so clients can keep a cursor
+  // per conversation and ask for what they missed with `sync`.
+  // `to` sends the change to other rooms than the conversation's (e.g. a
+  // thread's); `except` skips rooms that get their own copy of the change
+  // (e.g. the actor's user room with per-user fields added).
+  async function broadcastChange(conversationId, event, payload, { to = conversationId, except = [] } = {}) {
+    broadcastFanout.observe({ event }, localAudience(to, except));
+
+    let seq;
+    try {
+      seq = await db.events.record(conversationId, event, payload);
+    } catch (error) {
+      // Still deliver live; clients simply won't get this one through sync
+      log.error(`Error recording ${event} change`, { err: error });
+      io.to(to).except(except).emit(event, payload);
+      return payload;
+    }
 
-        // Insert poll
-        const { data: poll, error: pollInsertError } = await supabase
-          .from('chat_polls')
-          .insert({
-            conversation_id: conversationId,
-            created_by: socket.userId,
-            question: pollQuestion.trim(),
-            allow_multiple: allowMultiple,
-          })
-          .select()
-          .single();
+    const sequenced = { ...payload, seq };
+    io.to(to).except(except).emit(event, sequenced);
+    return sequenced;
+  }
 
-        if (pollInsertError || !poll) {
-          console.error('❌ Error inserting poll:', pollInsertError);
-          return callback({ error: 'Failed to create poll' });
-        }
+  // ============================================
+  // AUDIT LOG
+  // ============================================
+  const auditLog = createAuditLog({ db });
 
-        // Insert poll options
-        const optionsRows = pollOptions.map((opt, idx) => ({
-          poll_id: poll.id,
-          option_text: String(opt).trim(),
-          order_index: idx,
-        }));
+  // ============================================
+  // MODERATION
+  // ============================================
+  // `moderation` is { rules, hooks }, see lib/moderation.js. It applies to
+  // everyone, admins included.
+  const moderator = createModerationPipeline(moderation);
+
+  // Moderates several texts as one message (a poll's question and options).
+  // Returns { rejected, reason } or { texts, flags }.
+  async function moderateTexts(texts, { userId, conversationId, event }) {
+    const results = [];
+    for (const text of texts) {
+      const result = await moderator.moderate({ text, userId, conversationId, event });
+      if (result.rejected) {
+        log.info(`${event} from ${userId} in ${conversationId} rejected by rule ${result.ruleId}`);
+        return result;
+      }
+      results.push(result);
+    }
+    return { rejected: false, texts: results.map(r => r.text), flags: results.flatMap(r => r.flags) };
+  }
 
-        const { data: insertedOptions, error: optionsError } = await supabase
-          .from('chat_poll_options')
-          .insert(optionsRows)
-          .select();
+  // Flagged messages are stored for review and pushed to online admins
+  async function flagForReview({ messageId, conversationId, senderId, event, messageText, flags }) {
+    if (flags.length === 0) return;
 
-        if (optionsError || !insertedOptions) {
-          console.error('❌ Error inserting poll options:', optionsError);
-          return callback({ error: 'Failed to create poll options' });
-        }
+    let item;
+    try {
+      item = await db.moderation.enqueue({
+        message_id: messageId,
+        conversation_id: conversationId,
+        sender_id: senderId,
+        event,
+        message_text: messageText,
+        rule_ids: flags.map(f => f.ruleId),
+        reasons: flags.map(f => f.reason),
+        status: 'pending',
+      });
+    } catch (error) {
+      log.error('Error queueing flagged message', { err: error });
+      return;
+    }
 
-        // Insert chat message referencing the poll
-        const { data: pollMessage, error: messageError } = await supabase
-          .from('chat_messages')
-          .insert({
-            conversation_id: conversationId,
-            sender_id: socket.userId,
-            message_text: pollQuestion.trim(),
-            message_type: 'poll',
-            poll_id: poll.id,
-            reply_to_id: replyToId,
-          })
-          .select()
-          .single();
-
-        if (messageError || !pollMessage) {
-          console.error('❌ Error inserting poll message:', messageError);
-          return callback({ error: 'Failed to send poll message' });
-        }
-
-        // Update conversation timestamp
-        await supabase
-          .from('chat_conversations')
-          .update({ updated_at: new Date().toISOString() })
-          .eq('id', conversationId);
-
-        // Build broadcast payload
-        const pollPayload = {
-          id: poll.id,
-          question: poll.question,
-          allow_multiple: poll.allow_multiple,
-          options: insertedOptions
-            .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
-            .map(o => ({ id: o.id, text: o.option_text, count: 0, voterIds: [] })),
-          my_votes: [],
-        };
+    io.to(MODERATION_ROOM).emit('moderation_flagged', item);
+    log.info(`Message ${messageId} in ${conversationId} flagged for review`);
+  }
 
-        const messageWithSender = {
-          ...pollMessage,
-          sender_name: socket.userName,
-          sender_role: socket.userRole,
-          reply_to: null,
-          poll: pollPayload,
-        };
+  // ============================================
+  // ATTACHMENTS
+  // ============================================
+  const attachments = createAttachmentStore({ supabase, store: cluster.store, bucket: attachmentsBucket });
+
+  // Download URLs expire, so they are signed whenever messages go out,
+  // including the files quoted in reply_to previews
+  async function signMessageFiles(messages) {
+    const previews = messages.map(m => m.reply_to).filter(Boolean);
+    const signed = await attachments.signRows([...messages, ...previews]);
+    const signedPreviews = new Map(previews.map((preview, i) => [preview, signed[messages.length + i]]));
+    return signed
+      .slice(0, messages.length)
+      .map(m => (m.reply_to ? { ...m, reply_to: signedPreviews.get(m.reply_to) } : m));
+  }
 
-        io.to(conversationId).emit('new_message', messageWithSender);
-        console.log(`🗳️  Poll created in ${conversationId} by ${socket.userName}`);
-        return callback({ success: true, message: messageWithSender });
-      }
+  // ============================================
+  // MESSAGE ENRICHMENT
+  // ============================================
+  // Turns chat_messages rows into the shape send_message broadcasts:
+  // sender_name, sender_role, reply_to and poll.
+  async function fetchProfiles(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const profiles = await db.profiles.getMany(ids);
+    return new Map(profiles.map(p => [p.user_id, p]));
+  }
 
-      // Insert message
-      const { data: newMessage, error } = await supabase
-        .from('chat_messages')
-        .insert({
-          conversation_id: conversationId,
-          sender_id: socket.userId,
-          message_text: messageText,
-          message_type: messageType,
-          file_url: fileUrl,
-          file_name: fileName,
-          reply_to_id: replyToId,
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('❌ Error inserting message:', error);
-        return callback({ error: 'Failed to send message' });
-      }
-
-      // Update conversation's updated_at timestamp
-      await supabase
-        .from('chat_conversations')
-        .update({ updated_at: new Date().toISOString() })
-        .eq('id', conversationId);
-
-      // Fetch reply_to message details if this is a reply
-      let replyToDetails = null;
-      if (replyToId) {
-        const { data: replyToMessage } = await supabase
-          .from('chat_messages')
-          .select('id, sender_id, message_text, message_type, file_url, file_name')
-          .eq('id', replyToId)
-          .single();
-        
-        if (replyToMessage) {
-          // Fetch sender name for the reply-to message
-          const { data: replyToSenderProfile } = await supabase
-            .from('user_profiles')
-            .select('display_name')
-            .eq('user_id', replyToMessage.sender_id)
-            .single();
-          
-          replyToDetails = {
-            id: replyToMessage.id,
-            sender_name: replyToSenderProfile?.display_name || 'Unknown',
-            message_text: replyToMessage.message_text,
-            message_type: replyToMessage.message_type,
-            file_url: replyToMessage.file_url,
-            file_name: replyToMessage.file_name,
+  // Previews of the messages that `messages` reply to, keyed by the id of the
+  // reply. A reply only gets a preview of a message in its own conversation.
+  async function fetchReplyPreviews(messages) {
+    const replies = messages.filter(m => m.reply_to_id);
+    const ids = [...new Set(replies.map(m => m.reply_to_id))];
+    if (ids.length === 0) return new Map();
+
+    const replyToMessages = new Map((await db.messages.getMany(ids)).map(m => [m.id, m]));
+    const senders = await fetchProfiles([...replyToMessages.values()].map(m => m.sender_id));
+
+    const previews = new Map();
+    for (const reply of replies) {
+      const m = replyToMessages.get(reply.reply_to_id);
+      if (!m || m.conversation_id !== reply.conversation_id) continue;
+      previews.set(reply.id, {
+        id: m.id,
+        sender_name: senders.get(m.sender_id)?.display_name || 'Unknown',
+        message_text: m.message_text,
+        message_type: m.message_type,
+        file_url: m.file_url,
+        file_path: m.file_path,
+        file_name: m.file_name,
+      });
+    }
+    return previews;
+  }
+
+  async function fetchPollPayloads(pollIds, viewerId) {
+    const ids = [...new Set(pollIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const [polls, options, votes] = await Promise.all([
+      db.polls.getMany(ids),
+      db.polls.listOptions(ids),
+      db.votes.list(ids),
+    ]);
+
+    return new Map(polls.map((poll) => {
+      const pollVotes = votes.filter(v => v.poll_id === poll.id);
+      const pollOptions = options
+        .filter(o => o.poll_id === poll.id)
+        .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+        .map((o) => {
+          const optionVotes = pollVotes.filter(v => v.option_id === o.id);
+          return {
+            id: o.id,
+            text: o.option_text,
+            count: optionVotes.length,
+            voterIds: poll.anonymous ? [] : optionVotes.slice(0, POLL_RECENT_VOTERS).map(v => v.user_id),
           };
-        }
-      }
+        });
 
-      // Enrich message with sender info
-      const messageWithSender = {
-        ...newMessage,
-        sender_name: socket.userName,
-        sender_role: socket.userRole,
-        reply_to: replyToDetails,
+      return [poll.id, {
+        id: poll.id,
+        question: poll.question,
+        allow_multiple: poll.allow_multiple,
+        anonymous: poll.anonymous,
+        closes_at: poll.closes_at,
+        closed_at: poll.closed_at,
+        options: pollOptions,
+        my_votes: pollVotes.filter(v => v.user_id === viewerId).map(v => v.option_id),
+      }];
+    }));
+  }
+
+  async function enrichMessages(messages, viewerId) {
+    const [senders, replyPreviews, polls] = await Promise.all([
+      fetchProfiles(messages.map(m => m.sender_id)),
+      fetchReplyPreviews(messages),
+      fetchPollPayloads(messages.map(m => m.poll_id), viewerId),
+    ]);
+
+    return signMessageFiles(messages.map((message) => {
+      const enriched = {
+        ...message,
+        sender_name: senders.get(message.sender_id)?.display_name || 'Unknown',
+        sender_role: senders.get(message.sender_id)?.role || 'promotor',
+        reply_to: replyPreviews.get(message.id) || null,
       };
+      if (message.message_type === 'poll') {
+        enriched.poll = polls.get(message.poll_id) || null;
+      }
+      return enriched;
+    }));
+  }
 
-      // Broadcast to room
-      io.to(conversationId).emit('new_message', messageWithSender);
+  // Ids of the messages recorded in `rows` that have since been deleted for
+  // everyone, including the ones new messages replied to
+  async function deletedMessageIds(rows) {
+    const ids = new Set();
+    for (const { event, payload } of rows) {
+      if (event === 'new_message') {
+        ids.add(payload.id);
+        if (payload.reply_to) ids.add(payload.reply_to.id);
+      } else if (event === 'message_edited') {
+        ids.add(payload.messageId);
+      }
+    }
+    if (ids.size === 0) return new Set();
+    const current = await db.messages.getMany([...ids]);
+    return new Set(current.filter(m => m.deleted_for_all).map(m => m.id));
+  }
 
-      console.log(`💬 Message sent in ${conversationId} by ${socket.userName}`);
-      callback({ success: true, message: messageWithSender });
-    } catch (error) {
-      console.error('❌ Error sending message:', error);
-      callback({ error: 'Failed to send message' });
+  function redactDeletedContent(message, deleted) {
+    let redacted = message;
+    if (deleted.has(message.id)) {
+      redacted = { ...redacted, ...DELETED_MESSAGE_CONTENT, deleted_for_all: true, poll: null };
     }
-  });
+    if (message.reply_to && deleted.has(message.reply_to.id)) {
+      redacted = { ...redacted, reply_to: { ...message.reply_to, message_text: null, file_url: null, file_path: null, file_name: null } };
+    }
+    return redacted;
+  }
 
   // ============================================
-  // VOTE POLL
+  // REACTIONS
   // ============================================
-  socket.on('vote_poll', async (data, callback) => {
-    const cb = typeof callback === 'function' ? callback : () => {};
-    try {
-      const { conversationId, pollId, optionId, checked } = data || {};
+  async function fetchReactionSummary(messageId, viewerId) {
+    const reactions = await db.reactions.list(messageId);
+
+    // Aggregate by emoji, newest reactors first
+    const byEmoji = new Map();
+    reactions.forEach((r) => {
+      if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, []);
+      byEmoji.get(r.emoji).push(r.user_id);
+    });
 
-      // Basic validation
-      if (!conversationId || !pollId || !optionId || typeof checked !== 'boolean') {
-        return cb({ error: 'Invalid payload' });
-      }
+    const reactionsSummary = Array.from(byEmoji, ([emoji, userIds]) => ({
+      emoji,
+      count: userIds.length,
+      reactorIds: userIds.slice(0, REACTION_RECENT_REACTORS),
+    }));
 
-      // Validate participant
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
+    // Sort by count desc
+    reactionsSummary.sort((a, b) => {
+      if (a.count !== b.count) return b.count - a.count;
+      return a.emoji.localeCompare(b.emoji);
+    });
 
-      if (!participant) {
-        return cb({ error: 'Not a participant in this conversation' });
-      }
+    return {
+      reactionsSummary,
+      topReaction: reactionsSummary.length > 0
+        ? { emoji: reactionsSummary[0].emoji, count: reactionsSummary[0].count }
+        : null,
+      totalReactions: reactions.length,
+      myReactions: reactions.filter(r => r.user_id === viewerId).map(r => r.emoji),
+    };
+  }
 
-      // Fetch poll and validate it belongs to the conversation
-      const { data: poll } = await supabase
-        .from('chat_polls')
-        .select('id, conversation_id, allow_multiple')
-        .eq('id', pollId)
-        .single();
+  // Returns { rejection } with an error ack unless the user may react to the
+  // message, else { message }
+  async function checkReactionTarget(userId, conversationId, messageId) {
+    const [isParticipant, message] = await Promise.all([
+      db.participants.isMember(conversationId, userId),
+      db.messages.get(messageId),
+    ]);
 
-      if (!poll || poll.conversation_id !== conversationId) {
-        return cb({ error: 'Poll does not belong to conversation' });
-      }
+    if (!isParticipant) {
+      return { rejection: errorAck('not_participant', 'Not a participant in this conversation') };
+    }
+    if (!message || message.conversation_id !== conversationId) {
+      return { rejection: errorAck('not_found', 'Message does not belong to conversation', 'messageId') };
+    }
+    if (message.deleted_for_all) {
+      return { rejection: errorAck('invalid_state', 'Cannot react to a deleted message', 'messageId') };
+    }
 
-      // Ensure option belongs to poll
-      const { data: pollOptions } = await supabase
-        .from('chat_poll_options')
-        .select('id')
-        .eq('poll_id', pollId);
+    const mute = await activeMute(conversationId, userId);
+    if (mute) return { rejection: mutedAck(mute) };
+    return { message };
+  }
 
-      const optionIds = new Set((pollOptions || []).map(o => o.id));
-      if (!optionIds.has(optionId)) {
-        return cb({ error: 'Invalid option for this poll' });
-      }
+  // Broadcasts reaction_updated to the message's room. Only the actor's own
+  // reactions changed, so their devices get the payload with my_reactions and
+  // everyone else gets it without. Returns the actor's copy.
+  async function broadcastReactions(message, actorId) {
+    const { conversation_id: conversationId, id: messageId } = message;
+    const { myReactions, ...summary } = await fetchReactionSummary(messageId, actorId);
+    const payload = { conversationId, messageId, threadRootId: message.thread_root_id || null, ...summary };
+
+    const broadcast = await broadcastChange(conversationId, 'reaction_updated', payload, { to: messageRoom(message), except: userRoom(actorId) });
+    const actorPayload = { ...broadcast, my_reactions: myReactions };
+    io.to(userRoom(actorId)).emit('reaction_updated', actorPayload);
+    return actorPayload;
+  }
 
-      // For single-choice: remove existing votes for this user before inserting a new one
-      if (!poll.allow_multiple && checked) {
-        await supabase
-          .from('chat_poll_votes')
-          .delete()
-          .eq('poll_id', pollId)
-          .eq('user_id', socket.userId);
-      }
+  // ============================================
+  // CONVERSATION MEMBERSHIP
+  // ============================================
+  // Membership changes apply to live sockets right away, on every instance,
+  // through the users' personal rooms.
+  function moveUsersIntoConversation(userIds, conversationId) {
+    io.in(userIds.map(userRoom)).socketsJoin(conversationId);
+  }
 
-      if (checked) {
-        // Upsert vote (idempotent)
-        const { error: upsertErr } = await supabase
-          .from('chat_poll_votes')
-          .upsert({ poll_id: pollId, option_id: optionId, user_id: socket.userId }, { onConflict: 'poll_id,option_id,user_id' });
-        if (upsertErr) {
-          console.error('❌ Error upserting vote:', upsertErr);
-          return cb({ error: 'Failed to cast vote' });
-        }
-      } else {
-        // Remove vote
-        const { error: delErr } = await supabase
-          .from('chat_poll_votes')
-          .delete()
-          .eq('poll_id', pollId)
-          .eq('option_id', optionId)
-          .eq('user_id', socket.userId);
-        if (delErr) {
-          console.error('❌ Error deleting vote:', delErr);
-          return cb({ error: 'Failed to remove vote' });
-        }
-      }
-
-      // Fetch all votes for tallies and recent voters
-      const { data: votes } = await supabase
-        .from('chat_poll_votes')
-        .select('option_id, user_id, created_at')
-        .eq('poll_id', pollId)
-        .order('created_at', { ascending: false });
-
-      const countsByOption = new Map();
-      const votersByOption = {};
-      (votes || []).forEach(v => {
-        countsByOption.set(v.option_id, (countsByOption.get(v.option_id) || 0) + 1);
-        if (!votersByOption[v.option_id]) votersByOption[v.option_id] = [];
-        if (votersByOption[v.option_id].length < 3) {
-          votersByOption[v.option_id].push(v.user_id);
-        }
-      });
+  // Deletes the participant row, tells the room, then pulls the user's
+  // sockets out of it. Returns false if the user wasn't a participant.
+  async function removeParticipant(conversationId, userId, reason) {
+    if (!(await db.participants.remove(conversationId, userId))) return false;
+    const unfollowedRootIds = await db.threads.unfollowConversation(conversationId, userId);
 
-      const totals = Array.from(optionIds).map(id => ({ optionId: id, count: countsByOption.get(id) || 0 }));
-      const myVotes = (votes || [])
-        .filter(v => v.user_id === socket.userId)
-        .map(v => v.option_id);
+    io.to(conversationId).emit('participant_removed', { conversationId, userId, reason });
+    io.in(userRoom(userId)).socketsLeave([conversationId, ...unfollowedRootIds.map(threadRoom)]);
+    return true;
+  }
 
-      const payload = {
-        conversationId,
-        pollId,
-        totals,
-        votersByOption,
-        myVotes,
-      };
+  // ============================================
+  // USER SANCTIONS
+  // ============================================
+  // Mutes are per conversation and always timed (chat_user_mutes). Bans are
+  // global and may be permanent (chat_user_bans, banned_until null). Both
+  // are checked when used, so expired rows need no cleanup.
+  function activeMute(conversationId, userId) {
+    return db.sanctions.activeMute(conversationId, userId, new Date(clock.now()).toISOString());
+  }
 
-      io.to(conversationId).emit('poll_updated', payload);
-      console.log(`🗳️  Vote ${checked ? 'added' : 'removed'} by ${socket.userName} on poll ${pollId}`);
-      cb({ success: true, ...payload });
-    } catch (error) {
-      console.error('❌ Error handling vote_poll:', error);
-      const cb = typeof callback === 'function' ? callback : () => {};
-      cb({ error: 'Failed to process vote' });
-    }
-  });
+  function mutedAck(mute) {
+    return errorAck('muted', `You are muted in this conversation until ${mute.muted_until}`);
+  }
+
+  async function activeBan(userId) {
+    const ban = await db.sanctions.getBan(userId);
+
+    if (!ban || (ban.banned_until && Date.parse(ban.banned_until) <= clock.now())) return null;
+    return ban;
+  }
 
   // ============================================
-  // TYPING INDICATORS
+  // MENTIONS
   // ============================================
-  socket.on('typing_start', async ({ conversationId }) => {
-    try {
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
-
-      if (participant) {
-        socket.to(conversationId).emit('user_typing', {
-          userId: socket.userId,
-          userName: socket.userName,
-          conversationId,
-        });
-      }
-    } catch (error) {
-      console.error('❌ Error handling typing_start:', error);
+  // Mentions only resolve to participants; @all and @here only count when an
+  // admin writes them.
+  async function resolveMentions(conversationId, text, senderRole) {
+    if (typeof text !== 'string' || !text.includes('@')) {
+      return { entities: [], participantIds: [] };
     }
-  });
 
-  socket.on('typing_stop', async ({ conversationId }) => {
-    try {
-      socket.to(conversationId).emit('user_stopped_typing', {
-        userId: socket.userId,
-        conversationId,
-      });
-    } catch (error) {
-      console.error('❌ Error handling typing_stop:', error);
-    }
-  });
+    const participantIds = (await db.participants.list(conversationId)).map(p => p.user_id);
+    const profiles = await fetchProfiles(participantIds);
+    const participants = participantIds.map(id => ({ user_id: id, display_name: profiles.get(id)?.display_name || null }));
 
-  // ============================================
-  // MARK AS READ
-  // ============================================
-  socket.on('mark_read', async ({ conversationId }, callback) => {
-    try {
-      const { error } = await supabase
-        .from('chat_participants')
-        .update({ last_read_at: new Date().toISOString() })
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId);
+    return {
+      entities: parseMentions(text, participants, { allowBroadcast: isAdminRole(senderRole) }),
+      participantIds,
+    };
+  }
 
-      if (error) {
-        console.error('❌ Error marking as read:', error);
-        return callback({ error: 'Failed to mark as read' });
-      }
+  // Sends `mentioned` to each mentioned user's personal room. This is the
+  // one notification that also reaches people who muted the conversation.
+  // Returns the IDs of the users it notified.
+  async function notifyMentions(conversationId, message, entities, participantIds, sender) {
+    if (entities.length === 0) return [];
+
+    // A direct mention wins over @here, which wins over @all
+    const targets = new Map();
+    const addTargets = (userIds, mentionType) => {
+      userIds.forEach((userId) => {
+        if (userId !== sender.userId && !targets.has(userId)) targets.set(userId, mentionType);
+      });
+    };
 
-      socket.to(conversationId).emit('user_read', {
-        userId: socket.userId,
+    addTargets(mentionedUserIds(entities), 'user');
+    if (entities.some(e => e.type === 'here')) {
+      const presences = await presence.getMany(participantIds);
+      addTargets(presences.filter(p => p.status !== 'offline').map(p => p.userId), 'here');
+    }
+    if (entities.some(e => e.type === 'all')) {
+      addTargets(participantIds, 'all');
+    }
+
+    targets.forEach((mentionType, userId) => {
+      io.to(userRoom(userId)).emit('mentioned', {
         conversationId,
+        messageId: message.id,
+        mentionType,
+        senderId: sender.userId,
+        senderName: sender.userName,
+        messageText: message.message_text,
+        edited: Boolean(message.edited),
       });
+    });
+    log.info(`${targets.size} user(s) mentioned in ${conversationId} by ${sender.userName}`);
+    return Array.from(targets.keys());
+  }
 
-      callback({ success: true });
-    } catch (error) {
-      console.error('❌ Error marking as read:', error);
-      callback({ error: 'Failed to mark as read' });
-    }
-  });
+  // ============================================
+  // PUSH NOTIFICATIONS
+  // ============================================
+  const push = createPushDispatcher({ db, presence, providers: pushProviders, clock });
+
+  // Runs after the message is out; a push failure must not fail the send
+  function queuePush(message, mentionedUserIds = [], audienceIds = null) {
+    push.notifyNewMessage(message, { mentionedUserIds, audienceIds }).catch((error) => {
+      log.error('Error queueing push notifications', { err: error });
+    });
+  }
 
   // ============================================
-  // DELETE MESSAGE
+  // THREADS
   // ============================================
-  socket.on('delete_message', async (data, callback) => {
-    const cb = typeof callback === 'function' ? callback : () => {};
-    try {
-      const { conversationId, messageId, deleteForEveryone } = data;
+  // A reply sent with threadRootId goes into that message's thread. Thread
+  // replies are not broadcast to the whole conversation: the conversation
+  // room only gets thread_updated for the root, and the replies go to the
+  // thread room that the thread's followers are in. The root's author and
+  // everyone who replies follow a thread automatically.
+
+  // Returns the thread root for `rootId` or an error ack. Replying to a reply
+  // lands in the same thread, so this resolves to the top of the thread.
+  async function resolveThreadRoot(conversationId, rootId) {
+    const root = await db.messages.get(rootId);
+
+    if (!root || root.conversation_id !== conversationId) {
+      return { error: errorAck('not_found', 'Thread root does not belong to this conversation', 'threadRootId') };
+    }
+    if (root.thread_root_id) {
+      return resolveThreadRoot(conversationId, root.thread_root_id);
+    }
+    if (root.deleted_for_all) {
+      return { error: errorAck('invalid_state', 'Cannot reply in the thread of a deleted message', 'threadRootId') };
+    }
+    return { root };
+  }
 
-      // Validate participant
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
+  async function followThread(userId, conversationId, rootId) {
+    await db.threads.follow(rootId, conversationId, userId);
+    io.in(userRoom(userId)).socketsJoin(threadRoom(rootId));
+  }
 
-      if (!participant) {
-        return cb({ error: 'Not a participant in this conversation' });
-      }
+  async function unfollowThread(userId, rootId) {
+    await db.threads.unfollow(rootId, userId);
+    io.in(userRoom(userId)).socketsLeave(threadRoom(rootId));
+  }
 
-      // If deleteForEveryone is false, no broadcast needed (handled by API only)
-      if (!deleteForEveryone) {
-        return cb({ success: true });
-      }
+  // Returns an error ack unless the user may read the thread
+  async function checkThreadAccess(userId, conversationId, rootId) {
+    const [isParticipant, root] = await Promise.all([
+      db.participants.isMember(conversationId, userId),
+      db.messages.get(rootId),
+    ]);
+
+    if (!isParticipant) {
+      return errorAck('not_participant', 'Not a participant in this conversation');
+    }
+    if (!root || root.conversation_id !== conversationId || root.thread_root_id) {
+      return errorAck('not_found', 'Thread not found in this conversation', 'threadRootId');
+    }
+    return null;
+  }
 
-      // For deleteForEveryone: true, verify permissions
-      // Get the message to check ownership
-      const { data: message, error: fetchError } = await supabase
-        .from('chat_messages')
-        .select('sender_id, conversation_id')
-        .eq('id', messageId)
-        .single();
+  // Recounts a thread, stores the summary on the root message and broadcasts
+  // it to the conversation as thread_updated
+  async function updateThreadSummary(conversationId, rootId) {
+    const [replyCount, latest] = await Promise.all([
+      db.messages.countThreadReplies(rootId),
+      db.messages.latestThreadReplies(rootId, THREAD_REPLIER_SCAN),
+    ]);
 
-      if (fetchError || !message) {
-        console.error('❌ Error fetching message:', fetchError);
-        return cb({ error: 'Message not found' });
-      }
+    const summary = {
+      replyCount,
+      lastReplyAt: latest[0]?.created_at || null,
+      latestReplierIds: [...new Set(latest.map(m => m.sender_id))].slice(0, THREAD_RECENT_REPLIERS),
+    };
 
-      // Verify message belongs to this conversation
-      if (message.conversation_id !== conversationId) {
-        return cb({ error: 'Message does not belong to this conversation' });
-      }
+    await db.messages.update(rootId, { thread_reply_count: summary.replyCount, thread_last_reply_at: summary.lastReplyAt });
 
-      // Check if user is message sender OR admin
-      const isOwner = message.sender_id === socket.userId;
-      const isAdmin = ['admin_staff', 'admin_of_admins'].includes(socket.userRole);
+    return broadcastChange(conversationId, 'thread_updated', { conversationId, threadRootId: rootId, ...summary });
+  }
 
-      if (!isOwner && !isAdmin) {
-        return cb({ error: 'Not authorized to delete this message for everyone' });
+  // ============================================
+  // MESSAGE PAGES
+  // ============================================
+  // One page of a conversation's main timeline, or of a thread when
+  // threadRootId is set, relative to a cursor message: `before` loads older
+  // messages, `after` newer ones, neither the latest. Returns
+  // { page, hasMore } with the page oldest first, or { error }.
+  async function fetchMessagePage({ conversationId, threadRootId = null, before = null, after = null, pageSize }) {
+    let cursorMessage = null;
+    const cursorId = before || after;
+    if (cursorId) {
+      cursorMessage = await db.messages.get(cursorId);
+      if (!cursorMessage || cursorMessage.conversation_id !== conversationId) {
+        return { error: errorAck('not_found', 'Cursor message not found in this conversation', before ? 'before' : 'after') };
       }
+    }
 
-      // Broadcast deletion to all participants in the conversation room
-      io.to(conversationId).emit('message_deleted', {
+    let rows;
+    try {
+      // Fetch one extra row to know whether another page follows
+      rows = await db.messages.listPage({
         conversationId,
-        messageId,
-        deleteForEveryone: true,
+        threadRootId,
+        before: before ? cursorMessage.created_at : null,
+        after: after ? cursorMessage.created_at : null,
+        limit: pageSize + 1,
       });
-
-      console.log(`🗑️  Message ${messageId} deleted for everyone by ${socket.userName} in ${conversationId}`);
-      cb({ success: true });
     } catch (error) {
-      console.error('❌ Error deleting message:', error);
-      cb({ error: 'Failed to delete message' });
+      log.error('Error fetching messages', { err: error });
+      return { error: errorAck('internal_error', 'Failed to fetch messages') };
     }
-  });
+
+    const page = rows.slice(0, pageSize);
+    if (!after) page.reverse();
+    return { page, hasMore: rows.length > pageSize };
+  }
 
   // ============================================
-  // EDIT MESSAGE
+  // SEND MESSAGE
   // ============================================
-  socket.on('edit_message', async (data, callback) => {
-    const cb = typeof callback === 'function' ? callback : () => {};
-    try {
-      const { conversationId, messageId, newText } = data;
-
-      // 1) Validate input text
-      if (!newText || typeof newText !== 'string' || newText.trim().length === 0) {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Message text cannot be empty' });
-        return cb({ error: 'Message text cannot be empty' });
-      }
+  // Shared by the send_message event and scheduled messages. `sender` is
+  // { userId, userName, userRole }; returns the ack payload. Scheduled
+  // messages pass the `attachment` they claimed when they were scheduled.
+  async function sendMessage(sender, data, { attachment = null } = {}) {
+    const { conversationId, messageText, messageType = 'text', replyToId = null } = data;
+
+    // Validate participant
+    if (!(await db.participants.isMember(conversationId, sender.userId))) {
+      return errorAck('not_participant', 'Not a participant in this conversation');
+    }
 
-      if (newText.length > 5000) {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Message text too long (max 5000 chars)' });
-        return cb({ error: 'Message text too long (max 5000 chars)' });
-      }
+    // Check read-only status
+    const conversation = await db.conversations.get(conversationId);
 
-      // 2) Validate participant
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
+    if (conversation?.is_read_only && !['admin_staff', 'admin_of_admins'].includes(sender.userRole)) {
+      return errorAck('read_only', 'Cannot send messages to read-only conversation');
+    }
 
-      if (!participant) {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Not a participant in this conversation' });
-        return cb({ error: 'Not a participant in this conversation' });
-      }
+    const mute = await activeMute(conversationId, sender.userId);
+    if (mute) return mutedAck(mute);
 
-      // 3) Fetch the message to validate ownership, type, and deleted status
-      const { data: message, error: fetchError } = await supabase
-        .from('chat_messages')
-        .select('sender_id, message_type, deleted_for_all, conversation_id')
-        .eq('id', messageId)
-        .single();
+    let threadRoot = null;
+    if (data.threadRootId) {
+      const { root, error: threadError } = await resolveThreadRoot(conversationId, data.threadRootId);
+      if (threadError) return threadError;
+      threadRoot = root;
+    }
 
-      if (fetchError || !message) {
-        console.error('❌ Error fetching message:', fetchError);
-        socket.emit('error', { type: 'edit_message_failed', message: 'Message not found' });
-        return cb({ error: 'Message not found' });
+    // Only messages of the same conversation can be replied to
+    if (replyToId) {
+      const replyTo = await db.messages.get(replyToId);
+      if (!replyTo || replyTo.conversation_id !== conversationId) {
+        return errorAck('not_found', 'Reply target does not belong to this conversation', 'replyToId');
       }
+    }
 
-      // Verify message belongs to this conversation
-      if (message.conversation_id !== conversationId) {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Message does not belong to this conversation' });
-        return cb({ error: 'Message does not belong to this conversation' });
+    // ============================================
+    // POLL MESSAGE CREATION
+    // ============================================
+    if (messageType === 'poll') {
+      if (!isAdminRole(sender.userRole)) {
+        return errorAck('forbidden', 'Only admins can create polls');
       }
 
-      // Validate user owns the message (only author can edit)
-      if (message.sender_id !== socket.userId) {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Not authorized to edit this message' });
-        return cb({ error: 'Not authorized to edit this message' });
-      }
+      const pollQuestion = data.pollQuestion;
+      const pollOptions = data.pollOptions;
+      const allowMultiple = data.allowMultiple === true;
+      const anonymous = data.anonymous === true;
+      const closesAt = data.closesAt ? new Date(data.closesAt).toISOString() : null;
 
-      // Validate message type is text
-      if (message.message_type !== 'text') {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Only text messages can be edited' });
-        return cb({ error: 'Only text messages can be edited' });
+      const validationError = validatePollInput(pollQuestion, pollOptions, allowMultiple);
+      if (validationError) {
+        return errorAck('invalid_payload', validationError);
+      }
+      if (closesAt && Date.parse(closesAt) <= clock.now()) {
+        return errorAck('invalid_payload', 'closesAt must be in the future', 'closesAt');
       }
 
-      // Validate message is not deleted
-      if (message.deleted_for_all) {
-        socket.emit('error', { type: 'edit_message_failed', message: 'Cannot edit deleted messages' });
-        return cb({ error: 'Cannot edit deleted messages' });
+      const moderated = await moderateTexts([pollQuestion.trim(), ...pollOptions.map(o => o.trim())], {
+        userId: sender.userId,
+        conversationId,
+        event: 'send_message',
+      });
+      if (moderated.rejected) {
+        return errorAck('message_rejected', moderated.reason, 'pollQuestion');
       }
+      const [question, ...options] = moderated.texts;
 
-      // 4) Update the message (trim text, set edited flag)
-      // IMPORTANT: Do NOT update chat_conversations.updated_at (edits must not reorder)
-      const trimmedText = newText.trim();
-      const updatedAt = new Date().toISOString();
-      
-      const { data: updated, error: updateError } = await supabase
-        .from('chat_messages')
-        .update({
-          message_text: trimmedText,
-          edited: true,
-          updated_at: updatedAt,
-        })
-        .eq('id', messageId)
-        .eq('sender_id', socket.userId) // Double-check ownership in query
-        .select('updated_at')
-        .single();
+      // Insert poll
+      let poll;
+      try {
+        poll = await db.polls.create({
+          conversation_id: conversationId,
+          created_by: sender.userId,
+          question,
+          allow_multiple: allowMultiple,
+          anonymous,
+          closes_at: closesAt,
+        });
+      } catch (error) {
+        log.error('Error inserting poll', { err: error });
+        return errorAck('internal_error', 'Failed to create poll');
+      }
 
-      if (updateError || !updated) {
-        console.error('❌ Error updating message:', updateError);
-        socket.emit('error', { type: 'edit_message_failed', message: 'Failed to update message' });
-        return cb({ error: 'Failed to update message' });
+      // Insert poll options
+      const optionsRows = options.map((opt, idx) => ({
+        poll_id: poll.id,
+        option_text: opt,
+        order_index: idx,
+      }));
+
+      let insertedOptions;
+      try {
+        insertedOptions = await db.polls.addOptions(optionsRows);
+      } catch (error) {
+        log.error('Error inserting poll options', { err: error });
+        return errorAck('internal_error', 'Failed to create poll options');
       }
 
-      // 5) Broadcast to all participants in the conversation room
-      io.to(conversationId).emit('message_edited', {
-        conversationId,
-        messageId,
-        message_text: trimmedText,
-        edited: true,
-        updated_at: updated.updated_at || updatedAt,
+      // Insert chat message referencing the poll
+      let pollMessage;
+      try {
+        pollMessage = await db.messages.insert({
+          conversation_id: conversationId,
+          sender_id: sender.userId,
+          message_text: question,
+          message_type: 'poll',
+          poll_id: poll.id,
+          reply_to_id: replyToId,
+        });
+      } catch (error) {
+        log.error('Error inserting poll message', { err: error });
+        return errorAck('internal_error', 'Failed to send poll message');
+      }
+
+      // Update conversation timestamp
+      await db.conversations.update(conversationId, { updated_at: new Date(clock.now()).toISOString() });
+
+      // Build broadcast payload
+      const pollPayload = {
+        id: poll.id,
+        question: poll.question,
+        allow_multiple: poll.allow_multiple,
+        anonymous: poll.anonymous,
+        closes_at: poll.closes_at,
+        closed_at: null,
+        options: insertedOptions
+          .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+          .map(o => ({ id: o.id, text: o.option_text, count: 0, voterIds: [] })),
+        my_votes: [],
+      };
+
+      const messageWithSender = {
+        ...pollMessage,
+        sender_name: sender.userName,
+        sender_role: sender.userRole,
+        reply_to: null,
+        poll: pollPayload,
+      };
+
+      if (poll.closes_at) {
+        schedulePollClose(poll);
+      }
+
+      const broadcastPoll = await broadcastChange(conversationId, 'new_message', messageWithSender);
+      queuePush(broadcastPoll);
+      await flagForReview({
+        messageId: pollMessage.id,
+        conversationId,
+        senderId: sender.userId,
+        event: 'send_message',
+        messageText: [question, ...options].join('\n'),
+        flags: moderated.flags,
+      });
+      await auditLog.record('poll_created', {
+        actorId: sender.userId,
+        conversationId,
+        targetId: poll.id,
+        details: { messageId: pollMessage.id, question: poll.question, closesAt: poll.closes_at, anonymous: poll.anonymous },
       });
+      log.info(`Poll created in ${conversationId} by ${sender.userName}`);
+      return { success: true, message: broadcastPoll };
+    }
+
+    // Before claiming the upload, so a rejected message can be fixed and sent
+    // again with the same file
+    let text = messageText;
+    let flags = [];
+    if (text) {
+      const moderated = await moderateTexts([text], { userId: sender.userId, conversationId, event: 'send_message' });
+      if (moderated.rejected) {
+        return errorAck('message_rejected', moderated.reason, 'messageText');
+      }
+      [text] = moderated.texts;
+      flags = moderated.flags;
+    }
 
-      console.log(`✏️  Message ${messageId} edited by ${socket.userName} in ${conversationId}`);
-      cb({ success: true });
+    let file = attachment;
+    if (ATTACHMENT_TYPES.includes(messageType) && !file) {
+      const claimed = await attachments.claimUpload({ userId: sender.userId, conversationId, messageType, path: data.filePath });
+      if (claimed.error) return errorAck('invalid_payload', claimed.error, 'filePath');
+      file = claimed.attachment;
+    }
+
+    const { entities: mentions, participantIds } = await resolveMentions(conversationId, text, sender.userRole);
+
+    // Insert message
+    let newMessage;
+    try {
+      newMessage = await db.messages.insert({
+        conversation_id: conversationId,
+        sender_id: sender.userId,
+        message_text: text,
+        message_type: messageType,
+        file_url: null,
+        file_path: file ? file.path : null,
+        file_name: file ? file.fileName : null,
+        file_mime_type: file ? file.mimeType : null,
+        file_size: file ? file.size : null,
+        reply_to_id: replyToId,
+        thread_root_id: threadRoot ? threadRoot.id : null,
+        mentions,
+      });
     } catch (error) {
-      console.error('❌ Error editing message:', error);
-      socket.emit('error', { type: 'edit_message_failed', message: 'Internal server error' });
-      cb({ error: 'Internal server error' });
+      log.error('Error inserting message', { err: error });
+      return errorAck('internal_error', 'Failed to send message');
     }
-  });
+
+    // Update conversation's updated_at timestamp
+    await db.conversations.update(conversationId, { updated_at: new Date(clock.now()).toISOString() });
+
+    await flagForReview({
+      messageId: newMessage.id,
+      conversationId,
+      senderId: sender.userId,
+      event: 'send_message',
+      messageText: text,
+      flags,
+    });
+
+    // Fetch reply_to message details if this is a reply
+    let replyToDetails = null;
+    if (replyToId) {
+      const replyPreviews = await fetchReplyPreviews([newMessage]);
+      replyToDetails = replyPreviews.get(newMessage.id) || null;
+    }
+
+    // Enrich message with sender info
+    const [messageWithSender] = await signMessageFiles([{
+      ...newMessage,
+      sender_name: sender.userName,
+      sender_role: sender.userRole,
+      reply_to: replyToDetails,
+    }]);
+
+    if (!threadRoot) {
+      // Broadcast to room
+      const broadcastMessage = await broadcastChange(conversationId, 'new_message', messageWithSender);
+      const mentionedUserIds = await notifyMentions(conversationId, newMessage, mentions, participantIds, sender);
+      queuePush(broadcastMessage, mentionedUserIds);
+
+      log.info(`Message sent in ${conversationId} by ${sender.userName}`);
+      return { success: true, message: broadcastMessage };
+    }
+
+    // Thread reply: follow first so the sender's devices get the reply too
+    await Promise.all([
+      followThread(sender.userId, conversationId, threadRoot.id),
+      followThread(threadRoot.sender_id, conversationId, threadRoot.id),
+    ]);
+    const broadcastMessage = await broadcastChange(conversationId, 'new_message', messageWithSender, { to: threadRoom(threadRoot.id) });
+    await updateThreadSummary(conversationId, threadRoot.id);
+    const mentionedUserIds = await notifyMentions(conversationId, newMessage, mentions, participantIds, sender);
+    queuePush(broadcastMessage, mentionedUserIds, await db.threads.followerIds(threadRoot.id));
+
+    log.info(`Reply sent in thread ${threadRoot.id} of ${conversationId} by ${sender.userName}`);
+    return { success: true, message: broadcastMessage };
+
+  }
 
   // ============================================
-  // REACT TO MESSAGE
+  // SCHEDULED MESSAGES
   // ============================================
-  socket.on('react_to_message', async (data) => {
+  // Jobs live in chat_scheduled_messages so they survive restarts. Every
+  // instance loads pending jobs on startup and every few minutes, and claims
+  // a job (pending -> sending) before sending it, so only one instance does.
+  // Claims older than SCHEDULED_CLAIM_LEASE_MS go back to pending on load.
+  const scheduler = createScheduler({
+    clock,
+    onError: (jobId, error) => log.error(`Scheduled job ${jobId} failed`, { err: error }),
+  });
+
+  function scheduleMessageJob(job) {
+    scheduler.schedule(`message:${job.id}`, Date.parse(job.send_at), () => trackInFlight(runScheduledMessage(job.id)));
+  }
+
+  async function runScheduledMessage(scheduledId) {
+    const job = await db.scheduled.claim(scheduledId, new Date(clock.now()).toISOString());
+
+    // Cancelled, or claimed by another instance
+    if (!job) return;
+
+    // Send with the sender's current role and name
+    const profile = await db.profiles.get(job.sender_id);
+
+    const sender = {
+      userId: job.sender_id,
+      userName: profile?.display_name || 'Unknown',
+      userRole: profile?.role || 'promotor',
+    };
+
+    let result;
     try {
-      const { conversationId, messageId, emoji } = data;
-
-      // Validate participant
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
-
-      if (!participant) {
-        console.error('❌ Not a participant');
-        return;
-      }
+      result = await sendMessage(sender, { ...job.payload, conversationId: job.conversation_id }, { attachment: job.payload.attachment || null });
+    } catch (error) {
+      log.error('Error sending scheduled message', { err: error });
+      result = errorAck('internal_error', 'Failed to send message');
+    }
 
-      // Fetch all reactions for this message to build summary
-      const { data: reactions } = await supabase
-        .from('chat_message_reactions')
-        .select('emoji, user_id')
-        .eq('message_id', messageId);
+    if (result.error) {
+      await db.scheduled.update(job.id, { status: 'failed', error: result.error.message });
 
-      // Aggregate by emoji
-      const reactionsSummary = [];
-      const emojiCounts = new Map();
-      
-      (reactions || []).forEach(r => {
-        emojiCounts.set(r.emoji, (emojiCounts.get(r.emoji) || 0) + 1);
+      io.to(userRoom(job.sender_id)).emit('scheduled_message_failed', {
+        scheduledId: job.id,
+        conversationId: job.conversation_id,
+        error: result.error,
       });
+      log.info(`Scheduled message ${job.id} failed: ${result.error.message}`);
+      return;
+    }
 
-      emojiCounts.forEach((count, emoji) => {
-        reactionsSummary.push({ emoji, count });
-      });
+    await db.scheduled.update(job.id, { status: 'sent', sent_at: new Date(clock.now()).toISOString(), message_id: result.message.id });
 
-      // Sort by count desc
-      reactionsSummary.sort((a, b) => {
-        if (a.count !== b.count) return b.count - a.count;
-        return a.emoji.localeCompare(b.emoji);
-      });
+    io.to(userRoom(job.sender_id)).emit('scheduled_message_sent', {
+      scheduledId: job.id,
+      conversationId: job.conversation_id,
+      message: result.message,
+    });
+    log.info(`Scheduled message ${job.id} sent in ${job.conversation_id}`);
+  }
 
-      const topReaction = reactionsSummary.length > 0 
-        ? { emoji: reactionsSummary[0].emoji, count: reactionsSummary[0].count }
-        : null;
+  // ============================================
+  // POLL DEADLINES
+  // ============================================
+  function isPollClosed(poll) {
+    return Boolean(poll.closed_at) || (Boolean(poll.closes_at) && Date.parse(poll.closes_at) <= clock.now());
+  }
 
-      // Broadcast to all participants in the conversation
-      io.to(conversationId).emit('reaction_updated', {
-        conversationId,
-        messageId,
-        reactionsSummary,
-        topReaction,
-        totalReactions: reactions?.length || 0,
-      });
+  function schedulePollClose(poll) {
+    scheduler.schedule(`poll:${poll.id}`, Date.parse(poll.closes_at), () => trackInFlight(closePoll(poll.id, null)));
+  }
 
-      console.log(`👍 Reaction ${emoji} added to message ${messageId} by ${socket.userName}`);
+  // Closes a poll and broadcasts poll_closed with the final totals.
+  // closedBy is null when the deadline closed it. Returns the closed poll,
+  // or null if it was already closed.
+  async function closePoll(pollId, closedBy) {
+    const poll = await db.polls.close(pollId, { closedAt: new Date(clock.now()).toISOString(), closedBy });
+    if (!poll) return null;
+    scheduler.cancel(`poll:${pollId}`);
+
+    const [options, votes] = await Promise.all([
+      db.polls.listOptions([pollId]),
+      db.votes.list([pollId]),
+    ]);
+
+    const { totals, votersByOption } = tallyPollVotes(options.map(o => o.id), votes, poll.anonymous);
+
+    await broadcastChange(poll.conversation_id, 'poll_closed', {
+      conversationId: poll.conversation_id,
+      pollId,
+      closed_at: poll.closed_at,
+      closedBy,
+      totals,
+      votersByOption,
+    });
+
+    await auditLog.record('poll_closed', {
+      actorId: closedBy,
+      conversationId: poll.conversation_id,
+      targetId: pollId,
+      details: { reason: closedBy ? 'closed_by_admin' : 'deadline', totals },
+    });
+
+    log.info(`Poll ${pollId} closed ${closedBy ? `by ${closedBy}` : '(deadline reached)'}`);
+    return poll;
+  }
+
+  async function loadPollDeadlines() {
+    let polls;
+    try {
+      polls = await db.polls.listOpen();
+    } catch (error) {
+      log.error('Error loading poll deadlines', { err: error });
+      return;
+    }
+
+    for (const poll of polls) {
+      if (poll.closes_at && !scheduler.has(`poll:${poll.id}`)) {
+        schedulePollClose(poll);
+      }
+    }
+  }
+
+  async function loadScheduledMessages() {
+    let jobs;
+    try {
+      // Sent at least once: if the instance died after sending but before
+      // marking the job sent, the message goes out again
+      const reclaimed = await db.scheduled.reclaimStale(new Date(clock.now() - SCHEDULED_CLAIM_LEASE_MS).toISOString());
+      reclaimed.forEach(job => log.warn(`Scheduled message ${job.id} was left sending, retrying`));
+      jobs = await db.scheduled.listPending();
     } catch (error) {
-      console.error('❌ Error handling react_to_message:', error);
+      log.error('Error loading scheduled messages', { err: error });
+      return;
+    }
+
+    for (const job of jobs) {
+      if (!scheduler.has(`message:${job.id}`)) {
+        scheduleMessageJob(job);
+      }
     }
+  }
+
+  // Periodic reload picks up jobs and poll deadlines created on instances
+  // that have since died
+  function scheduleReload() {
+    scheduler.schedule('reload', clock.now() + SCHEDULED_RELOAD_MS, async () => {
+      try {
+        await Promise.all([loadScheduledMessages(), loadPollDeadlines()]);
+      } finally {
+        scheduleReload();
+      }
+    });
+  }
+
+  Promise.all([loadScheduledMessages(), loadPollDeadlines()]).catch((error) => {
+    log.error('Error loading scheduled jobs', { err: error });
   });
+  scheduleReload();
 
   // ============================================
-  // REMOVE REACTION
+  // AUTHENTICATION MIDDLEWARE
   // ============================================
-  socket.on('remove_reaction', async (data) => {
+  // Every socket gets a correlation ID (the client's, if it sends one) that
+  // is on all of its log lines from here on, across instances
+  io.use((socket, next) => {
+    if (draining) {
+      const error = new Error('Server is shutting down');
+      error.data = shuttingDownError();
+      return next(error);
+    }
+
+    const requested = socket.handshake.auth.correlationId || socket.handshake.headers['x-correlation-id'];
+    socket.correlationId = typeof requested === 'string' && /^[\w.:-]{1,128}$/.test(requested) ? requested : crypto.randomUUID();
+    withLogContext({ correlationId: socket.correlationId, socketId: socket.id }, next);
+  });
+
+  io.use(async (socket, next) => {
     try {
-      const { conversationId, messageId } = data;
-
-      // Validate participant
-      const { data: participant } = await supabase
-        .from('chat_participants')
-        .select('conversation_id')
-        .eq('conversation_id', conversationId)
-        .eq('user_id', socket.userId)
-        .single();
-
-      if (!participant) {
-        console.error('❌ Not a participant');
-        return;
+      // Per-IP connection rate limit, checked before any Supabase call
+      const ip = clientIp(socket, trustedProxyHops);
+      const connectionLimit = await rateLimiter.consumeConnection(ip);
+      if (!connectionLimit.allowed) {
+        log.info(`Connection rejected: Too many connection attempts from ${ip}`);
+        const rateLimitError = new Error('Too many connection attempts');
+        rateLimitError.data = { code: 'rate_limited', retryAfterMs: connectionLimit.retryAfterMs };
+        return next(rateLimitError);
       }
 
-      // Fetch all reactions for this message to build summary
-      const { data: reactions } = await supabase
-        .from('chat_message_reactions')
-        .select('emoji, user_id')
-        .eq('message_id', messageId);
+      const token = socket.handshake.auth.token;
 
-      // Aggregate by emoji
-      const reactionsSummary = [];
-      const emojiCounts = new Map();
-      
-      (reactions || []).forEach(r => {
-        emojiCounts.set(r.emoji, (emojiCounts.get(r.emoji) || 0) + 1);
-      });
+      if (!token) {
+        log.info('Connection rejected: No authentication token');
+        return next(new Error('Authentication token missing'));
+      }
 
-      emojiCounts.forEach((count, emoji) => {
-        reactionsSummary.push({ emoji, count });
-      });
+      // Verify token with Supabase
+      const { data: { user }, error } = await supabase.auth.getUser(token);
 
-      // Sort by count desc
-      reactionsSummary.sort((a, b) => {
-        if (a.count !== b.count) return b.count - a.count;
-        return a.emoji.localeCompare(b.emoji);
-      });
+      if (error || !user) {
+        log.info('Connection rejected: Invalid token');
+        return next(new Error('Invalid authentication token'));
+      }
 
-      const topReaction = reactionsSummary.length > 0 
-        ? { emoji: reactionsSummary[0].emoji, count: reactionsSummary[0].count }
-        : null;
+      const ban = await activeBan(user.id);
+      if (ban) {
+        log.info(`Connection rejected: ${user.id} is banned`);
+        const banError = new Error('You are banned from chat');
+        banError.data = { code: 'banned', bannedUntil: ban.banned_until, reason: ban.reason };
+        return next(banError);
+      }
 
-      // Broadcast to all participants
-      io.to(conversationId).emit('reaction_updated', {
-        conversationId,
-        messageId,
-        reactionsSummary,
-        topReaction,
-        totalReactions: reactions?.length || 0,
-      });
+      // Attach user info to socket
+      socket.userId = user.id;
+      socket.userEmail = user.email;
+
+      // Fetch user profile for role information
+      const profile = await db.profiles.get(user.id);
+
+      socket.userRole = profile?.role || 'promotor';
+      socket.userName = profile?.display_name || user.email;
+      // For /admin/status, which sees sockets on other instances too
+      socket.data = {
+        userId: socket.userId,
+        userName: socket.userName,
+        userRole: socket.userRole,
+        connectedAt: new Date().toISOString(),
+      };
 
-      console.log(`🗑️ Reaction removed from message ${messageId} by ${socket.userName}`);
+      log.info(`Authenticated: ${socket.userName} (${socket.userRole})`);
+      next();
     } catch (error) {
-      console.error('❌ Error handling remove_reaction:', error);
+      log.error('Socket authentication error', { err: error });
+      next(new Error('Authentication failed'));
     }
   });
 
   // ============================================
-  // JOIN CONVERSATION (Dynamic)
+  // CONNECTION HANDLER
   // ============================================
-  socket.on('join_conversation', ({ conversationId }) => {
-    socket.join(conversationId);
-    console.log(`📂 ${socket.userName} joined conversation ${conversationId}`);
-  });
+  io.on('connection', async (socket) => {
+    log.info(`User connected: ${socket.userId} (${socket.userName})`);
+
+    // Every handler registered below is tracked until it settles
+    const addListener = socket.on.bind(socket);
+    socket.on = (event, handler) => addListener(event, (...args) => trackInFlight(handler(...args)));
+
+    // Rejects an inbound event: through its ack when it has one, otherwise
+    // with an event_rejected notification
+    function rejectEvent(event, args, error) {
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        ack({ error });
+      } else {
+        socket.emit('event_rejected', { event, error });
+      }
+    }
 
-  // ============================================
-  // DISCONNECT
-  // ============================================
-  socket.on('disconnect', () => {
-    console.log(`🔌 User disconnected: ${socket.userId} (${socket.userName})`);
-  });
-});
+    // Everything done for an event, down to its Supabase queries, is logged
+    // with the socket's IDs and an ID for the event
+    socket.use((packet, next) => {
+      withLogContext({
+        correlationId: socket.correlationId,
+        socketId: socket.id,
+        userId: socket.userId,
+        event: packet[0],
+        eventId: crypto.randomUUID(),
+      }, next);
+    });
 
-// ============================================
-// START SERVER
-// ============================================
-httpServer.listen(PORT, '0.0.0.0', () => {
-  console.log('===========================================');
-  console.log('🚀 SalesCrew Chat Server');
-  console.log('===========================================');
-  console.log(`📡 Socket.IO listening on port ${PORT}`);
-  console.log(`🌍 Allowed origin: ${ALLOWED_ORIGIN}`);
-  console.log(`🔗 Supabase connected: ${SUPABASE_URL}`);
-  console.log('===========================================');
-  
-  // Keep the process alive with periodic logging
-  setInterval(() => {
-    console.log(`[${new Date().toISOString()}] Server alive - Active connections: ${io.engine.clientsCount}`);
-  }, 30000); // Log every 30 seconds
-});
-
-// Graceful shutdown (only on explicit shutdown, keep running otherwise)
-process.on('SIGTERM', () => {
-  console.log('⚠️  SIGTERM signal received - Railway wants to stop the server');
-  console.log('Attempting to keep server alive...');
-  
-  // Don't close immediately - Railway might be testing
-  setTimeout(() => {
-    console.log('Graceful shutdown after 10 seconds');
-    httpServer.close(() => {
-      console.log('HTTP server closed');
-      process.exit(0);
-    });
-  }, 10000);
-});
-
-// Prevent uncaught exceptions from crashing
-process.on('uncaughtException', (err) => {
-  console.error('❌ Uncaught Exception:', err);
-  // Don't exit, keep running
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  // Don't exit, keep running
-});
+    // Throttle and validate every inbound event before its handler runs.
+    // Registered first so no event can slip past while rooms are joined.
+    socket.use(async (packet, next) => {
+      // Payload-less emits (emit('fetch_conversations', ack)) get an empty
+      // payload so every handler can take (data, callback)
+      if (typeof packet[1] === 'function') {
+        packet.splice(1, 0, {});
+      }
+
+      // Unknown event names share one label so clients can't add series
+      const eventLabel = Object.hasOwn(EVENT_SCHEMAS, packet[0]) ? packet[0] : 'unknown';
+      eventsReceived.inc({ event: eventLabel });
+
+      // Time every acked event, rejected or handled, up to its ack
+      const ackIndex = packet.length - 1;
+      if (typeof packet[ackIndex] === 'function') {
+        const ack = packet[ackIndex];
+        const started = process.hrtime.bigint();
+        packet[ackIndex] = (...response) => {
+          const outcome = response[0] && response[0].error ? 'error' : 'ok';
+          ackDuration.observe({ event: eventLabel, outcome }, secondsSince(started));
+          ack(...response);
+        };
+      }
+      const [event, ...args] = packet;
+
+      if (draining) {
+        eventsRejected.inc({ event: eventLabel, code: 'server_shutting_down' });
+        return rejectEvent(event, args, shuttingDownError());
+      }
+
+      const { allowed, retryAfterMs } = await rateLimiter.consumeEvent(socket.userId, socket.userRole, event);
+      if (!allowed) {
+        log.info(`Rate limited ${event} from ${socket.userName} (retry in ${retryAfterMs}ms)`);
+        eventsRejected.inc({ event: eventLabel, code: 'rate_limited' });
+        return rejectEvent(event, args, {
+          code: 'rate_limited',
+          field: null,
+          message: 'Too many requests, slow down',
+          retryAfterMs,
+        });
+      }
+
+      const validationError = validateEvent(event, args[0]);
+      if (validationError) {
+        log.info(`Rejected ${event} from ${socket.userName}: ${validationError.message}`);
+        eventsRejected.inc({ event: eventLabel, code: validationError.code });
+        return rejectEvent(event, args, validationError);
+      }
+      // The validator read a missing payload as {}; hand the handler the same
+      if (packet[1] === undefined || packet[1] === null) packet[1] = {};
+
+      next();
+    });
+
+    // Join user to their personal room and their conversation rooms
+    socket.join(userRoom(socket.userId));
+    if (isAdminRole(socket.userRole)) {
+      socket.join(MODERATION_ROOM);
+    }
+    try {
+      const participants = await db.participants.listForUser(socket.userId);
+      participants.forEach(({ conversation_id }) => {
+        socket.join(conversation_id);
+      });
+      log.info(`${socket.userName} joined ${participants.length} rooms`);
+
+      const followedRootIds = await db.threads.followedRootIds(socket.userId);
+      followedRootIds.forEach(rootId => socket.join(threadRoom(rootId)));
+    } catch (error) {
+      log.error('Error joining rooms', { err: error });
+    }
+
+    // Announce presence once the socket is in its rooms
+    announcePresence(socket, 'online').catch((error) => {
+      log.error('Error updating presence', { err: error });
+    });
+
+    // ============================================
+    // SEND MESSAGE EVENT
+    // ============================================
+    socket.on('request_upload', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, messageType, fileName, mimeType, size } = data;
+
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        const { upload, error } = await attachments.requestUpload({
+          userId: socket.userId,
+          conversationId,
+          messageType,
+          fileName,
+          mimeType,
+          size,
+        });
+        if (error) {
+          return cb(errorAck('invalid_payload', error));
+        }
+
+        log.info(`Upload issued for ${messageType} in ${conversationId} to ${socket.userName}`);
+        cb({ success: true, upload });
+      } catch (error) {
+        log.error('Error handling request_upload', { err: error });
+        cb(errorAck('internal_error', 'Failed to prepare upload'));
+      }
+    });
+
+    socket.on('send_message', async (data, callback) => {
+      try {
+        callback(await sendMessage(senderOf(socket), data));
+      } catch (error) {
+        log.error('Error sending message', { err: error });
+        callback(errorAck('internal_error', 'Failed to send message'));
+      }
+    });
+
+    // ============================================
+    // SCHEDULED MESSAGES (admin)
+    // ============================================
+    socket.on('schedule_message', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, sendAt } = data;
+
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can schedule messages'));
+        }
+
+        const sendAtMs = Date.parse(sendAt);
+        if (sendAtMs <= clock.now()) {
+          return cb(errorAck('invalid_payload', 'sendAt must be in the future', 'sendAt'));
+        }
+        if (sendAtMs > clock.now() + SCHEDULE_MAX_AHEAD_MS) {
+          return cb(errorAck('invalid_payload', 'sendAt cannot be more than 30 days ahead', 'sendAt'));
+        }
+
+        if (data.messageType === 'poll') {
+          const validationError = validatePollInput(data.pollQuestion, data.pollOptions, data.allowMultiple === true);
+          if (validationError) {
+            return cb(errorAck('invalid_payload', validationError));
+          }
+          if (data.closesAt && Date.parse(data.closesAt) <= sendAtMs) {
+            return cb(errorAck('invalid_payload', 'closesAt must be after sendAt', 'closesAt'));
+          }
+        }
+
+        // Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        const payload = {};
+        for (const field of SCHEDULED_PAYLOAD_FIELDS) {
+          if (data[field] !== undefined) payload[field] = data[field];
+        }
+
+        // Uploads expire long before most send times, so the file is claimed
+        // now and kept with the job
+        if (ATTACHMENT_TYPES.includes(data.messageType)) {
+          const claimed = await attachments.claimUpload({
+            userId: socket.userId,
+            conversationId,
+            messageType: data.messageType,
+            path: data.filePath,
+          });
+          if (claimed.error) {
+            return cb(errorAck('invalid_payload', claimed.error, 'filePath'));
+          }
+          payload.attachment = claimed.attachment;
+        }
+
+        const job = await db.scheduled.create({
+          conversation_id: conversationId,
+          sender_id: socket.userId,
+          payload,
+          send_at: new Date(sendAtMs).toISOString(),
+          status: 'pending',
+        });
+
+        scheduleMessageJob(job);
+        log.info(`Message scheduled in ${conversationId} for ${job.send_at} by ${socket.userName}`);
+        cb({ success: true, scheduled: job });
+      } catch (error) {
+        log.error('Error scheduling message', { err: error });
+        cb(errorAck('internal_error', 'Failed to schedule message'));
+      }
+    });
+
+    socket.on('list_scheduled', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId = null } = data;
+
+        const jobs = await db.scheduled.listPending({ senderId: socket.userId, conversationId });
+        cb({ success: true, scheduled: jobs });
+      } catch (error) {
+        log.error('Error listing scheduled messages', { err: error });
+        cb(errorAck('internal_error', 'Failed to list scheduled messages'));
+      }
+    });
+
+    socket.on('cancel_scheduled', async ({ scheduledId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        // Only pending jobs can be cancelled; a job being sent is too late
+        if (!(await db.scheduled.cancel(scheduledId, socket.userId))) {
+          return cb(errorAck('not_found', 'No pending scheduled message with this ID', 'scheduledId'));
+        }
+
+        // Other instances' timers find the job cancelled when they fire
+        scheduler.cancel(`message:${scheduledId}`);
+        log.info(`Scheduled message ${scheduledId} cancelled by ${socket.userName}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error cancelling scheduled message', { err: error });
+        cb(errorAck('internal_error', 'Failed to cancel scheduled message'));
+      }
+    });
+
+    // ============================================
+    // VOTE POLL
+    // ============================================
+    socket.on('vote_poll', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, pollId, optionId, checked } = data || {};
+
+        // Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        // Fetch poll and validate it belongs to the conversation
+        const poll = await db.polls.get(pollId);
+
+        if (!poll || poll.conversation_id !== conversationId) {
+          return cb(errorAck('not_found', 'Poll does not belong to conversation', 'pollId'));
+        }
+
+        if (isPollClosed(poll)) {
+          // The deadline can pass before its timer fires (e.g. after a restart)
+          if (!poll.closed_at) {
+            await closePoll(poll.id, null);
+          }
+          return cb(errorAck('poll_closed', 'This poll is closed', 'pollId'));
+        }
+
+        // Ensure option belongs to poll
+        const pollOptions = await db.polls.listOptions([pollId]);
+        const optionIds = new Set(pollOptions.map(o => o.id));
+        if (!optionIds.has(optionId)) {
+          return cb(errorAck('not_found', 'Invalid option for this poll', 'optionId'));
+        }
+
+        // For single-choice: remove existing votes for this user before inserting a new one
+        if (!poll.allow_multiple && checked) {
+          await db.votes.remove(pollId, socket.userId);
+        }
+
+        if (checked) {
+          // Upsert vote (idempotent)
+          try {
+            await db.votes.add(pollId, optionId, socket.userId);
+          } catch (error) {
+            log.error('Error upserting vote', { err: error });
+            return cb(errorAck('internal_error', 'Failed to cast vote'));
+          }
+        } else {
+          // Remove vote
+          try {
+            await db.votes.remove(pollId, socket.userId, optionId);
+          } catch (error) {
+            log.error('Error deleting vote', { err: error });
+            return cb(errorAck('internal_error', 'Failed to remove vote'));
+          }
+        }
+
+        // Fetch all votes for tallies and recent voters
+        const votes = await db.votes.list([pollId]);
+
+        const { totals, votersByOption } = tallyPollVotes(Array.from(optionIds), votes, poll.anonymous);
+        const myVotes = votes
+          .filter(v => v.user_id === socket.userId)
+          .map(v => v.option_id);
+
+        // In anonymous polls the room must not learn who picked what, so the
+        // voter's own choices only go back in the ack
+        const payload = {
+          conversationId,
+          pollId,
+          totals,
+          votersByOption,
+        };
+        if (!poll.anonymous) {
+          payload.myVotes = myVotes;
+        }
+
+        const broadcastPayload = await broadcastChange(conversationId, 'poll_updated', payload);
+        log.info(`Vote ${checked ? 'added' : 'removed'} by ${socket.userName} on poll ${pollId}`);
+        cb({ success: true, ...broadcastPayload, myVotes });
+      } catch (error) {
+        log.error('Error handling vote_poll', { err: error });
+        cb(errorAck('internal_error', 'Failed to process vote'));
+      }
+    });
+
+    // ============================================
+    // CLOSE POLL (admin)
+    // ============================================
+    socket.on('close_poll', async ({ conversationId, pollId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can close polls'));
+        }
+
+        const poll = await db.polls.get(pollId);
+
+        if (!poll || poll.conversation_id !== conversationId) {
+          return cb(errorAck('not_found', 'Poll does not belong to conversation', 'pollId'));
+        }
+
+        const closed = await closePoll(pollId, socket.userId);
+        if (!closed) {
+          return cb(errorAck('poll_closed', 'This poll is already closed', 'pollId'));
+        }
+
+        cb({ success: true, closed_at: closed.closed_at });
+      } catch (error) {
+        log.error('Error closing poll', { err: error });
+        cb(errorAck('internal_error', 'Failed to close poll'));
+      }
+    });
+
+    // ============================================
+    // POLL RESULTS (admin)
+    // ============================================
+    // Full tallies plus one row per vote, also rendered as CSV, with voters
+    // for every poll.
+    socket.on('get_poll_results', async ({ conversationId, pollId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can export poll results'));
+        }
+
+        const poll = await db.polls.get(pollId);
+
+        if (!poll || poll.conversation_id !== conversationId) {
+          return cb(errorAck('not_found', 'Poll does not belong to conversation', 'pollId'));
+        }
+
+        const [options, votes] = await Promise.all([
+          db.polls.listOptions([pollId]),
+          db.votes.list([pollId], { ascending: true }),
+        ]);
+
+        const sortedOptions = options.sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0));
+        const optionTexts = new Map(sortedOptions.map(o => [o.id, o.option_text]));
+        // `anonymous` only keeps identities out of what the room is sent
+        const voters = await fetchProfiles(votes.map(v => v.user_id));
+        const voterName = v => voters.get(v.user_id)?.display_name || 'Unknown';
+
+        const results = sortedOptions.map((o) => {
+          const optionVotes = votes.filter(v => v.option_id === o.id);
+          return {
+            optionId: o.id,
+            text: o.option_text,
+            count: optionVotes.length,
+            voters: optionVotes.map(v => ({ userId: v.user_id, name: voterName(v), votedAt: v.created_at })),
+          };
+        });
+
+        const columns = ['option', 'voter_id', 'voter_name', 'voted_at'];
+        const rows = votes.map(v => ({
+          option: optionTexts.get(v.option_id) || '',
+          voter_id: v.user_id,
+          voter_name: voterName(v),
+          voted_at: v.created_at,
+        }));
+
+        cb({
+          success: true,
+          poll: {
+            id: poll.id,
+            question: poll.question,
+            allow_multiple: poll.allow_multiple,
+            anonymous: poll.anonymous,
+            closes_at: poll.closes_at,
+            closed_at: poll.closed_at,
+          },
+          totalVotes: votes.length,
+          totalVoters: new Set(votes.map(v => v.user_id)).size,
+          results,
+          columns,
+          rows,
+          csv: toCsv(rows, columns),
+        });
+      } catch (error) {
+        log.error('Error fetching poll results', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch poll results'));
+      }
+    });
+
+    // ============================================
+    // TYPING INDICATORS
+    // ============================================
+    socket.on('typing_start', async ({ conversationId }) => {
+      try {
+        if (await db.participants.isMember(conversationId, socket.userId)) {
+          socket.to(conversationId).emit('user_typing', {
+            userId: socket.userId,
+            userName: socket.userName,
+            conversationId,
+          });
+        }
+      } catch (error) {
+        log.error('Error handling typing_start', { err: error });
+      }
+    });
+
+    socket.on('typing_stop', async ({ conversationId }) => {
+      try {
+        socket.to(conversationId).emit('user_stopped_typing', {
+          userId: socket.userId,
+          conversationId,
+        });
+      } catch (error) {
+        log.error('Error handling typing_stop', { err: error });
+      }
+    });
+
+    // ============================================
+    // MARK AS READ
+    // ============================================
+    socket.on('mark_read', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId } = data;
+        const readAt = new Date(clock.now()).toISOString();
+        if (!(await db.participants.update(conversationId, socket.userId, { last_read_at: readAt }))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        // The newest message covered by the new last_read_at
+        const lastRead = await db.messages.latest(conversationId, { until: readAt });
+        const lastReadMessageId = lastRead?.id ?? null;
+
+        socket.to(conversationId).emit('user_read', {
+          userId: socket.userId,
+          conversationId,
+          lastReadMessageId,
+          readAt,
+        });
+
+        cb({ success: true, lastReadMessageId, readAt });
+      } catch (error) {
+        log.error('Error marking as read', { err: error });
+        cb(errorAck('internal_error', 'Failed to mark as read'));
+      }
+    });
+
+    // ============================================
+    // READ RECEIPTS
+    // ============================================
+    // A participant has seen a message once their last_read_at is at or past
+    // the message's created_at. The sender doesn't count towards the total.
+    socket.on('get_read_receipts', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, messageId } = data;
+
+        // Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        const message = await db.messages.get(messageId);
+        if (!message || message.conversation_id !== conversationId) {
+          return cb(errorAck('not_found', 'Message not found', 'messageId'));
+        }
+
+        const participants = await db.participants.list(conversationId);
+        const recipients = participants.filter(p => p.user_id !== message.sender_id);
+        // Compare as dates: Postgres and toISOString() format timestamps differently
+        const sentAt = Date.parse(message.created_at);
+        const readers = recipients
+          .filter(p => p.last_read_at && Date.parse(p.last_read_at) >= sentAt)
+          .sort((a, b) => Date.parse(a.last_read_at) - Date.parse(b.last_read_at));
+
+        const profiles = await fetchProfiles(readers.map(p => p.user_id));
+
+        cb({
+          success: true,
+          conversationId,
+          messageId,
+          seenBy: readers.map(p => ({
+            userId: p.user_id,
+            name: profiles.get(p.user_id)?.display_name || 'Unknown',
+            readAt: p.last_read_at,
+          })),
+          seenCount: readers.length,
+          totalCount: recipients.length,
+        });
+      } catch (error) {
+        log.error('Error handling get_read_receipts', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch read receipts'));
+      }
+    });
+
+    // ============================================
+    // DELETE MESSAGE
+    // ============================================
+    socket.on('delete_message', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, messageId, deleteForEveryone } = data;
+
+        // Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        // Deleting just for yourself is stored by the API; nothing to broadcast
+        if (!deleteForEveryone) {
+          return cb({ success: true });
+        }
+
+        // For deleteForEveryone: true, verify permissions
+        // Get the message to check ownership
+        const message = await db.messages.get(messageId);
+        if (!message) {
+          return cb(errorAck('not_found', 'Message not found', 'messageId'));
+        }
+
+        // Verify message belongs to this conversation
+        if (message.conversation_id !== conversationId) {
+          return cb(errorAck('not_found', 'Message does not belong to this conversation', 'messageId'));
+        }
+
+        // Check if user is message sender OR admin
+        const isOwner = message.sender_id === socket.userId;
+        const isAdmin = ['admin_staff', 'admin_of_admins'].includes(socket.userRole);
+
+        if (!isOwner && !isAdmin) {
+          return cb(errorAck('forbidden', 'Not authorized to delete this message for everyone'));
+        }
+
+        // Retried deletes succeed without a second broadcast, even once the
+        // window has passed
+        if (message.deleted_for_all) {
+          return cb({ success: true });
+        }
+
+        if (!isAdmin && windowExpired(message, messageWindows.deleteMinutes, clock.now())) {
+          return cb(errorAck('delete_window_expired', `Messages can only be deleted for everyone within ${messageWindows.deleteMinutes} minutes of sending`));
+        }
+
+        // Persist first, so nobody is told about a deletion that didn't happen.
+        // The content goes too; what an admin removed is kept in the audit log.
+        await db.messages.update(messageId, { deleted_for_all: true, ...DELETED_MESSAGE_CONTENT });
+
+        // A deleted poll takes no more votes. Its rows stay, unlinked from the
+        // message, so votes already cast keep their foreign keys.
+        if (message.poll_id) {
+          await db.polls.close(message.poll_id, { closedAt: new Date(clock.now()).toISOString(), closedBy: socket.userId });
+          scheduler.cancel(`poll:${message.poll_id}`);
+        }
+
+        // Broadcast deletion to the conversation room, or the thread's for a
+        // reply; the thread summary below tells the conversation
+        await broadcastChange(conversationId, 'message_deleted', {
+          conversationId,
+          messageId,
+          threadRootId: message.thread_root_id || null,
+          deleteForEveryone: true,
+        }, { to: messageRoom(message) });
+
+        if (message.thread_root_id) {
+          await updateThreadSummary(conversationId, message.thread_root_id);
+        }
+
+        // Admins deleting for everyone is moderation; keep what was removed
+        if (isAdmin) {
+          await auditLog.record('message_deleted_for_everyone', {
+            actorId: socket.userId,
+            conversationId,
+            targetId: messageId,
+            details: {
+              senderId: message.sender_id,
+              messageType: message.message_type,
+              messageText: message.message_text,
+            },
+          });
+        }
+
+        log.info(`Message ${messageId} deleted for everyone by ${socket.userName} in ${conversationId}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error deleting message', { err: error });
+        cb(errorAck('internal_error', 'Failed to delete message'));
+      }
+    });
+
+    // ============================================
+    // EDIT MESSAGE
+    // ============================================
+    socket.on('edit_message', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, messageId, newText } = data;
+
+        // 1) Input text is validated by the edit_message schema
+
+        // 2) Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          socket.emit('error', { type: 'edit_message_failed', message: 'Not a participant in this conversation' });
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        // 3) Fetch the message to validate ownership, type, and deleted status
+        const message = await db.messages.get(messageId);
+        if (!message) {
+          socket.emit('error', { type: 'edit_message_failed', message: 'Message not found' });
+          return cb(errorAck('not_found', 'Message not found', 'messageId'));
+        }
+
+        // Verify message belongs to this conversation
+        if (message.conversation_id !== conversationId) {
+          socket.emit('error', { type: 'edit_message_failed', message: 'Message does not belong to this conversation' });
+          return cb(errorAck('not_found', 'Message does not belong to this conversation', 'messageId'));
+        }
+
+        // Validate user owns the message (only author can edit)
+        if (message.sender_id !== socket.userId) {
+          socket.emit('error', { type: 'edit_message_failed', message: 'Not authorized to edit this message' });
+          return cb(errorAck('forbidden', 'Not authorized to edit this message'));
+        }
+
+        // Validate message type is text
+        if (message.message_type !== 'text') {
+          socket.emit('error', { type: 'edit_message_failed', message: 'Only text messages can be edited' });
+          return cb(errorAck('invalid_state', 'Only text messages can be edited'));
+        }
+
+        // Validate message is not deleted
+        if (message.deleted_for_all) {
+          socket.emit('error', { type: 'edit_message_failed', message: 'Cannot edit deleted messages' });
+          return cb(errorAck('invalid_state', 'Cannot edit deleted messages'));
+        }
+
+        if (!isAdminRole(socket.userRole) && windowExpired(message, messageWindows.editMinutes, clock.now())) {
+          const windowMessage = `Messages can only be edited within ${messageWindows.editMinutes} minutes of sending`;
+          socket.emit('error', { type: 'edit_message_failed', message: windowMessage });
+          return cb(errorAck('edit_window_expired', windowMessage));
+        }
+
+        const moderated = await moderateTexts([newText.trim()], { userId: socket.userId, conversationId, event: 'edit_message' });
+        if (moderated.rejected) {
+          socket.emit('error', { type: 'edit_message_failed', message: moderated.reason });
+          return cb(errorAck('message_rejected', moderated.reason, 'newText'));
+        }
+
+        // 4) Update the message (moderated, trimmed text, set edited flag)
+        // IMPORTANT: Do NOT update chat_conversations.updated_at (edits must not reorder)
+        const [trimmedText] = moderated.texts;
+        const updatedAt = new Date(clock.now()).toISOString();
+        const { entities: mentions, participantIds } = await resolveMentions(conversationId, trimmedText, socket.userRole);
+
+        let updated = null;
+        let updateError = null;
+        try {
+          updated = await db.messages.update(messageId, {
+            message_text: trimmedText,
+            edited: true,
+            updated_at: updatedAt,
+            mentions,
+          }, { senderId: socket.userId }); // Double-check ownership in the update
+        } catch (error) {
+          updateError = error;
+        }
+
+        if (updateError || !updated) {
+          log.error('Error updating message', { err: updateError });
+          socket.emit('error', { type: 'edit_message_failed', message: 'Failed to update message' });
+          return cb(errorAck('internal_error', 'Failed to update message'));
+        }
+
+        // Keep the text that was replaced. `written_at` is when that text was
+        // first sent or last edited. Saved only once the edit went through, so
+        // a failed update leaves no revision behind; the edit stands even if
+        // saving its revision fails.
+        try {
+          await db.messages.addRevision({
+            message_id: messageId,
+            conversation_id: conversationId,
+            editor_id: socket.userId,
+            message_text: message.message_text,
+            mentions: message.mentions || [],
+            written_at: (message.edited && message.updated_at) || message.created_at,
+          });
+        } catch (error) {
+          log.error('Error saving message revision', { err: error, messageId });
+        }
+
+        // 5) Broadcast to the conversation room, or the thread's for a reply
+        await broadcastChange(conversationId, 'message_edited', {
+          conversationId,
+          messageId,
+          threadRootId: message.thread_root_id || null,
+          message_text: trimmedText,
+          edited: true,
+          updated_at: updated.updated_at || updatedAt,
+          mentions,
+        }, { to: messageRoom(message) });
+
+        // Only mentions the edit added are news to anyone
+        const mentionKey = e => `${e.type}:${e.userId || ''}`;
+        const previousMentions = new Set((message.mentions || []).map(mentionKey));
+        await notifyMentions(
+          conversationId,
+          { id: messageId, message_text: trimmedText, edited: true },
+          mentions.filter(e => !previousMentions.has(mentionKey(e))),
+          participantIds,
+          { userId: socket.userId, userName: socket.userName },
+        );
+
+        await flagForReview({
+          messageId,
+          conversationId,
+          senderId: socket.userId,
+          event: 'edit_message',
+          messageText: trimmedText,
+          flags: moderated.flags,
+        });
+
+        log.info(`Message ${messageId} edited by ${socket.userName} in ${conversationId}`);
+        // The text may differ from newText if parts of it were masked
+        cb({ success: true, message_text: trimmedText });
+      } catch (error) {
+        log.error('Error editing message', { err: error });
+        socket.emit('error', { type: 'edit_message_failed', message: 'Internal server error' });
+        cb(errorAck('internal_error', 'Internal server error'));
+      }
+    });
+
+    // ============================================
+    // EDIT HISTORY
+    // ============================================
+    // Earlier versions of a message, oldest first, followed by the current
+    // text. Messages deleted for everyone keep their history hidden.
+    socket.on('get_edit_history', async ({ conversationId, messageId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const [isParticipant, message] = await Promise.all([
+          db.participants.isMember(conversationId, socket.userId),
+          db.messages.get(messageId),
+        ]);
+
+        if (!isParticipant) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+        if (!message || message.conversation_id !== conversationId) {
+          return cb(errorAck('not_found', 'Message does not belong to this conversation', 'messageId'));
+        }
+        if (message.deleted_for_all) {
+          return cb(errorAck('invalid_state', 'Message was deleted', 'messageId'));
+        }
+
+        const revisions = await db.messages.listRevisions(messageId);
+
+        cb({
+          success: true,
+          messageId,
+          revisions: revisions.map(r => ({
+            id: r.id,
+            message_text: r.message_text,
+            editor_id: r.editor_id,
+            written_at: r.written_at,
+            replaced_at: r.created_at,
+          })),
+          current: {
+            message_text: message.message_text,
+            written_at: (message.edited && message.updated_at) || message.created_at,
+          },
+        });
+      } catch (error) {
+        log.error('Error handling get_edit_history', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch edit history'));
+      }
+    });
+
+    // ============================================
+    // REACT TO MESSAGE
+    // ============================================
+    // Adds one emoji reaction from the caller. A user can react with several
+    // emojis, once each; with `toggle` an existing reaction is removed instead.
+    socket.on('react_to_message', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, messageId, emoji, toggle = false } = data;
+
+        const { rejection, message } = await checkReactionTarget(socket.userId, conversationId, messageId);
+        if (rejection) return cb(rejection);
+
+        let added = false;
+        try {
+          if (await db.reactions.has(messageId, socket.userId, emoji)) {
+            if (toggle) await db.reactions.remove(messageId, socket.userId, emoji);
+          } else {
+            await db.reactions.add(messageId, socket.userId, emoji);
+            added = true;
+          }
+        } catch (error) {
+          log.error('Error updating reaction', { err: error });
+          return cb(errorAck('internal_error', 'Failed to update reaction'));
+        }
+
+        const update = await broadcastReactions(message, socket.userId);
+        log.info(`Reaction ${emoji} ${added ? 'added to' : 'toggled off'} message ${messageId} by ${socket.userName}`);
+        cb({ success: true, added, ...update });
+      } catch (error) {
+        log.error('Error handling react_to_message', { err: error });
+        cb(errorAck('internal_error', 'Failed to add reaction'));
+      }
+    });
+
+    // ============================================
+    // REMOVE REACTION
+    // ============================================
+    socket.on('remove_reaction', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, messageId, emoji } = data;
+
+        const { rejection, message } = await checkReactionTarget(socket.userId, conversationId, messageId);
+        if (rejection) return cb(rejection);
+
+        await db.reactions.remove(messageId, socket.userId, emoji);
+
+        const update = await broadcastReactions(message, socket.userId);
+        log.info(`Reaction ${emoji} removed from message ${messageId} by ${socket.userName}`);
+        cb({ success: true, ...update });
+      } catch (error) {
+        log.error('Error handling remove_reaction', { err: error });
+        cb(errorAck('internal_error', 'Failed to remove reaction'));
+      }
+    });
+
+    // ============================================
+    // FETCH MESSAGES (history pagination)
+    // ============================================
+    // Pages through a conversation's main timeline (thread replies are
+    // fetched with fetch_thread). See fetchMessagePage for the cursors.
+    socket.on('fetch_messages', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, before = null, after = null, limit } = data || {};
+
+        const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : MESSAGES_DEFAULT_LIMIT, MESSAGES_MAX_LIMIT);
+
+        // Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        const { page, hasMore, error } = await fetchMessagePage({ conversationId, before, after, pageSize });
+        if (error) return cb(error);
+
+        const messages = await enrichMessages(page, socket.userId);
+        cb({ success: true, messages, hasMore });
+      } catch (error) {
+        log.error('Error handling fetch_messages', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch messages'));
+      }
+    });
+
+    // ============================================
+    // SEARCH MESSAGES
+    // ============================================
+    // Full-text search across every conversation the caller is in (or just
+    // `conversationId`), newest first. Thread replies are included; messages
+    // deleted for everyone never are. `before` is the nextCursor of the
+    // previous page.
+    socket.on('search_messages', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const {
+          query,
+          conversationId = null,
+          senderId = null,
+          messageType = null,
+          hasAttachment = null,
+          from = null,
+          to = null,
+          before = null,
+          limit,
+        } = data;
+        const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT);
+
+        const memberships = await db.participants.listForUser(socket.userId);
+        let conversationIds = memberships.map(m => m.conversation_id);
+        if (conversationId) {
+          if (!conversationIds.includes(conversationId)) {
+            return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+          }
+          conversationIds = [conversationId];
+        }
+        if (conversationIds.length === 0) {
+          return cb({ success: true, results: [], hasMore: false, nextCursor: null });
+        }
+
+        let cursorMessage = null;
+        if (before) {
+          cursorMessage = await db.messages.get(before);
+          if (!cursorMessage || !conversationIds.includes(cursorMessage.conversation_id)) {
+            return cb(errorAck('not_found', 'Cursor message not found', 'before'));
+          }
+        }
+
+        // Fetch one extra row to know whether another page follows
+        const rows = await db.messages.search({
+          conversationIds,
+          query,
+          senderId,
+          messageType,
+          messageTypes: hasAttachment === true ? ATTACHMENT_TYPES : null,
+          excludeMessageTypes: hasAttachment === false ? ATTACHMENT_TYPES : null,
+          from: from ? new Date(from).toISOString() : null,
+          to: to ? new Date(to).toISOString() : null,
+          before: cursorMessage ? cursorMessage.created_at : null,
+          limit: pageSize + 1,
+        });
+
+        const page = rows.slice(0, pageSize);
+        const hasMore = rows.length > pageSize;
+        const terms = searchTerms(query);
+        const messages = await enrichMessages(page, socket.userId);
+
+        cb({
+          success: true,
+          results: messages.map(message => ({ message, snippet: buildSnippet(message.message_text, terms) })),
+          hasMore,
+          nextCursor: hasMore ? page[page.length - 1].id : null,
+        });
+      } catch (error) {
+        log.error('Error handling search_messages', { err: error });
+        cb(errorAck('internal_error', 'Failed to search messages'));
+      }
+    });
+
+    // ============================================
+    // THREADS
+    // ============================================
+    // Returns the root message and one page of its thread, with the same
+    // cursors as fetch_messages
+    socket.on('fetch_thread', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, threadRootId, before = null, after = null, limit } = data;
+        const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : MESSAGES_DEFAULT_LIMIT, MESSAGES_MAX_LIMIT);
+
+        const rejection = await checkThreadAccess(socket.userId, conversationId, threadRootId);
+        if (rejection) return cb(rejection);
+
+        const [rootRow, { page, hasMore, error }, following] = await Promise.all([
+          db.messages.get(threadRootId),
+          fetchMessagePage({ conversationId, threadRootId, before, after, pageSize }),
+          db.threads.isFollowing(threadRootId, socket.userId),
+        ]);
+        if (error) return cb(error);
+
+        const [root, ...messages] = await enrichMessages([rootRow, ...page], socket.userId);
+        cb({ success: true, root, messages, hasMore, following });
+      } catch (error) {
+        log.error('Error handling fetch_thread', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch thread'));
+      }
+    });
+
+    socket.on('follow_thread', async ({ conversationId, threadRootId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const rejection = await checkThreadAccess(socket.userId, conversationId, threadRootId);
+        if (rejection) return cb(rejection);
+
+        await followThread(socket.userId, conversationId, threadRootId);
+        cb({ success: true, following: true });
+      } catch (error) {
+        log.error('Error following thread', { err: error });
+        cb(errorAck('internal_error', 'Failed to follow thread'));
+      }
+    });
+
+    socket.on('unfollow_thread', async ({ conversationId, threadRootId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const rejection = await checkThreadAccess(socket.userId, conversationId, threadRootId);
+        if (rejection) return cb(rejection);
+
+        await unfollowThread(socket.userId, threadRootId);
+        cb({ success: true, following: false });
+      } catch (error) {
+        log.error('Error unfollowing thread', { err: error });
+        cb(errorAck('internal_error', 'Failed to unfollow thread'));
+      }
+    });
+
+    // ============================================
+    // FETCH CONVERSATIONS
+    // ============================================
+    // The user's conversations, most recently active first, with unread
+    // counts based on chat_participants.last_read_at. Pass the last
+    // conversation's updated_at as `before` to load the next page.
+    socket.on('fetch_conversations', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { before = null, limit } = data || {};
+        const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : CONVERSATIONS_DEFAULT_LIMIT, CONVERSATIONS_MAX_LIMIT);
+
+        const participants = await db.participants.listForUser(socket.userId);
+        if (participants.length === 0) {
+          return cb({ success: true, conversations: [], hasMore: false });
+        }
+
+        const membership = new Map(participants.map(p => [p.conversation_id, p]));
+
+        // Fetch one extra row to know whether another page follows
+        const rows = await db.conversations.listPage(Array.from(membership.keys()), { before, limit: pageSize + 1 });
+        const page = rows.slice(0, pageSize);
+
+        // Unread counts and last messages for the whole page at once
+        const pageIds = page.map(c => c.id);
+        const [unreadCounts, latest] = await Promise.all([
+          db.messages.countUnreadMany(socket.userId, Object.fromEntries(pageIds.map(id => [id, membership.get(id).last_read_at || null]))),
+          db.messages.latestMany(pageIds),
+        ]);
+        const lastMessages = new Map((await enrichMessages(latest, socket.userId)).map(m => [m.conversation_id, m]));
+
+        const conversations = page.map((conversation) => {
+          const { last_read_at: readAt, muted, muted_until: mutedUntil } = membership.get(conversation.id);
+          return {
+            ...conversation,
+            last_read_at: readAt || null,
+            muted: Boolean(muted),
+            muted_until: mutedUntil || null,
+            unread_count: unreadCounts[conversation.id] || 0,
+            last_message: lastMessages.get(conversation.id) || null,
+          };
+        });
+
+        cb({ success: true, conversations, hasMore: rows.length > pageSize });
+      } catch (error) {
+        log.error('Error handling fetch_conversations', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch conversations'));
+      }
+    });
+
+    // ============================================
+    // SYNC (missed-message catch-up)
+    // ============================================
+    // Called by the client after (re)connecting with the last `seq` it saw per
+    // conversation. Socket.IO connection state recovery is not used: neither
+    // cluster adapter keeps a session buffer, and a cursor also covers gaps
+    // longer than any recovery window.
+    socket.on('sync', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { cursors, limit } = data || {};
+
+        const conversationIds = Object.keys(cursors);
+        const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : SYNC_DEFAULT_LIMIT, SYNC_MAX_LIMIT);
+
+        // Only sync conversations the user still participates in
+        const participants = await db.participants.listForUser(socket.userId);
+        const allowed = new Set(participants.map(p => p.conversation_id));
+
+        const conversations = await Promise.all(conversationIds.filter(id => allowed.has(id)).map(async (conversationId) => {
+          const cursor = cursors[conversationId];
+
+          // No cursor yet: hand back the current position to start from
+          if (cursor === null) {
+            return { conversationId, changes: [], cursor: await db.events.latestSeq(conversationId), hasMore: false };
+          }
+
+          // Fetch one extra row to know whether another page follows
+          const rows = await db.events.listAfter(conversationId, cursor, pageSize + 1);
+          const page = rows.slice(0, pageSize);
+
+          // Thread replies, and changes to them, went live only to the thread
+          // room; everyone else saw them as thread_updated, which is
+          // replayed. The cursor still moves past them.
+          // Edits of messages deleted since are left out as well; the
+          // message_deleted that follows is replayed.
+          const deleted = await deletedMessageIds(page);
+          const changes = page.filter(row => !(
+            (row.event === 'new_message' && row.payload.thread_root_id)
+            || (THREAD_SCOPED_EVENTS.includes(row.event) && row.payload.threadRootId)
+            || (row.event === 'message_edited' && deleted.has(row.payload.messageId))
+          ));
+
+          // Recorded payloads still hold what was deleted since, and the URLs
+          // recorded with new messages have expired by now
+          const payloads = await Promise.all(changes.map(async (row) => {
+            const payload = { ...row.payload, seq: row.id };
+            if (row.event !== 'new_message') return payload;
+            return (await signMessageFiles([redactDeletedContent(payload, deleted)]))[0];
+          }));
+
+          return {
+            conversationId,
+            changes: changes.map((row, i) => ({
+              seq: row.id,
+              event: row.event,
+              payload: payloads[i],
+              created_at: row.created_at,
+            })),
+            cursor: page.length > 0 ? page[page.length - 1].id : cursor,
+            hasMore: rows.length > pageSize,
+          };
+        }));
+
+        const changeCount = conversations.reduce((sum, c) => sum + c.changes.length, 0);
+        log.info(`${socket.userName} synced ${changeCount} changes across ${conversations.length} conversations`);
+        cb({
+          success: true,
+          conversations,
+          notParticipant: conversationIds.filter(id => !allowed.has(id)),
+        });
+      } catch (error) {
+        log.error('Error handling sync', { err: error });
+        cb(errorAck('internal_error', 'Failed to sync'));
+      }
+    });
+
+    // ============================================
+    // PRESENCE
+    // ============================================
+    socket.on('set_presence', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { status } = data || {};
+
+        await announcePresence(socket, status);
+        cb({ success: true, presence: await presence.get(socket.userId) });
+      } catch (error) {
+        log.error('Error handling set_presence', { err: error });
+        cb(errorAck('internal_error', 'Failed to update presence'));
+      }
+    });
+
+    socket.on('get_presence', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { userIds } = data || {};
+
+        cb({ success: true, presence: await presence.getMany([...new Set(userIds)]) });
+      } catch (error) {
+        log.error('Error handling get_presence', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch presence'));
+      }
+    });
+
+    // ============================================
+    // JOIN CONVERSATION (Dynamic)
+    // ============================================
+    socket.on('join_conversation', async ({ conversationId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        // Validate participant
+        if (!(await db.participants.isMember(conversationId, socket.userId))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        socket.join(conversationId);
+        log.info(`${socket.userName} joined conversation ${conversationId}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error joining conversation', { err: error });
+        cb(errorAck('internal_error', 'Failed to join conversation'));
+      }
+    });
+
+    // ============================================
+    // CREATE CONVERSATION
+    // ============================================
+    // Direct conversations can be started by anyone and are reused if the
+    // two users already have one; group conversations are admin-only.
+    socket.on('create_conversation', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { type, name = null, participantIds } = data;
+
+        if (type === 'group' && !isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can create group conversations'));
+        }
+
+        const memberIds = [...new Set([socket.userId, ...participantIds])];
+        if (type === 'direct' && memberIds.length !== 2) {
+          return cb(errorAck('invalid_payload', 'A direct conversation needs exactly one other participant', 'participantIds'));
+        }
+
+        // Every participant must be a known user
+        const profiles = await fetchProfiles(memberIds);
+        const unknownIds = memberIds.filter(id => id !== socket.userId && !profiles.has(id));
+        if (unknownIds.length > 0) {
+          return cb(errorAck('not_found', `Unknown users: ${unknownIds.join(', ')}`, 'participantIds'));
+        }
+
+        if (type === 'direct') {
+          const existing = await db.conversations.findDirect(memberIds[0], memberIds[1]);
+          if (existing) {
+            return cb({ success: true, created: false, conversation: existing });
+          }
+        }
+
+        const conversation = await db.conversations.create({
+          type,
+          name: type === 'group' ? name.trim() : null,
+          created_by: socket.userId,
+          is_read_only: false,
+          updated_at: new Date(clock.now()).toISOString(),
+        });
+
+        try {
+          await db.participants.add(conversation.id, memberIds);
+        } catch (error) {
+          log.error('Error adding participants', { err: error });
+          // Don't leave an empty conversation behind
+          await db.conversations.delete(conversation.id);
+          return cb(errorAck('internal_error', 'Failed to create conversation'));
+        }
+
+        moveUsersIntoConversation(memberIds, conversation.id);
+        io.to(memberIds.map(userRoom)).emit('conversation_created', {
+          conversation,
+          participantIds: memberIds,
+          createdBy: socket.userId,
+        });
+
+        log.info(`${type} conversation ${conversation.id} created by ${socket.userName}`);
+        cb({ success: true, created: true, conversation });
+      } catch (error) {
+        log.error('Error creating conversation', { err: error });
+        cb(errorAck('internal_error', 'Failed to create conversation'));
+      }
+    });
+
+    // ============================================
+    // ADD PARTICIPANTS (admin)
+    // ============================================
+    socket.on('add_participants', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, userIds } = data;
+
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can add participants'));
+        }
+
+        const conversation = await db.conversations.get(conversationId);
+        if (!conversation) {
+          return cb(errorAck('not_found', 'Conversation not found', 'conversationId'));
+        }
+        if (conversation.type === 'direct') {
+          return cb(errorAck('invalid_state', 'Cannot add participants to a direct conversation'));
+        }
+
+        const profiles = await fetchProfiles(userIds);
+        const unknownIds = userIds.filter(id => !profiles.has(id));
+        if (unknownIds.length > 0) {
+          return cb(errorAck('not_found', `Unknown users: ${unknownIds.join(', ')}`, 'userIds'));
+        }
+
+        // Skip users who are already in the conversation
+        const existing = await db.participants.list(conversationId);
+        const existingIds = new Set(existing.map(p => p.user_id));
+        const addedIds = [...new Set(userIds)].filter(id => !existingIds.has(id));
+
+        if (addedIds.length > 0) {
+          await db.participants.add(conversationId, addedIds);
+
+          // Join first so the new members receive participant_added too
+          moveUsersIntoConversation(addedIds, conversationId);
+          io.to(conversationId).emit('participant_added', {
+            conversationId,
+            conversation,
+            userIds: addedIds,
+            addedBy: socket.userId,
+          });
+        }
+
+        log.info(`${addedIds.length} participants added to ${conversationId} by ${socket.userName}`);
+        cb({ success: true, addedUserIds: addedIds });
+      } catch (error) {
+        log.error('Error adding participants', { err: error });
+        cb(errorAck('internal_error', 'Failed to add participants'));
+      }
+    });
+
+    // ============================================
+    // REMOVE PARTICIPANT (admin) / LEAVE CONVERSATION
+    // ============================================
+    socket.on('remove_participant', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, userId } = data;
+
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can remove participants'));
+        }
+
+        const removed = await removeParticipant(conversationId, userId, 'removed');
+        if (!removed) {
+          return cb(errorAck('not_found', 'User is not a participant in this conversation', 'userId'));
+        }
+
+        log.info(`${userId} removed from ${conversationId} by ${socket.userName}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error removing participant', { err: error });
+        cb(errorAck('internal_error', 'Failed to remove participant'));
+      }
+    });
+
+    socket.on('leave_conversation', async ({ conversationId }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const removed = await removeParticipant(conversationId, socket.userId, 'left');
+        if (!removed) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        log.info(`${socket.userName} left conversation ${conversationId}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error leaving conversation', { err: error });
+        cb(errorAck('internal_error', 'Failed to leave conversation'));
+      }
+    });
+
+    // ============================================
+    // SET READ-ONLY (admin)
+    // ============================================
+    socket.on('set_read_only', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, isReadOnly } = data;
+
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can change read-only mode'));
+        }
+
+        const updated = await db.conversations.update(conversationId, { is_read_only: isReadOnly });
+        if (!updated) {
+          return cb(errorAck('not_found', 'Conversation not found', 'conversationId'));
+        }
+
+        io.to(conversationId).emit('conversation_updated', {
+          conversationId,
+          is_read_only: updated.is_read_only,
+          updatedBy: socket.userId,
+        });
+
+        await auditLog.record('read_only_changed', {
+          actorId: socket.userId,
+          conversationId,
+          targetId: conversationId,
+          details: { isReadOnly: updated.is_read_only },
+        });
+
+        log.info(`${conversationId} read-only=${isReadOnly} set by ${socket.userName}`);
+        cb({ success: true, is_read_only: updated.is_read_only });
+      } catch (error) {
+        log.error('Error setting read-only', { err: error });
+        cb(errorAck('internal_error', 'Failed to update conversation'));
+      }
+    });
+
+    // ============================================
+    // MUTE / KICK / BAN USERS (admin)
+    // ============================================
+    // Admins cannot sanction other admins (or themselves). Returns an error
+    // ack, or null if the target can be sanctioned.
+    async function checkSanctionTarget(userId) {
+      if (!isAdminRole(socket.userRole)) {
+        return errorAck('forbidden', 'Only admins can mute, kick or ban users');
+      }
+      const profiles = await fetchProfiles([userId]);
+      if (userId === socket.userId || isAdminRole(profiles.get(userId)?.role)) {
+        return errorAck('forbidden', 'Admins cannot be muted, kicked or banned', 'userId');
+      }
+      return null;
+    }
+
+    // Stops a user from sending and reacting in one conversation; they can
+    // still read it
+    socket.on('mute_user', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, userId, minutes, reason = null } = data;
+
+        const rejection = await checkSanctionTarget(userId);
+        if (rejection) return cb(rejection);
+        if (!(await db.participants.isMember(conversationId, userId))) {
+          return cb(errorAck('not_found', 'User is not a participant in this conversation', 'userId'));
+        }
+
+        const mutedUntil = new Date(clock.now() + minutes * 60 * 1000).toISOString();
+        await db.sanctions.mute({
+          conversation_id: conversationId,
+          user_id: userId,
+          muted_by: socket.userId,
+          muted_until: mutedUntil,
+          reason,
+        });
+
+        io.to(conversationId).emit('user_muted', { conversationId, userId, mutedUntil, mutedBy: socket.userId, reason });
+        await auditLog.record('user_muted', {
+          actorId: socket.userId,
+          conversationId,
+          targetId: userId,
+          details: { mutedUntil, reason },
+        });
+
+        log.info(`${userId} muted in ${conversationId} until ${mutedUntil} by ${socket.userName}`);
+        cb({ success: true, mutedUntil });
+      } catch (error) {
+        log.error('Error muting user', { err: error });
+        cb(errorAck('internal_error', 'Failed to mute user'));
+      }
+    });
+
+    socket.on('unmute_user', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, userId } = data;
+
+        const rejection = await checkSanctionTarget(userId);
+        if (rejection) return cb(rejection);
+
+        if (!(await db.sanctions.unmute(conversationId, userId))) {
+          return cb(errorAck('not_found', 'User is not muted in this conversation', 'userId'));
+        }
+
+        io.to(conversationId).emit('user_unmuted', { conversationId, userId, unmutedBy: socket.userId });
+        await auditLog.record('user_unmuted', { actorId: socket.userId, conversationId, targetId: userId });
+
+        log.info(`${userId} unmuted in ${conversationId} by ${socket.userName}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error unmuting user', { err: error });
+        cb(errorAck('internal_error', 'Failed to unmute user'));
+      }
+    });
+
+    // Like remove_participant, but the user is told why
+    socket.on('kick_user', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { conversationId, userId, reason = null } = data;
+
+        const rejection = await checkSanctionTarget(userId);
+        if (rejection) return cb(rejection);
+        if (!(await db.participants.isMember(conversationId, userId))) {
+          return cb(errorAck('not_found', 'User is not a participant in this conversation', 'userId'));
+        }
+
+        io.to(userRoom(userId)).emit('kicked', { conversationId, kickedBy: socket.userId, reason });
+        await removeParticipant(conversationId, userId, 'kicked');
+        await auditLog.record('user_kicked', {
+          actorId: socket.userId,
+          conversationId,
+          targetId: userId,
+          details: { reason },
+        });
+
+        log.info(`${userId} kicked from ${conversationId} by ${socket.userName}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error kicking user', { err: error });
+        cb(errorAck('internal_error', 'Failed to kick user'));
+      }
+    });
+
+    // Disconnects every socket of the user, on every instance, and keeps
+    // them out until the ban ends. Without `minutes` the ban is permanent.
+    socket.on('ban_user', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { userId, minutes = null, reason = null } = data;
+
+        const rejection = await checkSanctionTarget(userId);
+        if (rejection) return cb(rejection);
+
+        const bannedUntil = minutes ? new Date(clock.now() + minutes * 60 * 1000).toISOString() : null;
+        await db.sanctions.ban({ user_id: userId, banned_by: socket.userId, banned_until: bannedUntil, reason });
+
+        const memberships = await db.participants.listForUser(userId);
+        const conversationIds = memberships.map(m => m.conversation_id);
+
+        io.to(userRoom(userId)).emit('banned', { bannedUntil, reason });
+        if (conversationIds.length > 0) {
+          io.to(conversationIds).except(userRoom(userId)).emit('user_banned', { userId, bannedUntil });
+        }
+        io.in(userRoom(userId)).disconnectSockets(true);
+
+        await auditLog.record('user_banned', {
+          actorId: socket.userId,
+          targetId: userId,
+          details: { bannedUntil, reason },
+        });
+
+        log.info(`${userId} banned ${bannedUntil ? `until ${bannedUntil}` : 'permanently'} by ${socket.userName}`);
+        cb({ success: true, bannedUntil });
+      } catch (error) {
+        log.error('Error banning user', { err: error });
+        cb(errorAck('internal_error', 'Failed to ban user'));
+      }
+    });
+
+    socket.on('unban_user', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        const { userId } = data;
+
+        const rejection = await checkSanctionTarget(userId);
+        if (rejection) return cb(rejection);
+
+        if (!(await db.sanctions.unban(userId))) {
+          return cb(errorAck('not_found', 'User is not banned', 'userId'));
+        }
+
+        await auditLog.record('user_unbanned', { actorId: socket.userId, targetId: userId });
+
+        log.info(`${userId} unbanned by ${socket.userName}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error unbanning user', { err: error });
+        cb(errorAck('internal_error', 'Failed to unban user'));
+      }
+    });
+
+    // ============================================
+    // AUDIT LOG (admin)
+    // ============================================
+    socket.on('get_audit_log', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can read the audit log'));
+        }
+
+        const { entries, hasMore } = await auditLog.query(data);
+        const actors = await fetchProfiles(entries.map(e => e.actor_id).filter(Boolean));
+
+        cb({
+          success: true,
+          entries: entries.map(e => ({
+            ...e,
+            actor_name: e.actor_id ? actors.get(e.actor_id)?.display_name || 'Unknown' : null,
+          })),
+          hasMore,
+        });
+      } catch (error) {
+        log.error('Error fetching audit log', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch audit log'));
+      }
+    });
+
+    // ============================================
+    // MODERATION QUEUE (admin)
+    // ============================================
+    // Flagged messages, oldest first. Admins get new ones live as
+    // moderation_flagged; this is for catching up.
+    socket.on('get_moderation_queue', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can review flagged messages'));
+        }
+
+        const { status = 'pending', limit } = data || {};
+        const pageSize = Math.min(Number.isInteger(limit) && limit > 0 ? limit : MESSAGES_DEFAULT_LIMIT, MESSAGES_MAX_LIMIT);
+
+        const items = await db.moderation.list(status, pageSize);
+        const senders = await fetchProfiles(items.map(i => i.sender_id));
+        cb({
+          success: true,
+          items: items.map(i => ({ ...i, sender_name: senders.get(i.sender_id)?.display_name || 'Unknown' })),
+        });
+      } catch (error) {
+        log.error('Error fetching moderation queue', { err: error });
+        cb(errorAck('internal_error', 'Failed to fetch moderation queue'));
+      }
+    });
+
+    // Closes a flagged item. Removing the message itself is a separate
+    // delete_message, so the usual delete broadcast and audit entry apply.
+    socket.on('review_moderation_item', async (data, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (!isAdminRole(socket.userRole)) {
+          return cb(errorAck('forbidden', 'Only admins can review flagged messages'));
+        }
+
+        const { itemId, status } = data;
+        const item = await db.moderation.review(itemId, { status, reviewed_by: socket.userId, reviewed_at: new Date(clock.now()).toISOString() });
+        if (!item) {
+          return cb(errorAck('not_found', 'No pending item with this id', 'itemId'));
+        }
+
+        io.to(MODERATION_ROOM).emit('moderation_reviewed', { itemId, status, reviewedBy: socket.userId });
+        await auditLog.record('moderation_reviewed', {
+          actorId: socket.userId,
+          conversationId: item.conversation_id,
+          targetId: item.message_id,
+          details: { itemId, status, ruleIds: item.rule_ids },
+        });
+
+        log.info(`Moderation item ${itemId} marked ${status} by ${socket.userName}`);
+        cb({ success: true, item });
+      } catch (error) {
+        log.error('Error reviewing moderation item', { err: error });
+        cb(errorAck('internal_error', 'Failed to review moderation item'));
+      }
+    });
+
+    // ============================================
+    // PUSH TOKENS
+    // ============================================
+    // A device registers its token after login and again whenever the token
+    // rotates. A token belongs to one user at a time: registering it moves
+    // it to whoever is signed in on that device now.
+    socket.on('register_push_token', async ({ token, platform }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (platform === 'web') {
+          let subscription = null;
+          try {
+            subscription = JSON.parse(token);
+          } catch {
+            // Reported below
+          }
+          if (!subscription || typeof subscription.endpoint !== 'string') {
+            return cb(errorAck('invalid_payload', 'Web tokens must be a serialized PushSubscription', 'token'));
+          }
+        }
+
+        await db.pushTokens.register(socket.userId, token, platform, new Date(clock.now()).toISOString());
+
+        log.info(`${platform} push token registered for ${socket.userName}`);
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error handling register_push_token', { err: error });
+        cb(errorAck('internal_error', 'Failed to register push token'));
+      }
+    });
+
+    // Called on logout so the device stops getting this user's notifications
+    socket.on('unregister_push_token', async ({ token }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        await db.pushTokens.unregister(token, socket.userId);
+
+        cb({ success: true });
+      } catch (error) {
+        log.error('Error handling unregister_push_token', { err: error });
+        cb(errorAck('internal_error', 'Failed to unregister push token'));
+      }
+    });
+
+    // ============================================
+    // MUTE CONVERSATION
+    // ============================================
+    // Muting only silences push notifications; @mentions still get through.
+    // Without `until` the mute lasts until it is lifted.
+    socket.on('mute_conversation', async ({ conversationId, muted, until = null }, callback) => {
+      const cb = typeof callback === 'function' ? callback : () => {};
+      try {
+        if (muted && until && Date.parse(until) <= clock.now()) {
+          return cb(errorAck('invalid_payload', 'until must be in the future', 'until'));
+        }
+
+        const mutedUntil = muted && until ? new Date(until).toISOString() : null;
+        if (!(await db.participants.update(conversationId, socket.userId, { muted, muted_until: mutedUntil }))) {
+          return cb(errorAck('not_participant', 'Not a participant in this conversation'));
+        }
+
+        // Keep the user's other devices in sync
+        const change = { conversationId, muted, muted_until: mutedUntil };
+        socket.to(userRoom(socket.userId)).emit('conversation_mute_changed', change);
+
+        log.info(`${socket.userName} ${muted ? 'muted' : 'unmuted'} ${conversationId}`);
+        cb({ success: true, ...change });
+      } catch (error) {
+        log.error('Error handling mute_conversation', { err: error });
+        cb(errorAck('internal_error', 'Failed to update mute setting'));
+      }
+    });
+
+    // ============================================
+    // DISCONNECT
+    // ============================================
+    // Rooms are still available in 'disconnecting', not in 'disconnect'
+    socket.on('disconnecting', () => {
+      announcePresence(socket, 'offline').catch((error) => {
+        log.error('Error updating presence', { err: error });
+      });
+    });
+
+    socket.on('disconnect', (reason) => {
+      log.info(`User disconnected: ${socket.userId} (${socket.userName})`, {
+        correlationId: socket.correlationId,
+        socketId: socket.id,
+        userId: socket.userId,
+        reason,
+      });
+    });
+  });
+
+  async function close() {
+    clock.clearTimeout(presenceHeartbeat);
+    unsubscribeCache();
+    scheduler.stop();
+    push.stop();
+    health.stop();
+    io.close();
+    if (httpServer.listening) {
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  }
+
+  // Drains this instance: it stops accepting connections and events, tells
+  // its clients to reconnect (to another instance) after a jittered delay,
+  // gives running handlers until `timeoutMs` to finish and then closes.
+  // Resolves to { drained, abandoned } (handlers cut off at the deadline).
+  let shutdownPromise = null;
+  function shutdown({ timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS, reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS } = {}) {
+    if (!shutdownPromise) {
+      shutdownPromise = drain(timeoutMs, reconnectDelayMs);
+    }
+    return shutdownPromise;
+  }
+
+  async function drain(timeoutMs, reconnectDelayMs) {
+    draining = true;
+    const deadline = Date.now() + timeoutMs;
+    log.info('Draining', { sockets: io.of('/').sockets.size, inFlight: inFlight.size, timeoutMs });
+
+    // Stop listening; open connections stay up until their sockets close
+    if (httpServer.listening) httpServer.close();
+
+    for (const socket of io.of('/').sockets.values()) {
+      socket.emit('server_shutting_down', {
+        reconnectAfterMs: reconnectDelayMs + Math.floor(Math.random() * reconnectDelayMs),
+      });
+    }
+
+    scheduler.stop();
+    trackInFlight(push.flush());
+
+    while (inFlight.size > 0 && Date.now() < deadline) {
+      let timer;
+      await Promise.race([
+        Promise.all([...inFlight]),
+        new Promise((resolve) => { timer = setTimeout(resolve, deadline - Date.now()); }),
+      ]);
+      clearTimeout(timer);
+    }
+
+    const abandoned = inFlight.size;
+    if (abandoned > 0) {
+      log.warn('Shutdown deadline reached with handlers still running', { abandoned });
+    }
+
+    // Connections close once their last packets are written; io.close()
+    // would discard whatever is still buffered, so wait for them first
+    io.local.disconnectSockets(true);
+    const flushDeadline = Date.now() + CONNECTION_FLUSH_TIMEOUT_MS;
+    while (io.engine.clientsCount > 0 && Date.now() < flushDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await close();
+    httpServer.closeAllConnections();
+    log.info('Drained', { abandoned });
+    return { drained: abandoned === 0, abandoned };
+  }
+
+  return { httpServer, io, metrics, close, shutdown };
+}
+
+module.exports = { createChatServer };
+
+// ============================================
+// START SERVER
+// ============================================
+function start() {
+  // Environment variables (set these in Railway dashboard)
+  const PORT = process.env.PORT || 3000;
+  const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'; // Set to your Vercel URL in production
+  const REDIS_URL = process.env.REDIS_URL; // Required when running more than one replica
+  const RATE_LIMITS = process.env.RATE_LIMITS; // Optional JSON overrides, see lib/rate-limit.js
+  const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY; // Web Push, optional
+  const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+  const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:support@salescrew.app';
+  const FCM_SERVICE_ACCOUNT = process.env.FCM_SERVICE_ACCOUNT; // Firebase service account JSON, optional
+  const EDIT_WINDOW_MINUTES = process.env.EDIT_WINDOW_MINUTES; // Optional, non-admin edit limit
+  const DELETE_WINDOW_MINUTES = process.env.DELETE_WINDOW_MINUTES; // Optional, non-admin delete-for-everyone limit
+  const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'chat-attachments'; // Private bucket for attachments
+  const MODERATION_RULES = process.env.MODERATION_RULES; // Optional JSON array, see lib/moderation.js
+  const TRUSTED_PROXY_HOPS = process.env.TRUSTED_PROXY_HOPS; // Proxies that append to X-Forwarded-For (default 1, 0 ignores the header)
+  const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS; // Drain deadline on SIGTERM
+
+  // Validate environment variables
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    log.error('Missing required environment variables');
+    log.error('Required: NEXT_PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  let rateLimits;
+  try {
+    rateLimits = resolveRateLimits(RATE_LIMITS ? JSON.parse(RATE_LIMITS) : {});
+  } catch (error) {
+    log.error('RATE_LIMITS is not valid JSON');
+    process.exit(1);
+  }
+
+  const messageWindows = { ...DEFAULT_MESSAGE_WINDOWS };
+  for (const [key, value] of [['editMinutes', EDIT_WINDOW_MINUTES], ['deleteMinutes', DELETE_WINDOW_MINUTES]]) {
+    if (value === undefined) continue;
+    if (!(Number(value) > 0)) {
+      log.error('EDIT_WINDOW_MINUTES and DELETE_WINDOW_MINUTES must be positive numbers');
+      process.exit(1);
+    }
+    messageWindows[key] = Number(value);
+  }
+
+  const trustedProxyHops = TRUSTED_PROXY_HOPS === undefined ? 1 : Number(TRUSTED_PROXY_HOPS);
+  if (!Number.isInteger(trustedProxyHops) || trustedProxyHops < 0) {
+    log.error('TRUSTED_PROXY_HOPS must be a whole number');
+    process.exit(1);
+  }
+
+  let moderationRules = [];
+  try {
+    moderationRules = MODERATION_RULES ? JSON.parse(MODERATION_RULES) : [];
+    createModerationPipeline({ rules: moderationRules });
+  } catch (error) {
+    log.error(`MODERATION_RULES is invalid: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Push providers are enabled by their credentials
+  const pushProviders = [];
+  if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+    pushProviders.push(createWebPushProvider({ publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY, subject: VAPID_SUBJECT }));
+  }
+  if (FCM_SERVICE_ACCOUNT) {
+    try {
+      pushProviders.push(createFcmProvider({ serviceAccount: JSON.parse(FCM_SERVICE_ACCOUNT) }));
+    } catch (error) {
+      log.error('FCM_SERVICE_ACCOUNT is not valid JSON');
+      process.exit(1);
+    }
+  }
+
+  // Initialize Supabase client
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+  const cluster = REDIS_URL ? createRedisCluster(REDIS_URL) : createMemoryCluster();
+  const { httpServer, io, shutdown } = createChatServer({
+    supabase,
+    cluster,
+    allowedOrigin: ALLOWED_ORIGIN,
+    rateLimits,
+    pushProviders,
+    messageWindows,
+    attachmentsBucket: STORAGE_BUCKET,
+    moderation: { rules: moderationRules },
+    trustedProxyHops,
+  });
+
+  httpServer.listen(PORT, '0.0.0.0', () => {
+    log.info('SalesCrew Chat Server listening', {
+      port: Number(PORT),
+      allowedOrigin: ALLOWED_ORIGIN,
+      supabaseUrl: SUPABASE_URL,
+      cluster: cluster.name,
+      pushProviders: pushProviders.map(p => p.name),
+      moderationRules: moderationRules.length,
+    });
+
+    // Keep the process alive; connection counts are on /metrics
+    setInterval(() => {
+      log.debug('Server alive', { connections: io.engine.clientsCount });
+    }, 30000); // Every 30 seconds
+  });
+
+  // Drain, then exit. After a fatal error the process may be in a bad
+  // state, so it drains briefly and exits non-zero for Railway to restart
+  // it. A second signal while draining exits right away.
+  let exiting = false;
+  async function exitAfterDrain(code, timeoutMs) {
+    if (exiting) {
+      log.warn('Exiting without waiting for the drain to finish');
+      process.exit(code || 1);
+    }
+    exiting = true;
+
+    // In case draining itself hangs
+    setTimeout(() => process.exit(code || 1), timeoutMs + 5000).unref();
+    try {
+      await shutdown({ timeoutMs });
+      await cluster.close();
+      process.exit(code);
+    } catch (error) {
+      log.error('Error while shutting down', { err: error });
+      process.exit(1);
+    }
+  }
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      log.info(`${signal} received, shutting down`);
+      exitAfterDrain(0, SHUTDOWN_TIMEOUT_MS);
+    });
+  }
+
+  process.on('uncaughtException', (err) => {
+    log.error('Uncaught exception, restarting', { err });
+    exitAfterDrain(1, FATAL_SHUTDOWN_TIMEOUT_MS);
+  });
+
+  process.on('unhandledRejection', (reason) => {
+    log.error('Unhandled rejection, restarting', { err: reason });
+    exitAfterDrain(1, FATAL_SHUTDOWN_TIMEOUT_MS);
+  });
+}
+
+if (require.main === module) {
+  start();
+}
@@ -0,0 +1,148 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('attachments', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let lea;
+  let tom;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-2', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [
+          { id: CONVERSATION_ID, is_read_only: false },
+          { id: 'conversation-2', is_read_only: false },
+        ],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+          { conversation_id: 'conversation-2', user_id: 'user-2' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster, attachmentsBucket: 'chat-files' });
+    const port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    lea.disconnect();
+    tom.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const requestUpload = (client, data) => client.timeout(2000).emitWithAck('request_upload', { conversationId: CONVERSATION_ID, ...data });
+  const send = (client, data) => client.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, ...data });
+  const upload = (path, size, contentType) => supabase.storage.objects.set(`chat-files/${path}`, { size, contentType });
+
+  test('request_upload enforces MIME types and size limits per message type', async () => {
+    const tooBig = await requestUpload(lea, { messageType: 'image', fileName: 'huge.png', mimeType: 'image/png', size: 50 * 1024 * 1024 });
+    assert.equal(tooBig.error.code, 'invalid_payload');
+
+    const wrongType = await requestUpload(lea, { messageType: 'voice', fileName: 'note.pdf', mimeType: 'application/pdf', size: 1000 });
+    assert.equal(wrongType.error.code, 'invalid_payload');
+
+    const { upload: issued } = await requestUpload(lea, { messageType: 'file', fileName: '../Plan Q3.pdf', mimeType: 'application/pdf', size: 1000 });
+    assert.ok(issued.path.startsWith(`${CONVERSATION_ID}/user-1/`));
+    assert.ok(issued.path.endsWith('/_Plan Q3.pdf'));
+    assert.ok(issued.signedUrl);
+  });
+
+  test('send_message only accepts uploads issued through request_upload', async () => {
+    const forged = await send(lea, { messageType: 'image', filePath: `${CONVERSATION_ID}/user-1/x/cat.png` });
+    assert.equal(forged.error.field, 'filePath');
+
+    const { upload: issued } = await requestUpload(lea, { messageType: 'image', fileName: 'cat.png', mimeType: 'image/png', size: 2048 });
+    assert.equal((await send(lea, { messageType: 'image', filePath: issued.path })).error.message, 'The file has not been uploaded yet');
+
+    upload(issued.path, 2048, 'image/png');
+    assert.equal((await send(tom, { messageType: 'image', filePath: issued.path })).error.field, 'filePath');
+
+    const received = new Promise(resolve => tom.once('new_message', resolve));
+    const { message } = await send(lea, { messageType: 'image', filePath: issued.path });
+    assert.equal(message.file_path, issued.path);
+    assert.equal(message.file_name, 'cat.png');
+    assert.ok(message.file_url.startsWith(`https://storage.test/chat-files/${issued.path}`));
+    assert.equal((await received).file_url, message.file_url);
+
+    // Uploads are single-use
+    assert.equal((await send(lea, { messageType: 'image', filePath: issued.path })).error.field, 'filePath');
+  });
+
+  test('an upload claimed by two messages at once is sent only once', async () => {
+    const { upload: issued } = await requestUpload(lea, { messageType: 'image', fileName: 'cat.png', mimeType: 'image/png', size: 2048 });
+    upload(issued.path, 2048, 'image/png');
+
+    const results = await Promise.all([
+      send(lea, { messageType: 'image', filePath: issued.path }),
+      send(lea, { messageType: 'image', filePath: issued.path }),
+    ]);
+    assert.deepEqual(results.map(r => Boolean(r.success)).sort(), [false, true]);
+    assert.equal(results.find(r => r.error).error.field, 'filePath');
+  });
+
+  test('uploaded files are checked again against the limits', async () => {
+    const { upload: issued } = await requestUpload(lea, { messageType: 'image', fileName: 'cat.png', mimeType: 'image/png', size: 2048 });
+    upload(issued.path, 2048, 'text/html');
+    const result = await send(lea, { messageType: 'image', filePath: issued.path });
+    assert.match(result.error.message, /text\/html is not allowed/);
+  });
+
+  test('reply previews carry signed download URLs', async () => {
+    const { upload: issued } = await requestUpload(tom, { messageType: 'voice', fileName: 'note.ogg', mimeType: 'audio/ogg', size: 4096 });
+    upload(issued.path, 4096, 'audio/ogg');
+    const { message: voice } = await send(tom, { messageType: 'voice', filePath: issued.path });
+
+    const { message: reply } = await send(lea, { messageText: 'Got it', replyToId: voice.id });
+    assert.ok(reply.reply_to.file_url.startsWith(`https://storage.test/chat-files/${issued.path}`));
+
+    const page = await lea.timeout(2000).emitWithAck('fetch_messages', { conversationId: CONVERSATION_ID, limit: 100 });
+    const fetched = page.messages.find(m => m.id === reply.id);
+    assert.equal(fetched.reply_to.file_url, reply.reply_to.file_url);
+    assert.ok(supabase.db.chat_messages.every(m => m.file_url === null || m.file_url === undefined));
+  });
+
+  test('replies only preview messages of the same conversation', async () => {
+    const { upload: issued } = await requestUpload(tom, { conversationId: 'conversation-2', messageType: 'file', fileName: 'pay.pdf', mimeType: 'application/pdf', size: 1000 });
+    upload(issued.path, 1000, 'application/pdf');
+    const { message: elsewhere } = await send(tom, { conversationId: 'conversation-2', messageText: 'payroll figures', messageType: 'file', filePath: issued.path });
+
+    const rejected = await send(lea, { messageText: 'Interesting', replyToId: elsewhere.id });
+    assert.equal(rejected.error.code, 'not_found');
+    assert.equal(rejected.error.field, 'replyToId');
+    assert.equal(rejected.message, undefined);
+
+    // A row written around the server still gets no preview
+    supabase.db.chat_messages.push({
+      id: 'sneaky-reply',
+      conversation_id: CONVERSATION_ID,
+      sender_id: 'user-1',
+      message_text: 'Interesting',
+      message_type: 'text',
+      reply_to_id: elsewhere.id,
+      created_at: new Date().toISOString(),
+    });
+    const page = await lea.timeout(2000).emitWithAck('fetch_messages', { conversationId: CONVERSATION_ID, limit: 100 });
+    assert.equal(page.messages.find(m => m.id === 'sneaky-reply').reply_to, null);
+  });
+});
@@ -0,0 +1,105 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('edit history and audit log', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let admin;
+  let tom;
+  let failMessageUpdates = false;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-admin': { id: 'admin-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-1', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'admin-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+        ],
+      },
+    });
+    const from = supabase.from;
+    supabase.from = (table) => {
+      const query = from(table);
+      if (table === 'chat_messages' && failMessageUpdates) {
+        const run = query.run.bind(query);
+        query.run = () => (query.action === 'update' ? { data: null, error: { message: 'connection reset' } } : run());
+      }
+      return query;
+    };
+    server = createChatServer({ supabase, cluster });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    admin.disconnect();
+    tom.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  test('keeps every replaced revision of an edited message', async () => {
+    const { message } = await tom.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText: 'Shift at 8' });
+    const target = { conversationId: CONVERSATION_ID, messageId: message.id };
+    await tom.timeout(2000).emitWithAck('edit_message', { ...target, newText: 'Shift at 9' });
+    await tom.timeout(2000).emitWithAck('edit_message', { ...target, newText: 'Shift at 10' });
+
+    const history = await admin.timeout(2000).emitWithAck('get_edit_history', target);
+    assert.deepEqual(history.revisions.map(r => r.message_text), ['Shift at 8', 'Shift at 9']);
+    assert.equal(history.current.message_text, 'Shift at 10');
+  });
+
+  test('a failed edit leaves no revision behind', async () => {
+    const { message } = await tom.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText: 'Bring badges' });
+    const target = { conversationId: CONVERSATION_ID, messageId: message.id };
+
+    failMessageUpdates = true;
+    try {
+      const failed = await tom.timeout(2000).emitWithAck('edit_message', { ...target, newText: 'Bring nothing' });
+      assert.equal(failed.error.code, 'internal_error');
+    } finally {
+      failMessageUpdates = false;
+    }
+
+    const history = await admin.timeout(2000).emitWithAck('get_edit_history', target);
+    assert.deepEqual(history.revisions, []);
+    assert.equal(history.current.message_text, 'Bring badges');
+  });
+
+  test('records moderation actions for admins to query', async () => {
+    const { message } = await tom.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText: 'Off-topic' });
+    await admin.timeout(2000).emitWithAck('delete_message', { conversationId: CONVERSATION_ID, messageId: message.id, deleteForEveryone: true });
+    await admin.timeout(2000).emitWithAck('set_read_only', { conversationId: CONVERSATION_ID, isReadOnly: true });
+
+    const log = await admin.timeout(2000).emitWithAck('get_audit_log', { conversationId: CONVERSATION_ID });
+    assert.deepEqual(log.entries.map(e => e.action), ['read_only_changed', 'message_deleted_for_everyone']);
+    assert.equal(log.entries[1].details.messageText, 'Off-topic');
+    assert.equal(log.entries[1].actor_name, 'Lea');
+
+    const filtered = await admin.timeout(2000).emitWithAck('get_audit_log', { action: 'read_only_changed', limit: 1 });
+    assert.equal(filtered.entries.length, 1);
+    assert.equal(filtered.hasMore, false);
+
+    const denied = await tom.timeout(2000).emitWithAck('get_audit_log', {});
+    assert.equal(denied.error.code, 'forbidden');
+  });
+});
@@ -0,0 +1,215 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createLruCache, createCachedRepository } = require('../lib/cache');
+const { createMemoryRepository } = require('../lib/repository');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('LRU cache', () => {
+  test('evicts the least recently used entry and expires entries after the TTL', () => {
+    const clock = createFakeClock();
+    const cache = createLruCache({ maxEntries: 2, ttlMs: 1000, now: clock.now });
+
+    cache.set('a', 1);
+    cache.set('b', null);
+    assert.equal(cache.get('a'), 1);
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.size, 2);
+
+    clock.advance(999);
+    assert.equal(cache.get('a'), 1);
+    clock.advance(1);
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.size, 1);
+  });
+});
+
+describe('cached repository', () => {
+  const CONVERSATION_ID = 'conversation-1';
+
+  function setup() {
+    const store = createMemoryRepository({
+      tables: {
+        user_profiles: [{ user_id: 'user-1', display_name: 'Lea', role: 'promotor' }],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [{ conversation_id: CONVERSATION_ID, user_id: 'user-1' }],
+      },
+    });
+    const reads = [];
+    const countReads = (namespace, method) => {
+      const read = store[namespace][method];
+      store[namespace][method] = (...args) => {
+        reads.push(`${namespace}.${method}`);
+        return read(...args);
+      };
+    };
+    countReads('participants', 'isMember');
+    countReads('conversations', 'get');
+    countReads('profiles', 'getMany');
+    return { store, reads, db: createCachedRepository(store) };
+  }
+
+  test('answers repeated reads from the cache and drops entries its own writes touch', async () => {
+    const { db, reads } = setup();
+
+    assert.equal(await db.participants.isMember(CONVERSATION_ID, 'user-1'), true);
+    assert.equal(await db.participants.isMember(CONVERSATION_ID, 'user-1'), true);
+    assert.equal(await db.participants.isMember(CONVERSATION_ID, 'user-2'), false);
+    await db.participants.add(CONVERSATION_ID, ['user-2']);
+    assert.equal(await db.participants.isMember(CONVERSATION_ID, 'user-2'), true);
+    await db.participants.remove(CONVERSATION_ID, 'user-1');
+    assert.equal(await db.participants.isMember(CONVERSATION_ID, 'user-1'), false);
+
+    await db.conversations.get(CONVERSATION_ID);
+    await db.conversations.update(CONVERSATION_ID, { is_read_only: true });
+    assert.equal((await db.conversations.get(CONVERSATION_ID)).is_read_only, true);
+
+    assert.deepEqual((await db.profiles.getMany(['user-1', 'user-9'])).map(p => p.display_name), ['Lea']);
+    assert.equal(await db.profiles.get('user-9'), null);
+    assert.equal((await db.profiles.get('user-1')).display_name, 'Lea');
+
+    assert.deepEqual(reads, [
+      'participants.isMember',
+      'participants.isMember',
+      'participants.isMember',
+      'participants.isMember',
+      'conversations.get',
+      'profiles.getMany',
+    ]);
+  });
+
+  test('does not cache a read that a write overtook', async () => {
+    const { db, store } = setup();
+    let answer;
+    const isMember = store.participants.isMember;
+    store.participants.isMember = async () => new Promise((resolve) => { answer = resolve; });
+
+    const stale = db.participants.isMember(CONVERSATION_ID, 'user-1');
+    await db.participants.remove(CONVERSATION_ID, 'user-1');
+    answer(true);
+    assert.equal(await stale, true);
+
+    store.participants.isMember = isMember;
+    assert.equal(await db.participants.isMember(CONVERSATION_ID, 'user-1'), false);
+  });
+
+  test('caches a read while other keys are written', async () => {
+    const { db, store, reads } = setup();
+    let answer;
+    const get = store.conversations.get;
+    store.conversations.get = async () => new Promise((resolve) => { answer = resolve; });
+
+    const loading = db.conversations.get(CONVERSATION_ID);
+    db.cache.applyChange({ table: 'chat_conversations', eventType: 'UPDATE', new: { id: 'conversation-2', is_read_only: false }, old: {} });
+    answer({ id: CONVERSATION_ID, is_read_only: false });
+    await loading;
+
+    store.conversations.get = get;
+    await db.conversations.get(CONVERSATION_ID);
+    assert.deepEqual(reads, []);
+  });
+
+  test('applies Realtime changes', async () => {
+    const { db } = setup();
+    await db.participants.isMember(CONVERSATION_ID, 'user-1');
+    await db.conversations.get(CONVERSATION_ID);
+    await db.profiles.get('user-1');
+
+    db.cache.applyChange({ table: 'chat_conversations', eventType: 'UPDATE', new: { id: CONVERSATION_ID, is_read_only: true }, old: {} });
+    // Without REPLICA IDENTITY FULL a delete only names the primary key
+    db.cache.applyChange({ table: 'chat_participants', eventType: 'DELETE', new: {}, old: { id: 7 } });
+    db.cache.applyChange({ table: 'user_profiles', eventType: 'UPDATE', new: { user_id: 'user-1', display_name: 'Lea M.' }, old: {} });
+
+    assert.deepEqual(db.cache.sizes(), [
+      { name: 'membership', size: 0 },
+      { name: 'conversations', size: 1 },
+      { name: 'profiles', size: 0 },
+    ]);
+    assert.equal((await db.conversations.get(CONVERSATION_ID)).is_read_only, true);
+  });
+});
+
+describe('cache in the chat server', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let port;
+  let lea;
+  let tom;
+  const queries = [];
+
+  const ask = (client, event, data) => client.timeout(2000).emitWithAck(event, data);
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-2', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+        ],
+      },
+    });
+    const from = supabase.from;
+    supabase.from = (table) => {
+      queries.push(table);
+      return from(table);
+    };
+    server = createChatServer({ supabase, cluster });
+    port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    [lea, tom].forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  test('typing_start and send_message check membership and the read-only flag once', async () => {
+    queries.length = 0;
+    for (let i = 0; i < 3; i++) {
+      const typing = new Promise(resolve => tom.once('user_typing', resolve));
+      lea.emit('typing_start', { conversationId: CONVERSATION_ID });
+      await typing;
+    }
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await ask(lea, 'send_message', { conversationId: CONVERSATION_ID, messageText: `Hi ${i}` })).success, true);
+    }
+
+    assert.equal(queries.filter(table => table === 'chat_participants').length, 1);
+    assert.equal(queries.filter(table => table === 'chat_conversations').length, 4);
+
+    const metrics = await (await fetch(`http://127.0.0.1:${port}/metrics`)).text();
+    assert.match(metrics, /chat_cache_lookups_total\{cache="membership",result="hit"\} 5/);
+  });
+
+  test('follows Realtime changes made elsewhere', async () => {
+    supabase.db.chat_conversations[0].is_read_only = true;
+    supabase.emitChange({ table: 'chat_conversations', eventType: 'UPDATE', new: { ...supabase.db.chat_conversations[0] }, old: {} });
+    const readOnly = await ask(lea, 'send_message', { conversationId: CONVERSATION_ID, messageText: 'Still open?' });
+    assert.equal(readOnly.error.code, 'read_only');
+
+    supabase.db.chat_participants = supabase.db.chat_participants.filter(p => p.user_id !== 'user-2');
+    supabase.emitChange({ table: 'chat_participants', eventType: 'DELETE', new: {}, old: { conversation_id: CONVERSATION_ID, user_id: 'user-2' } });
+    const removed = await ask(tom, 'send_message', { conversationId: CONVERSATION_ID, messageText: 'Hello?' });
+    assert.equal(removed.error.code, 'not_participant');
+  });
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { PRESENCE_TTL_MS, createPresenceTracker } = require('../lib/presence');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const CONVERSATION_ID = 'conversation-1';
+
+let cluster;
+let serverA;
+let serverB;
+let portB;
+let clientA;
+let clientB;
+
+before(async () => {
+  cluster = createMemoryCluster();
+  const supabase = createFakeSupabase({
+    users: {
+      'token-a': { id: 'user-a', email: 'anna@example.com' },
+      'token-b': { id: 'user-b', email: 'ben@example.com' },
+    },
+    tables: {
+      user_profiles: [
+        { user_id: 'user-a', display_name: 'Anna', role: 'promotor' },
+        { user_id: 'user-b', display_name: 'Ben', role: 'promotor' },
+      ],
+      chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+      chat_participants: [
+        { conversation_id: CONVERSATION_ID, user_id: 'user-a' },
+        { conversation_id: CONVERSATION_ID, user_id: 'user-b' },
+      ],
+    },
+  });
+
+  serverA = createChatServer({ supabase, cluster });
+  serverB = createChatServer({ supabase, cluster });
+  let portA;
+  [portA, portB] = await Promise.all([listen(serverA.httpServer), listen(serverB.httpServer)]);
+
+  clientA = await connect(portA, 'token-a');
+  clientB = await connect(portB, 'token-b');
+  await waitFor(() => roomSize(serverA, CONVERSATION_ID) === 1 && roomSize(serverB, CONVERSATION_ID) === 1);
+});
+
+after(async () => {
+  clientA.disconnect();
+  clientB.disconnect();
+  await Promise.all([serverA.close(), serverB.close()]);
+  await cluster.close();
+});
+
+test('new_message sent on one instance reaches a client on the other', async () => {
+  const received = new Promise(resolve => clientB.once('new_message', resolve));
+
+  const ack = await clientA.timeout(2000).emitWithAck('send_message', {
+    conversationId: CONVERSATION_ID,
+    messageText: 'Shift starts at 7:00',
+  });
+  assert.equal(ack.success, true);
+
+  const message = await received;
+  assert.equal(message.message_text, 'Shift starts at 7:00');
+  assert.equal(message.sender_name, 'Anna');
+  assert.equal(message.conversation_id, CONVERSATION_ID);
+});
+
+test('presence is shared between instances', async () => {
+  const ack = await clientB.timeout(2000).emitWithAck('get_presence', { userIds: ['user-a', 'user-c'] });
+  assert.equal(ack.success, true);
+  assert.deepEqual(ack.presence.map(p => [p.userId, p.status]), [['user-a', 'online'], ['user-c', 'offline']]);
+});
+
+test('presence_changed crosses instances', async () => {
+  const changed = new Promise(resolve => clientB.once('presence_changed', resolve));
+
+  await clientA.timeout(2000).emitWithAck('set_presence', { status: 'away' });
+
+  const presence = await changed;
+  assert.equal(presence.userId, 'user-a');
+  assert.equal(presence.status, 'away');
+  assert.ok(presence.last_seen_at);
+});
+
+test('sockets left behind by a dead instance expire unless refreshed', async () => {
+  const clock = createFakeClock();
+  const store = createMemoryCluster().store;
+  const presence = createPresenceTracker(store, { now: clock.now });
+
+  assert.equal((await presence.update('user-x', 'socket-1', 'online')).status, 'online');
+  clock.advance(PRESENCE_TTL_MS - 1000);
+  await presence.refresh([{ userId: 'user-x', socketId: 'socket-1', status: 'online' }]);
+  clock.advance(PRESENCE_TTL_MS - 1000);
+  assert.equal((await presence.get('user-x')).status, 'online');
+
+  // The instance holding socket-1 stops refreshing it
+  clock.advance(1000);
+  assert.equal((await presence.get('user-x')).status, 'offline');
+
+  const back = await presence.update('user-x', 'socket-2', 'away');
+  assert.equal(back.status, 'away');
+  assert.deepEqual(Object.keys(await store.hgetall('presence:user-x')), ['socket-2']);
+});
+
+test('several sockets of a user fold into one status that goes offline with the last one', async () => {
+  const changes = [];
+  clientB.on('presence_changed', (presence) => {
+    if (presence.userId === 'user-a') changes.push(presence);
+  });
+  const socketCount = async () => Object.keys(await cluster.store.hgetall('presence:user-a')).length;
+  const until = async (predicate) => {
+    const deadline = Date.now() + 2000;
+    while (!(await predicate())) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  await clientA.timeout(2000).emitWithAck('set_presence', { status: 'online' });
+  await waitFor(() => changes.length === 1);
+
+  // A phone joins on the other instance, goes away, and leaves again
+  const phone = await connect(portB, 'token-a');
+  await until(async () => (await socketCount()) === 2);
+  const away = await phone.timeout(2000).emitWithAck('set_presence', { status: 'away' });
+  assert.equal(away.presence.status, 'online');
+  phone.disconnect();
+  await until(async () => (await socketCount()) === 1);
+
+  clientA.disconnect();
+  await waitFor(() => changes.length === 2);
+  assert.deepEqual(changes.map(p => p.status), ['online', 'offline']);
+  assert.ok(changes[1].last_seen_at);
+});
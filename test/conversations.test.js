@@ -0,0 +1,98 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect } = require('./helpers/socket');
+
+describe('fetch_conversations', () => {
+  const conversationIds = ['conversation-1', 'conversation-2', 'conversation-3', 'conversation-4', 'conversation-5', 'conversation-6'];
+  let cluster;
+  let supabase;
+  let server;
+  let port;
+  const queries = [];
+
+  // Tom reads the first two conversations after two messages each; the
+  // others he never opened
+  const message = (conversationId, i, senderId) => ({
+    id: `${conversationId}-m${i}`,
+    conversation_id: conversationId,
+    sender_id: senderId,
+    message_text: `${conversationId} #${i}`,
+    message_type: 'text',
+    created_at: `2026-01-0${i}T10:00:00.000Z`,
+  });
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-2', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: conversationIds.map((id, i) => ({ id, is_read_only: false, updated_at: `2026-02-0${i + 1}T00:00:00.000Z` })),
+        chat_participants: conversationIds.flatMap((id, i) => [
+          { conversation_id: id, user_id: 'user-1' },
+          { conversation_id: id, user_id: 'user-2', last_read_at: i < 2 ? '2026-01-02T12:00:00.000Z' : null },
+        ]),
+        chat_messages: [
+          ...conversationIds.flatMap(id => [
+            message(id, 1, 'user-1'),
+            message(id, 2, 'user-1'),
+            message(id, 3, 'user-2'),
+            message(id, 4, 'user-1'),
+          ]),
+          // Counted on its thread, not on the conversation
+          { ...message('conversation-1', 3, 'user-1'), id: 'conversation-1-reply', created_at: '2026-01-03T12:00:00.000Z', thread_root_id: 'conversation-1-m3' },
+        ],
+      },
+    });
+    const from = supabase.from;
+    supabase.from = (table) => {
+      queries.push(table);
+      return from(table);
+    };
+    server = createChatServer({ supabase, cluster });
+    port = await listen(server.httpServer);
+  });
+
+  after(async () => {
+    await server.close();
+    await cluster.close();
+  });
+
+  async function fetchPage(limit) {
+    const tom = await connect(port, 'token-tom');
+    queries.length = 0;
+    const page = await tom.timeout(2000).emitWithAck('fetch_conversations', { limit });
+    const made = queries.length;
+    tom.disconnect();
+    return { page, queries: made };
+  }
+
+  test('returns unread counts and last messages', async () => {
+    const { page } = await fetchPage(10);
+    assert.deepEqual(page.conversations.map(c => c.id), [...conversationIds].reverse());
+
+    const byId = new Map(page.conversations.map(c => [c.id, c]));
+    assert.equal(byId.get('conversation-1').unread_count, 1);
+    assert.equal(byId.get('conversation-6').unread_count, 3);
+    assert.equal(byId.get('conversation-3').last_message.id, 'conversation-3-m4');
+    assert.equal(byId.get('conversation-3').last_message.sender_name, 'Lea');
+  });
+
+  test('only the unread counts take a query per conversation on the page', async () => {
+    const small = await fetchPage(1);
+    const large = await fetchPage(6);
+    assert.equal(small.page.conversations.length, 1);
+    assert.equal(large.page.conversations.length, 6);
+    assert.equal(large.queries - small.queries, 5);
+  });
+});
@@ -0,0 +1,132 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createHealthChecks } = require('../lib/health');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('health checks', () => {
+  // A client whose every query resolves to `answer()`
+  const stubSupabase = (answer) => {
+    const query = { select: () => query, limit: () => answer() };
+    return { from: () => query };
+  };
+
+  test('caches the Supabase probe and shares one in progress', async () => {
+    let probes = 0;
+    const health = createHealthChecks({
+      supabase: stubSupabase(async () => { probes++; return { error: null }; }),
+      probeTtlMs: 60 * 1000,
+    });
+
+    const [first, second] = await Promise.all([health.checkSupabase(), health.checkSupabase()]);
+    const third = await health.checkSupabase();
+    health.stop();
+
+    assert.equal(probes, 1);
+    assert.equal(first.ok, true);
+    assert.equal(second, first);
+    assert.equal(third, first);
+  });
+
+  test('reports errors and probes that do not answer in time', async () => {
+    const failing = createHealthChecks({ supabase: stubSupabase(async () => ({ error: { message: 'connection refused' } })) });
+    const hanging = createHealthChecks({ supabase: stubSupabase(() => new Promise(() => {})), probeTimeoutMs: 20 });
+
+    const refused = await failing.checkSupabase();
+    const timedOut = await hanging.checkSupabase();
+    failing.stop();
+    hanging.stop();
+
+    assert.equal(refused.ok, false);
+    assert.equal(refused.error, 'connection refused');
+    assert.equal(timedOut.ok, false);
+    assert.match(timedOut.error, /No answer within 20ms/);
+  });
+});
+
+describe('HTTP endpoints', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let server;
+  let port;
+  let lea;
+  let tom;
+
+  const get = (path, headers = {}) => fetch(`http://127.0.0.1:${port}${path}`, { headers });
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    const supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-2', email: 'tom@example.com' },
+        'token-ada': { id: 'user-3', email: 'ada@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+          { user_id: 'user-3', display_name: 'Ada', role: 'admin_staff' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster });
+    port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    [lea, tom].forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  test('/livez answers without checking dependencies', async () => {
+    const response = await get('/livez');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+
+  test('/readyz reports Supabase, event loop lag and connections', async () => {
+    const response = await get('/readyz');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.checks.supabase.ok, true);
+    assert.equal(typeof body.eventLoopLag.p99Ms, 'number');
+    assert.deepEqual(body.connections, { sockets: 2, users: 2 });
+    assert.equal((await (await get('/health')).json()).status, 'ready');
+  });
+
+  test('unknown paths are 404', async () => {
+    const response = await get('/nope');
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Not found' });
+  });
+
+  test('/admin/status lists connected users and their rooms, for admins only', async () => {
+    assert.equal((await get('/admin/status')).status, 401);
+    assert.equal((await get('/admin/status', { authorization: 'Bearer nope' })).status, 401);
+    assert.equal((await get('/admin/status', { authorization: 'Bearer token-lea' })).status, 403);
+
+    const response = await get('/admin/status', { authorization: 'Bearer token-ada' });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.users.map(u => u.userName), ['Lea', 'Tom']);
+    const [leaStatus] = body.users;
+    assert.equal(leaStatus.userId, 'user-1');
+    assert.equal(leaStatus.sockets.length, 1);
+    assert.deepEqual(leaStatus.sockets[0].rooms.sort(), [CONVERSATION_ID, 'user:user-1']);
+  });
+});
@@ -0,0 +1,39 @@
+// Clock for lib/scheduler.js whose time only moves when advance() is called
+
+function createFakeClock(start = Date.parse('2026-01-05T06:00:00.000Z')) {
+  let now = start;
+  let nextHandle = 1;
+  const timers = new Map();
+
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const handle = nextHandle++;
+      timers.set(handle, { fn, at: now + ms });
+      return handle;
+    },
+    clearTimeout(handle) {
+      timers.delete(handle);
+    },
+    // Moves time forward, firing due timers in order
+    advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= target)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        const [handle, timer] = due;
+        timers.delete(handle);
+        now = timer.at;
+        timer.fn();
+      }
+      now = target;
+    },
+    get pending() {
+      return timers.size;
+    },
+  };
+}
+
+module.exports = { createFakeClock };
@@ -0,0 +1,305 @@
+// Minimal in-memory stand-in for the parts of the Supabase client the server
+// uses: auth.getUser(), from(table) queries with eq/is/in/not/textSearch/
+// order/limit/single and embedded child tables (select('id, child(*)')),
+// the few storage calls made for attachments and
+// Realtime channels. Writes through from() don't reach the channels; tests
+// deliver changes themselves with emitChange(payload).
+
+// Child tables that can be embedded in a parent's select, by
+// `${parent}.${child}`: the child's column holding the parent's id
+const EMBEDDED_KEYS = {
+  'chat_conversations.chat_messages': 'conversation_id',
+};
+
+const sortRows = (rows, { column, ascending }) => [...rows].sort((a, b) => (
+  (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1)
+));
+
+function createFakeSupabase({ users = {}, tables = {} } = {}) {
+  const db = {};
+  for (const [table, rows] of Object.entries(tables)) {
+    db[table] = rows.map(row => ({ ...row }));
+  }
+  const rowsOf = table => (db[table] = db[table] || []);
+  let nextId = 1;
+  // Strictly increasing, so rows inserted in the same millisecond still sort
+  // in insertion order by created_at
+  let lastCreatedAt = 0;
+  const nextCreatedAt = () => {
+    lastCreatedAt = Math.max(Date.now(), lastCreatedAt + 1);
+    return new Date(lastCreatedAt).toISOString();
+  };
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.action = 'select';
+      this.filters = [];
+      this.ordering = null;
+      this.max = null;
+      this.singleRow = false;
+      // Embedded child table -> { filters, ordering, max }
+      this.embedded = {};
+    }
+
+    select(columns, { count = null, head = false } = {}) {
+      this.count = count;
+      this.head = head;
+      for (const [, child] of (columns || '').matchAll(/(\w+)\(\*\)/g)) {
+        this.embedded[child] = { filters: [], ordering: null, max: null };
+      }
+      return this;
+    }
+
+    insert(values) {
+      this.action = 'insert';
+      this.values = values;
+      return this;
+    }
+
+    upsert(values, { onConflict = null } = {}) {
+      this.action = 'upsert';
+      this.values = values;
+      this.conflictColumns = onConflict ? onConflict.split(',') : null;
+      return this;
+    }
+
+    update(values) {
+      this.action = 'update';
+      this.values = values;
+      return this;
+    }
+
+    delete() {
+      this.action = 'delete';
+      return this;
+    }
+
+    eq(column, value) {
+      this.filters.push(row => row[column] === value);
+      return this;
+    }
+
+    neq(column, value) {
+      this.filters.push(row => row[column] !== value);
+      return this;
+    }
+
+    lt(column, value) {
+      this.filters.push(row => row[column] < value);
+      return this;
+    }
+
+    lte(column, value) {
+      this.filters.push(row => row[column] <= value);
+      return this;
+    }
+
+    gte(column, value) {
+      this.filters.push(row => row[column] >= value);
+      return this;
+    }
+
+    gt(column, value) {
+      this.filters.push(row => row[column] > value);
+      return this;
+    }
+
+    // `child.column` filters the rows of an embedded child table
+    is(column, value) {
+      const [child, childColumn] = column.split('.');
+      if (childColumn) {
+        this.embedded[child].filters.push(row => (row[childColumn] ?? null) === value);
+      } else {
+        this.filters.push(row => (row[column] ?? null) === value);
+      }
+      return this;
+    }
+
+    in(column, values) {
+      this.filters.push(row => values.includes(row[column]));
+      return this;
+    }
+
+    // Only the operators the server uses: not(column, 'in', '(a,b)') and
+    // not(column, 'is', null)
+    not(column, operator, value) {
+      if (operator === 'in') {
+        const values = value.replace(/^\(|\)$/g, '').split(',');
+        this.filters.push(row => !values.includes(String(row[column])));
+      } else if (operator === 'is') {
+        this.filters.push(row => (row[column] ?? null) !== value);
+      } else {
+        throw new Error(`Unsupported not() operator: ${operator}`);
+      }
+      return this;
+    }
+
+    // Rough websearch semantics: every word or "phrase" must appear as whole
+    // words, case-insensitively, and -word must not; "or" is ignored
+    textSearch(column, query) {
+      const tokens = [...query.matchAll(/(-?)(?:"([^"]*)"?|(\S+))/g)]
+        .map(([, negated, phrase, word]) => ({ negated: Boolean(negated), term: (phrase ?? word).toLowerCase() }))
+        .filter(({ term }) => term && term !== 'or');
+      const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const contains = (text, term) => new RegExp(`(?<![\\p{L}\\p{N}_])${escape(term)}(?![\\p{L}\\p{N}_])`, 'iu').test(text || '');
+      this.filters.push(row => tokens.every(({ negated, term }) => contains(row[column], term) !== negated));
+      return this;
+    }
+
+    order(column, { ascending = true, referencedTable = null } = {}) {
+      if (referencedTable) {
+        this.embedded[referencedTable].ordering = { column, ascending };
+      } else {
+        this.ordering = { column, ascending };
+      }
+      return this;
+    }
+
+    limit(count, { referencedTable = null } = {}) {
+      if (referencedTable) {
+        this.embedded[referencedTable].max = count;
+      } else {
+        this.max = count;
+      }
+      return this;
+    }
+
+    single() {
+      this.singleRow = true;
+      return this;
+    }
+
+    matches(row) {
+      return this.filters.every(filter => filter(row));
+    }
+
+    run() {
+      const rows = rowsOf(this.table);
+      let result;
+
+      if (this.action === 'insert' || this.action === 'upsert') {
+        const values = Array.isArray(this.values) ? this.values : [this.values];
+        result = values.map((value) => {
+          const existing = this.conflictColumns && rows.find(row => this.conflictColumns.every(c => row[c] === value[c]));
+          if (existing) return Object.assign(existing, value);
+          const row = { id: nextId++, created_at: nextCreatedAt(), ...value };
+          rows.push(row);
+          return row;
+        });
+      } else if (this.action === 'update') {
+        result = rows.filter(row => this.matches(row));
+        result.forEach(row => Object.assign(row, this.values));
+      } else if (this.action === 'delete') {
+        result = rows.filter(row => this.matches(row));
+        db[this.table] = rows.filter(row => !this.matches(row));
+      } else {
+        result = rows.filter(row => this.matches(row));
+      }
+
+      if (this.ordering) {
+        result = sortRows(result, this.ordering);
+      }
+      if (this.max !== null) {
+        result = result.slice(0, this.max);
+      }
+      result = result.map(row => ({ ...row }));
+      for (const [child, { filters, ordering, max }] of Object.entries(this.embedded)) {
+        const key = EMBEDDED_KEYS[`${this.table}.${child}`];
+        result.forEach((row) => {
+          let children = rowsOf(child).filter(c => c[key] === row.id && filters.every(filter => filter(c)));
+          if (ordering) children = sortRows(children, ordering);
+          row[child] = children.slice(0, max ?? children.length).map(c => ({ ...c }));
+        });
+      }
+
+      if (this.head) {
+        return { data: null, count: result.length, error: null };
+      }
+
+      if (this.singleRow) {
+        return result.length === 1
+          ? { data: result[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      return { data: result, error: null };
+    }
+
+    then(resolve, reject) {
+      return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+  }
+
+  // Storage objects by `${bucket}/${path}`; tests put "uploaded" files here
+  const objects = new Map();
+
+  // Realtime postgres_changes listeners, as { table, handler }
+  const changeListeners = [];
+
+  return {
+    db,
+    emitChange(payload) {
+      changeListeners
+        .filter(listener => listener.table === payload.table)
+        .forEach(listener => listener.handler({ schema: 'public', ...payload }));
+    },
+    channel() {
+      const listeners = [];
+      const channel = {
+        listeners,
+        on(type, { table }, handler) {
+          listeners.push({ table, handler });
+          return channel;
+        },
+        subscribe(onStatus = () => {}) {
+          changeListeners.push(...listeners);
+          setImmediate(() => onStatus('SUBSCRIBED'));
+          return channel;
+        },
+      };
+      return channel;
+    },
+    async removeChannel(channel) {
+      for (const listener of channel.listeners) {
+        const index = changeListeners.indexOf(listener);
+        if (index !== -1) changeListeners.splice(index, 1);
+      }
+      return 'ok';
+    },
+    storage: {
+      objects,
+      from(bucket) {
+        return {
+          async createSignedUploadUrl(path) {
+            return { data: { path, token: 'upload-token', signedUrl: `https://storage.test/upload/${bucket}/${path}?token=upload-token` }, error: null };
+          },
+          async info(path) {
+            const object = objects.get(`${bucket}/${path}`);
+            return object
+              ? { data: { name: path, size: object.size, contentType: object.contentType }, error: null }
+              : { data: null, error: { message: 'Object not found' } };
+          },
+          async createSignedUrls(paths, expiresIn) {
+            return {
+              data: paths.map(path => ({ path, error: null, signedUrl: `https://storage.test/${bucket}/${path}?expires=${expiresIn}` })),
+              error: null,
+            };
+          },
+        };
+      },
+    },
+    auth: {
+      async getUser(token) {
+        const user = users[token];
+        return user
+          ? { data: { user }, error: null }
+          : { data: { user: null }, error: { message: 'Invalid token' } };
+      },
+    },
+    from(table) {
+      return new Query(table);
+    },
+  };
+}
+
+module.exports = { createFakeSupabase };
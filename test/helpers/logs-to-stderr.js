@@ -0,0 +1,4 @@
+// The test runner reads results from each test file's stdout, and server logs
+// written there can corrupt them on Node 20. Send them to stderr instead.
+console.log = console.error;
+console.info = console.error;
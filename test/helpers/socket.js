@@ -0,0 +1,30 @@
+const { io: connectClient } = require('socket.io-client');
+
+function listen(httpServer) {
+  return new Promise(resolve => httpServer.listen(0, '127.0.0.1', () => resolve(httpServer.address().port)));
+}
+
+function connect(port, token, options = {}) {
+  return new Promise((resolve, reject) => {
+    const client = connectClient(`http://127.0.0.1:${port}`, {
+      auth: { token },
+      transports: ['websocket'],
+      reconnection: false,
+      ...options,
+    });
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const roomSize = (server, room) => server.io.sockets.adapter.rooms.get(room)?.size || 0;
+
+module.exports = { listen, connect, waitFor, roomSize };
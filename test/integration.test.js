@@ -0,0 +1,600 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createMemoryRepository } = require('../lib/repository');
+const { PRESENCE_TTL_MS } = require('../lib/presence');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+// The server against the in-memory repository, driven only through socket
+// events. Supabase is left with auth and storage; no table is ever queried.
+describe('integration (memory repository)', () => {
+  const TEAM = 'conversation-team';
+  const SIDE = 'conversation-side';
+  const users = {
+    lea: { id: 'user-1', role: 'promotor' },
+    tom: { id: 'user-2', role: 'promotor' },
+    ada: { id: 'user-3', role: 'admin_staff' },
+    max: { id: 'user-4', role: 'promotor' },
+    zoe: { id: 'user-5', role: 'promotor' },
+  };
+  let cluster;
+  let clock;
+  let supabase;
+  // Tables queried through Supabase; should stay empty
+  const tableQueries = [];
+  let repository;
+  let server;
+  let port;
+  const clients = {};
+
+  const ask = (client, event, data = {}) => client.timeout(2000).emitWithAck(event, data);
+  const next = (client, event) => new Promise(resolve => client.once(event, resolve));
+  const send = (client, data) => ask(client, 'send_message', { conversationId: TEAM, ...data });
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    clock = createFakeClock(Date.now());
+    supabase = createFakeSupabase({
+      users: Object.fromEntries(Object.entries(users).map(([name, { id }]) => [`token-${name}`, { id, email: `${name}@example.com` }])),
+    });
+    const from = supabase.from;
+    supabase.from = (table) => {
+      tableQueries.push(table);
+      return from(table);
+    };
+    repository = createMemoryRepository({
+      now: clock.now,
+      tables: {
+        user_profiles: Object.entries(users).map(([name, { id, role }]) => ({ user_id: id, display_name: name, role })),
+        chat_conversations: [
+          { id: TEAM, type: 'group', name: 'Team', is_read_only: false, updated_at: '2026-01-01T00:00:00.000Z' },
+          { id: SIDE, type: 'group', name: 'Side', is_read_only: false, updated_at: '2026-01-01T00:00:00.000Z' },
+        ],
+        chat_participants: [
+          ...['lea', 'tom', 'ada', 'max'].map(name => ({ conversation_id: TEAM, user_id: users[name].id })),
+          ...['lea', 'ada', 'max'].map(name => ({ conversation_id: SIDE, user_id: users[name].id })),
+        ],
+      },
+    });
+    server = createChatServer({
+      supabase,
+      repository,
+      cluster,
+      clock,
+      // The suite walks every event as the same few users; keep the buckets out of the way
+      rateLimits: { connection: { capacity: 100, refillPerSecond: 100 }, events: { default: { capacity: 1000, refillPerSecond: 1000 } } },
+      moderation: { rules: [{ id: 'competitor', type: 'regex', pattern: 'brand\\s*x', flags: 'i', action: 'flag', reason: 'Mentions a competitor' }] },
+    });
+    port = await listen(server.httpServer);
+    for (const name of ['lea', 'tom', 'ada', 'max']) {
+      clients[name] = await connect(port, `token-${name}`);
+    }
+    await waitFor(() => roomSize(server, TEAM) === 4 && roomSize(server, SIDE) === 3);
+  });
+
+  after(async () => {
+    Object.values(clients).forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  test('send_message, fetch_messages and fetch_conversations', async () => {
+    const { lea, tom } = clients;
+    const received = next(tom, 'new_message');
+    const sent = await send(lea, { messageText: 'Morning everyone' });
+    assert.equal(sent.success, true);
+    assert.equal(sent.message.sender_name, 'lea');
+    assert.equal(typeof sent.message.seq, 'number');
+    assert.equal((await received).id, sent.message.id);
+
+    const reply = await send(tom, { messageText: 'Morning!', replyToId: sent.message.id });
+    assert.equal(reply.message.reply_to.message_text, 'Morning everyone');
+
+    const page = await ask(tom, 'fetch_messages', { conversationId: TEAM, limit: 1 });
+    assert.deepEqual(page.messages.map(m => m.message_text), ['Morning!']);
+    assert.equal(page.hasMore, true);
+    const older = await ask(tom, 'fetch_messages', { conversationId: TEAM, before: reply.message.id });
+    assert.deepEqual(older.messages.map(m => m.message_text), ['Morning everyone']);
+    const newer = await ask(tom, 'fetch_messages', { conversationId: TEAM, after: sent.message.id });
+    assert.deepEqual(newer.messages.map(m => m.message_text), ['Morning!']);
+
+    const { conversations } = await ask(tom, 'fetch_conversations');
+    assert.deepEqual(conversations.map(c => c.id), [TEAM]);
+    assert.equal(conversations[0].unread_count, 1);
+    assert.equal(conversations[0].last_message.id, reply.message.id);
+
+    const outsider = await ask(tom, 'fetch_messages', { conversationId: SIDE });
+    assert.equal(outsider.error.code, 'not_participant');
+  });
+
+  test('typing_start and typing_stop', async () => {
+    const { lea, tom } = clients;
+    const typing = next(tom, 'user_typing');
+    lea.emit('typing_start', { conversationId: TEAM });
+    assert.equal((await typing).userId, users.lea.id);
+
+    const stopped = next(tom, 'user_stopped_typing');
+    lea.emit('typing_stop', { conversationId: TEAM });
+    assert.equal((await stopped).userId, users.lea.id);
+  });
+
+  test('mark_read and get_read_receipts', async () => {
+    const { lea, tom } = clients;
+    const { message } = await send(lea, { messageText: 'Did everyone see the new rota?' });
+    clock.advance(1000);
+
+    const notified = next(lea, 'user_read');
+    const read = await ask(tom, 'mark_read', { conversationId: TEAM });
+    assert.equal(read.lastReadMessageId, message.id);
+    assert.equal((await notified).userId, users.tom.id);
+
+    const receipts = await ask(lea, 'get_read_receipts', { conversationId: TEAM, messageId: message.id });
+    assert.deepEqual(receipts.seenBy.map(r => r.userId), [users.tom.id]);
+    assert.equal(receipts.totalCount, 3);
+
+    const { conversations } = await ask(tom, 'fetch_conversations');
+    assert.equal(conversations.find(c => c.id === TEAM).unread_count, 0);
+
+    // Tom isn't in SIDE: no receipt, no message id
+    const outsider = await ask(tom, 'mark_read', { conversationId: SIDE });
+    assert.equal(outsider.error.code, 'not_participant');
+    assert.equal(outsider.lastReadMessageId, undefined);
+  });
+
+  test('read receipts only list participants who read up to the message', async () => {
+    const { lea, tom, ada } = clients;
+    const { message: first } = await send(lea, { messageText: 'Stock count on Friday' });
+    clock.advance(1000);
+    await ask(tom, 'mark_read', { conversationId: TEAM });
+    clock.advance(1000);
+    const { message: second } = await send(lea, { messageText: 'Bring the scanners' });
+    clock.advance(1000);
+
+    const notified = next(tom, 'user_read');
+    const read = await ask(ada, 'mark_read', { conversationId: TEAM });
+    assert.deepEqual(await notified, { userId: users.ada.id, conversationId: TEAM, lastReadMessageId: second.id, readAt: read.readAt });
+
+    const firstReceipts = await ask(lea, 'get_read_receipts', { conversationId: TEAM, messageId: first.id });
+    assert.deepEqual(firstReceipts.seenBy.map(r => r.name), ['tom', 'ada']);
+    assert.equal(firstReceipts.seenCount, 2);
+    const secondReceipts = await ask(lea, 'get_read_receipts', { conversationId: TEAM, messageId: second.id });
+    assert.deepEqual(secondReceipts.seenBy.map(r => r.userId), [users.ada.id]);
+    assert.equal(secondReceipts.totalCount, 3);
+
+    // Only messages of the conversation asked about, and only for its members
+    const { message: elsewhere } = await ask(lea, 'send_message', { conversationId: SIDE, messageText: 'Side note' });
+    assert.equal((await ask(lea, 'get_read_receipts', { conversationId: TEAM, messageId: elsewhere.id })).error.code, 'not_found');
+    assert.equal((await ask(tom, 'get_read_receipts', { conversationId: SIDE, messageId: elsewhere.id })).error.code, 'not_participant');
+  });
+
+  test('edit_message and get_edit_history', async () => {
+    const { lea, tom } = clients;
+    const { message } = await send(lea, { messageText: 'Meet at 9' });
+
+    const edited = next(tom, 'message_edited');
+    const result = await ask(lea, 'edit_message', { conversationId: TEAM, messageId: message.id, newText: 'Meet at 10' });
+    assert.equal(result.success, true);
+    assert.equal((await edited).message_text, 'Meet at 10');
+
+    const notMine = await ask(tom, 'edit_message', { conversationId: TEAM, messageId: message.id, newText: 'Meet at 11' });
+    assert.equal(notMine.error.code, 'forbidden');
+
+    const history = await ask(tom, 'get_edit_history', { conversationId: TEAM, messageId: message.id });
+    assert.deepEqual(history.revisions.map(r => r.message_text), ['Meet at 9']);
+    assert.equal(history.current.message_text, 'Meet at 10');
+  });
+
+  test('delete_message for everyone', async () => {
+    const { lea, tom } = clients;
+    const { message } = await send(lea, { messageText: 'Oops, wrong chat' });
+
+    const forbidden = await ask(tom, 'delete_message', { conversationId: TEAM, messageId: message.id, deleteForEveryone: true });
+    assert.equal(forbidden.error.code, 'forbidden');
+
+    const deleted = next(tom, 'message_deleted');
+    assert.equal((await ask(lea, 'delete_message', { conversationId: TEAM, messageId: message.id, deleteForEveryone: true })).success, true);
+    assert.equal((await deleted).messageId, message.id);
+    assert.equal(repository.tables.chat_messages.find(m => m.id === message.id).deleted_for_all, true);
+  });
+
+  test('react_to_message and remove_reaction', async () => {
+    const { lea, tom } = clients;
+    const { message } = await send(lea, { messageText: 'We hit the target!' });
+
+    const updated = next(lea, 'reaction_updated');
+    const added = await ask(tom, 'react_to_message', { conversationId: TEAM, messageId: message.id, emoji: '🎉' });
+    assert.equal(added.added, true);
+    assert.deepEqual(added.my_reactions, ['🎉']);
+    assert.equal((await updated).totalReactions, 1);
+
+    const toggled = await ask(tom, 'react_to_message', { conversationId: TEAM, messageId: message.id, emoji: '🎉', toggle: true });
+    assert.equal(toggled.added, false);
+    assert.equal(toggled.totalReactions, 0);
+
+    await ask(tom, 'react_to_message', { conversationId: TEAM, messageId: message.id, emoji: '🔥' });
+    const removed = await ask(tom, 'remove_reaction', { conversationId: TEAM, messageId: message.id, emoji: '🔥' });
+    assert.equal(removed.totalReactions, 0);
+    assert.deepEqual(removed.my_reactions, []);
+  });
+
+  test('search_messages', async () => {
+    const { lea, tom } = clients;
+    await send(lea, { messageText: 'Inventory count starts at noon' });
+    await send(tom, { messageText: 'Inventory count report is attached' });
+    await send(tom, { messageText: 'Count the inventory twice' });
+
+    const phrase = await ask(tom, 'search_messages', { query: '"inventory count" -report' });
+    assert.deepEqual(phrase.results.map(r => r.message.message_text), ['Inventory count starts at noon']);
+
+    const words = await ask(tom, 'search_messages', { query: 'inventory count', senderId: users.tom.id, limit: 1 });
+    assert.deepEqual(words.results.map(r => r.message.message_text), ['Count the inventory twice']);
+    assert.equal(words.hasMore, true);
+    const more = await ask(tom, 'search_messages', { query: 'inventory count', senderId: users.tom.id, before: words.nextCursor });
+    assert.deepEqual(more.results.map(r => r.message.message_text), ['Inventory count report is attached']);
+  });
+
+  test('fetch_thread, follow_thread and unfollow_thread', async () => {
+    const { lea, tom, max } = clients;
+    const { message: root } = await send(lea, { messageText: 'Who covers Saturday?' });
+    const { message: reply } = await send(tom, { messageText: 'I can', threadRootId: root.id });
+
+    const thread = await ask(max, 'fetch_thread', { conversationId: TEAM, threadRootId: root.id });
+    assert.equal(thread.root.id, root.id);
+    assert.equal(thread.root.thread_reply_count, 1);
+    assert.deepEqual(thread.messages.map(m => m.id), [reply.id]);
+    assert.equal(thread.following, false);
+
+    assert.equal((await ask(max, 'follow_thread', { conversationId: TEAM, threadRootId: root.id })).following, true);
+    const delivered = next(max, 'new_message');
+    const { message: second } = await send(tom, { messageText: 'Or Sunday', threadRootId: root.id });
+    assert.equal((await delivered).id, second.id);
+
+    assert.equal((await ask(max, 'unfollow_thread', { conversationId: TEAM, threadRootId: root.id })).following, false);
+    assert.equal((await ask(max, 'fetch_thread', { conversationId: TEAM, threadRootId: root.id })).following, false);
+  });
+
+  test('polls: vote_poll, get_poll_results and close_poll', async () => {
+    const { ada, lea, tom } = clients;
+    const notAdmin = await send(lea, { messageType: 'poll', pollQuestion: 'Lunch?', pollOptions: ['Pizza', 'Salad'], allowMultiple: false });
+    assert.equal(notAdmin.error.code, 'forbidden');
+
+    const { message } = await send(ada, { messageType: 'poll', pollQuestion: 'Lunch?', pollOptions: ['Pizza', 'Salad'], allowMultiple: false });
+    const [pizza, salad] = message.poll.options;
+    const vote = (client, optionId, checked = true) => ask(client, 'vote_poll', { conversationId: TEAM, pollId: message.poll.id, optionId, checked });
+
+    await vote(lea, pizza.id);
+    await vote(tom, pizza.id);
+    const changed = await vote(lea, salad.id);
+    assert.deepEqual(changed.myVotes, [salad.id]);
+    assert.deepEqual(changed.totals, [{ optionId: pizza.id, count: 1 }, { optionId: salad.id, count: 1 }]);
+
+    const results = await ask(ada, 'get_poll_results', { conversationId: TEAM, pollId: message.poll.id });
+    assert.equal(results.totalVotes, 2);
+    assert.deepEqual(results.rows.map(r => [r.option, r.voter_name]), [['Pizza', 'tom'], ['Salad', 'lea']]);
+
+    const closed = next(lea, 'poll_closed');
+    assert.equal((await ask(ada, 'close_poll', { conversationId: TEAM, pollId: message.poll.id })).success, true);
+    assert.equal((await closed).closedBy, users.ada.id);
+    assert.equal((await vote(tom, salad.id)).error.code, 'poll_closed');
+    assert.equal((await ask(ada, 'close_poll', { conversationId: TEAM, pollId: message.poll.id })).error.code, 'poll_closed');
+  });
+
+  test('request_upload and sending the uploaded file', async () => {
+    const { lea, tom } = clients;
+    const { upload } = await ask(lea, 'request_upload', {
+      conversationId: TEAM, messageType: 'image', fileName: 'shelf.png', mimeType: 'image/png', size: 2048,
+    });
+    supabase.storage.objects.set(`chat-attachments/${upload.path}`, { size: 2048, contentType: 'image/png' });
+
+    const received = next(tom, 'new_message');
+    const { message } = await send(lea, { messageType: 'image', messageText: 'Shelf after restocking', filePath: upload.path });
+    assert.equal(message.file_name, 'shelf.png');
+    assert.match((await received).file_url, /^https:\/\/storage\.test\/chat-attachments\//);
+
+    await send(lea, { messageText: 'Shelf looks great' });
+    const withFile = await ask(tom, 'search_messages', { query: 'shelf', hasAttachment: true });
+    assert.deepEqual(withFile.results.map(r => r.message.id), [message.id]);
+    const withoutFile = await ask(tom, 'search_messages', { query: 'shelf', hasAttachment: false });
+    assert.deepEqual(withoutFile.results.map(r => r.message.message_text), ['Shelf looks great']);
+  });
+
+  test('sync replays changes after a cursor', async () => {
+    const { lea, tom } = clients;
+    const start = await ask(tom, 'sync', { cursors: { [TEAM]: null, [SIDE]: null } });
+    assert.deepEqual(start.notParticipant, [SIDE]);
+    const [{ cursor }] = start.conversations;
+
+    const { message } = await send(lea, { messageText: 'While you were away' });
+    await ask(lea, 'react_to_message', { conversationId: TEAM, messageId: message.id, emoji: '👀' });
+
+    const caughtUp = await ask(tom, 'sync', { cursors: { [TEAM]: cursor } });
+    const [team] = caughtUp.conversations;
+    assert.deepEqual(team.changes.map(c => c.event), ['new_message', 'reaction_updated']);
+    assert.equal(team.changes[0].payload.id, message.id);
+    assert.equal(team.cursor, team.changes[1].seq);
+  });
+
+  test('sync pages through changes and replays edits', async () => {
+    const { lea, tom } = clients;
+    const [{ cursor }] = (await ask(tom, 'sync', { cursors: { [TEAM]: null } })).conversations;
+
+    const sent = [];
+    for (const messageText of ['Truck at 6', 'Truck at 7', 'Truck at 8']) {
+      sent.push((await send(lea, { messageText })).message);
+    }
+    await ask(lea, 'edit_message', { conversationId: TEAM, messageId: sent[0].id, newText: 'Truck at 6:30' });
+
+    const { conversations: [first] } = await ask(tom, 'sync', { cursors: { [TEAM]: cursor }, limit: 2 });
+    assert.deepEqual(first.changes.map(c => c.payload.id), [sent[0].id, sent[1].id]);
+    assert.equal(first.hasMore, true);
+    assert.equal(first.cursor, first.changes[1].seq);
+
+    const { conversations: [second] } = await ask(tom, 'sync', { cursors: { [TEAM]: first.cursor }, limit: 2 });
+    assert.deepEqual(second.changes.map(c => c.event), ['new_message', 'message_edited']);
+    assert.equal(second.changes[0].payload.id, sent[2].id);
+    assert.equal(second.changes[1].payload.message_text, 'Truck at 6:30');
+    assert.equal(second.hasMore, false);
+
+    // Nothing new: the cursor stays put
+    const { conversations: [idle] } = await ask(tom, 'sync', { cursors: { [TEAM]: second.cursor } });
+    assert.deepEqual(idle.changes, []);
+    assert.equal(idle.cursor, second.cursor);
+
+    // A cursor from before every recorded change starts at the first one
+    const { conversations: [fromStart] } = await ask(tom, 'sync', { cursors: { [TEAM]: 0 }, limit: 1 });
+    assert.equal(fromStart.changes[0].payload.message_text, 'Morning everyone');
+    assert.equal(fromStart.hasMore, true);
+
+    // Pages are capped at 500 changes whatever the client asks for
+    for (let i = 0; i < 501; i++) {
+      await repository.events.record(TEAM, 'reaction_updated', { conversationId: TEAM, messageId: sent[1].id, reactions: [] });
+    }
+    const { conversations: [capped] } = await ask(tom, 'sync', { cursors: { [TEAM]: second.cursor }, limit: 10000 });
+    assert.equal(capped.changes.length, 500);
+    assert.equal(capped.hasMore, true);
+  });
+
+  test('sync leaves out what was deleted for everyone since', async () => {
+    const { lea, tom } = clients;
+    const [{ cursor }] = (await ask(tom, 'sync', { cursors: { [TEAM]: null } })).conversations;
+
+    const { message: text } = await send(lea, { messageText: 'Code is 4711' });
+    await ask(lea, 'edit_message', { conversationId: TEAM, messageId: text.id, newText: 'Door code is 4711' });
+    const { upload } = await ask(lea, 'request_upload', {
+      conversationId: TEAM, messageType: 'image', fileName: 'badge.png', mimeType: 'image/png', size: 2048,
+    });
+    supabase.storage.objects.set(`chat-attachments/${upload.path}`, { size: 2048, contentType: 'image/png' });
+    const { message: image } = await send(lea, { messageType: 'image', messageText: 'My badge', filePath: upload.path });
+    const { message: reply } = await send(tom, { messageText: 'Got it', replyToId: text.id });
+    for (const messageId of [text.id, image.id]) {
+      await ask(lea, 'delete_message', { conversationId: TEAM, messageId, deleteForEveryone: true });
+    }
+
+    const { conversations: [team] } = await ask(tom, 'sync', { cursors: { [TEAM]: cursor } });
+    assert.deepEqual(team.changes.map(c => c.event), ['new_message', 'new_message', 'new_message', 'message_deleted', 'message_deleted']);
+    const [replayedText, replayedImage, replayedReply] = team.changes.map(c => c.payload);
+    assert.equal(replayedText.message_text, null);
+    assert.equal(replayedText.deleted_for_all, true);
+    assert.equal(replayedImage.message_text, null);
+    assert.equal(replayedImage.file_path, null);
+    assert.equal(replayedImage.file_url, null);
+    assert.equal(replayedReply.id, reply.id);
+    assert.equal(replayedReply.message_text, 'Got it');
+    assert.equal(replayedReply.reply_to.message_text, null);
+  });
+
+  test('create_conversation, add_participants, join_conversation, remove_participant and leave_conversation', async () => {
+    const { lea, tom, ada } = clients;
+    const direct = await ask(lea, 'create_conversation', { type: 'direct', participantIds: [users.tom.id] });
+    assert.equal(direct.created, true);
+    const again = await ask(tom, 'create_conversation', { type: 'direct', participantIds: [users.lea.id] });
+    assert.equal(again.created, false);
+    assert.equal(again.conversation.id, direct.conversation.id);
+
+    const notAdmin = await ask(lea, 'create_conversation', { type: 'group', name: 'Night shift', participantIds: [users.tom.id] });
+    assert.equal(notAdmin.error.code, 'forbidden');
+
+    const created = next(tom, 'conversation_created');
+    const group = await ask(ada, 'create_conversation', { type: 'group', name: 'Night shift', participantIds: [users.tom.id] });
+    const groupId = group.conversation.id;
+    assert.equal((await created).conversation.id, groupId);
+    await waitFor(() => roomSize(server, groupId) === 2);
+
+    const added = next(lea, 'participant_added');
+    const addition = await ask(ada, 'add_participants', { conversationId: groupId, userIds: [users.lea.id, users.tom.id] });
+    assert.deepEqual(addition.addedUserIds, [users.lea.id]);
+    assert.equal((await added).conversationId, groupId);
+    assert.equal((await ask(lea, 'join_conversation', { conversationId: groupId })).success, true);
+
+    const removed = next(ada, 'participant_removed');
+    assert.equal((await ask(ada, 'remove_participant', { conversationId: groupId, userId: users.lea.id })).success, true);
+    assert.equal((await removed).userId, users.lea.id);
+    assert.equal((await ask(lea, 'join_conversation', { conversationId: groupId })).error.code, 'not_participant');
+
+    assert.equal((await ask(tom, 'leave_conversation', { conversationId: groupId })).success, true);
+    assert.equal((await ask(tom, 'leave_conversation', { conversationId: groupId })).error.code, 'not_participant');
+    await waitFor(() => roomSize(server, groupId) === 1);
+  });
+
+  test('membership changes check roles and move live sockets', async () => {
+    const { lea, tom, ada } = clients;
+    const group = (await ask(ada, 'create_conversation', { type: 'group', name: 'Weekend crew', participantIds: [users.lea.id, users.tom.id] })).conversation;
+    await waitFor(() => roomSize(server, group.id) === 3);
+
+    // Promotors manage nothing but their own direct conversations
+    assert.equal((await ask(lea, 'add_participants', { conversationId: group.id, userIds: [users.max.id] })).error.code, 'forbidden');
+    assert.equal((await ask(lea, 'remove_participant', { conversationId: group.id, userId: users.tom.id })).error.code, 'forbidden');
+    assert.equal((await ask(lea, 'set_read_only', { conversationId: group.id, isReadOnly: true })).error.code, 'forbidden');
+    const crowded = await ask(lea, 'create_conversation', { type: 'direct', participantIds: [users.tom.id, users.max.id] });
+    assert.equal(crowded.error.field, 'participantIds');
+    const stranger = await ask(lea, 'create_conversation', { type: 'direct', participantIds: ['user-404'] });
+    assert.equal(stranger.error.code, 'not_found');
+
+    const direct = (await ask(lea, 'create_conversation', { type: 'direct', participantIds: [users.max.id] })).conversation;
+    assert.equal((await ask(ada, 'add_participants', { conversationId: direct.id, userIds: [users.tom.id] })).error.code, 'invalid_state');
+
+    // The removed user's socket leaves the room right away and is told why
+    const removed = next(tom, 'participant_removed');
+    assert.equal((await ask(ada, 'remove_participant', { conversationId: group.id, userId: users.tom.id })).success, true);
+    assert.deepEqual(await removed, { conversationId: group.id, userId: users.tom.id, reason: 'removed' });
+    await waitFor(() => roomSize(server, group.id) === 2);
+    assert.equal((await ask(tom, 'send_message', { conversationId: group.id, messageText: 'Still here?' })).error.code, 'not_participant');
+    assert.equal((await ask(ada, 'remove_participant', { conversationId: group.id, userId: users.tom.id })).error.code, 'not_found');
+  });
+
+  test('set_read_only', async () => {
+    const { ada, lea } = clients;
+    const updated = next(lea, 'conversation_updated');
+    assert.equal((await ask(ada, 'set_read_only', { conversationId: SIDE, isReadOnly: true })).is_read_only, true);
+    assert.equal((await updated).is_read_only, true);
+
+    const blocked = await ask(lea, 'send_message', { conversationId: SIDE, messageText: 'Hello?' });
+    assert.equal(blocked.error.code, 'read_only');
+    assert.equal((await ask(ada, 'send_message', { conversationId: SIDE, messageText: 'Announcement' })).success, true);
+
+    await ask(ada, 'set_read_only', { conversationId: SIDE, isReadOnly: false });
+    assert.equal((await ask(lea, 'send_message', { conversationId: SIDE, messageText: 'Hello!' })).success, true);
+  });
+
+  test('set_presence and get_presence', async () => {
+    const { lea, tom } = clients;
+    const changed = next(tom, 'presence_changed');
+    assert.equal((await ask(lea, 'set_presence', { status: 'away' })).presence.status, 'away');
+    assert.equal((await changed).status, 'away');
+
+    // The heartbeat keeps connected sockets from expiring
+    clock.advance(PRESENCE_TTL_MS * 2);
+    const { presence } = await ask(tom, 'get_presence', { userIds: [users.lea.id, users.zoe.id] });
+    assert.deepEqual(presence.map(p => [p.userId, p.status]), [[users.lea.id, 'away'], [users.zoe.id, 'offline']]);
+    await ask(lea, 'set_presence', { status: 'online' });
+  });
+
+  test('mute_user and unmute_user', async () => {
+    const { ada, max } = clients;
+    assert.equal((await ask(max, 'mute_user', { conversationId: TEAM, userId: users.tom.id, minutes: 5 })).error.code, 'forbidden');
+
+    const muted = await ask(ada, 'mute_user', { conversationId: TEAM, userId: users.max.id, minutes: 5, reason: 'Spam' });
+    assert.equal(muted.success, true);
+    assert.equal((await send(max, { messageText: 'Buy now' })).error.code, 'muted');
+
+    assert.equal((await ask(ada, 'unmute_user', { conversationId: TEAM, userId: users.max.id })).success, true);
+    assert.equal((await ask(ada, 'unmute_user', { conversationId: TEAM, userId: users.max.id })).error.code, 'not_found');
+    assert.equal((await send(max, { messageText: 'Sorry' })).success, true);
+  });
+
+  test('kick_user', async () => {
+    const { ada, max } = clients;
+    const kicked = next(max, 'kicked');
+    assert.equal((await ask(ada, 'kick_user', { conversationId: SIDE, userId: users.max.id, reason: 'Wrong team' })).success, true);
+    assert.equal((await kicked).reason, 'Wrong team');
+    await waitFor(() => roomSize(server, SIDE) === 2);
+    assert.equal((await ask(max, 'send_message', { conversationId: SIDE, messageText: 'Hey' })).error.code, 'not_participant');
+  });
+
+  test('moderation queue, review_moderation_item and get_audit_log', async () => {
+    const { ada, tom } = clients;
+    const flagged = next(ada, 'moderation_flagged');
+    const { message } = await send(tom, { messageText: 'Brand X is cheaper' });
+    assert.equal((await flagged).message_id, message.id);
+
+    const queue = await ask(ada, 'get_moderation_queue');
+    assert.deepEqual(queue.items.map(i => i.message_id), [message.id]);
+    assert.equal(queue.items[0].sender_name, 'tom');
+    assert.equal((await ask(tom, 'get_moderation_queue')).error.code, 'forbidden');
+
+    const reviewed = await ask(ada, 'review_moderation_item', { itemId: queue.items[0].id, status: 'dismissed' });
+    assert.equal(reviewed.item.status, 'dismissed');
+    assert.equal((await ask(ada, 'review_moderation_item', { itemId: queue.items[0].id, status: 'dismissed' })).error.code, 'not_found');
+
+    const { entries } = await ask(ada, 'get_audit_log', { conversationId: TEAM, limit: 3 });
+    assert.deepEqual(entries.map(e => e.action), ['moderation_reviewed', 'user_unmuted', 'user_muted']);
+    assert.equal(entries[0].actor_name, 'ada');
+    const polls = await ask(ada, 'get_audit_log', { action: 'poll_closed' });
+    assert.equal(polls.entries.length, 1);
+  });
+
+  test('register_push_token, unregister_push_token and mute_conversation', async () => {
+    const { lea } = clients;
+    assert.equal((await ask(lea, 'register_push_token', { token: 'device-1', platform: 'android' })).success, true);
+    assert.equal((await ask(clients.tom, 'register_push_token', { token: 'device-1', platform: 'android' })).success, true);
+    assert.deepEqual(repository.tables.chat_push_tokens.map(t => t.user_id), [users.tom.id]);
+    assert.equal((await ask(clients.tom, 'unregister_push_token', { token: 'device-1' })).success, true);
+    assert.deepEqual(repository.tables.chat_push_tokens, []);
+
+    const until = new Date(clock.now() + 60 * 60 * 1000).toISOString();
+    const muted = await ask(lea, 'mute_conversation', { conversationId: TEAM, muted: true, until });
+    assert.equal(muted.muted_until, until);
+    const { conversations } = await ask(lea, 'fetch_conversations');
+    assert.equal(conversations.find(c => c.id === TEAM).muted, true);
+    assert.equal((await ask(lea, 'mute_conversation', { conversationId: 'nowhere', muted: true })).error.code, 'not_participant');
+  });
+
+  test('schedule_message, list_scheduled, cancel_scheduled and sending when due', async () => {
+    const { ada, tom } = clients;
+    const sendAt = new Date(clock.now() + 60 * 1000).toISOString();
+    const { scheduled: kept } = await ask(ada, 'schedule_message', { conversationId: TEAM, messageText: 'Shift starts', sendAt });
+    const { scheduled: dropped } = await ask(ada, 'schedule_message', { conversationId: TEAM, messageText: 'Never mind', sendAt });
+
+    assert.deepEqual((await ask(ada, 'list_scheduled', { conversationId: TEAM })).scheduled.map(j => j.id), [kept.id, dropped.id]);
+    assert.equal((await ask(ada, 'cancel_scheduled', { scheduledId: dropped.id })).success, true);
+    assert.equal((await ask(ada, 'cancel_scheduled', { scheduledId: dropped.id })).error.code, 'not_found');
+
+    const sent = next(ada, 'scheduled_message_sent');
+    const delivered = next(tom, 'new_message');
+    clock.advance(60 * 1000);
+    assert.equal((await sent).scheduledId, kept.id);
+    assert.equal((await delivered).message_text, 'Shift starts');
+    assert.deepEqual((await ask(ada, 'list_scheduled')).scheduled, []);
+  });
+
+  test('ban_user disconnects the user and keeps them out until unban_user', async () => {
+    const { ada, max, lea } = clients;
+    const announced = next(lea, 'user_banned');
+    const disconnected = next(max, 'disconnect');
+    assert.equal((await ask(ada, 'ban_user', { userId: users.max.id, reason: 'Spam' })).bannedUntil, null);
+    assert.equal((await announced).userId, users.max.id);
+    await disconnected;
+
+    await assert.rejects(connect(port, 'token-max'), error => error.data?.code === 'banned');
+    assert.equal((await ask(ada, 'unban_user', { userId: users.max.id })).success, true);
+    clients.max = await connect(port, 'token-max');
+  });
+
+  test('a null payload reaches handlers as an empty object', async () => {
+    const { ada } = clients;
+    assert.deepEqual(await ada.timeout(2000).emitWithAck('list_scheduled', null), { success: true, scheduled: [] });
+    const audit = await ada.timeout(2000).emitWithAck('get_audit_log', null);
+    assert.equal(audit.success, true);
+    assert.ok(audit.entries.length > 0);
+  });
+
+  test('unknown events and payloads that are not objects are rejected', async () => {
+    const { lea } = clients;
+    const unknown = await lea.timeout(2000).emitWithAck('drop_tables', {});
+    assert.deepEqual(unknown.error, { code: 'unknown_event', field: null, message: 'Unknown event: drop_tables' });
+
+    // Without an ack the rejection arrives as event_rejected
+    const rejected = next(lea, 'event_rejected');
+    lea.emit('drop_tables', {});
+    assert.deepEqual(await rejected, { event: 'drop_tables', error: unknown.error });
+
+    // Names found on Object.prototype are not events either
+    for (const event of ['constructor', 'toString', 'hasOwnProperty']) {
+      const ack = await lea.timeout(2000).emitWithAck(event, {});
+      assert.deepEqual(ack.error, { code: 'unknown_event', field: null, message: `Unknown event: ${event}` });
+    }
+
+    for (const payload of ['hello', 42, [TEAM], true]) {
+      const ack = await lea.timeout(2000).emitWithAck('fetch_messages', payload);
+      assert.deepEqual(ack.error, { code: 'invalid_payload', field: null, message: 'Payload must be an object' });
+    }
+  });
+
+  test('no table was queried through Supabase', () => {
+    assert.deepEqual(tableQueries, []);
+  });
+});
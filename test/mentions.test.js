@@ -0,0 +1,105 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { parseMentions } = require('../lib/mentions');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const PARTICIPANTS = [
+  { user_id: 'user-1', display_name: 'Anna' },
+  { user_id: 'user-2', display_name: 'Anna Maria' },
+  { user_id: 'user-3', display_name: 'Tom' },
+];
+
+describe('parseMentions', () => {
+  test('matches display names case-insensitively, longest first', () => {
+    const text = 'Hi @anna maria and @Anna!';
+    assert.deepEqual(parseMentions(text, PARTICIPANTS), [
+      { type: 'user', userId: 'user-2', offset: 3, length: 11 },
+      { type: 'user', userId: 'user-1', offset: 19, length: 5 },
+    ]);
+  });
+
+  test('matches user IDs and ignores unknown names and e-mail addresses', () => {
+    const mentions = parseMentions('@user-3 mail tom@example.com or @Bob', PARTICIPANTS);
+    assert.deepEqual(mentions, [{ type: 'user', userId: 'user-3', offset: 0, length: 7 }]);
+  });
+
+  test('only parses @all and @here when allowed', () => {
+    assert.deepEqual(parseMentions('@all @here', PARTICIPANTS), []);
+    assert.deepEqual(
+      parseMentions('@all @here', PARTICIPANTS, { allowBroadcast: true }).map(e => e.type),
+      ['all', 'here'],
+    );
+  });
+});
+
+describe('mention notifications', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let admin;
+  let tom;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-admin': { id: 'admin-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-3', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-3', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'admin-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-3' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    admin.disconnect();
+    tom.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  test('stores mention entities and notifies the mentioned user', async () => {
+    const mentioned = new Promise(resolve => tom.once('mentioned', resolve));
+    const ack = await admin.timeout(2000).emitWithAck('send_message', {
+      conversationId: CONVERSATION_ID,
+      messageText: '@Tom please restock aisle 4',
+    });
+    assert.deepEqual(ack.message.mentions, [{ type: 'user', userId: 'user-3', offset: 0, length: 4 }]);
+
+    const event = await mentioned;
+    assert.equal(event.messageId, ack.message.id);
+    assert.equal(event.mentionType, 'user');
+    assert.equal(event.senderName, 'Lea');
+  });
+
+  test('@all from a non-admin is plain text', async () => {
+    let notified = false;
+    admin.once('mentioned', () => { notified = true; });
+    const ack = await tom.timeout(2000).emitWithAck('send_message', {
+      conversationId: CONVERSATION_ID,
+      messageText: '@all done for today',
+    });
+    assert.deepEqual(ack.message.mentions, []);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(notified, false);
+  });
+});
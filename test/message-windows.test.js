@@ -0,0 +1,112 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const MINUTE = 60 * 1000;
+
+describe('edit and delete windows', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let clock;
+  let cluster;
+  let supabase;
+  let server;
+  let admin;
+  let tom;
+
+  const sentAgo = minutes => new Date(clock.now() - minutes * MINUTE).toISOString();
+  const message = (id, minutesAgo, extra = {}) => ({
+    id,
+    conversation_id: CONVERSATION_ID,
+    sender_id: 'user-1',
+    message_type: 'text',
+    message_text: `Message ${id}`,
+    created_at: sentAgo(minutesAgo),
+    deleted_for_all: false,
+    ...extra,
+  });
+
+  before(async () => {
+    clock = createFakeClock();
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-admin': { id: 'admin-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-1', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'admin-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+        ],
+        chat_messages: [
+          message('recent', 5),
+          message('old', 30),
+          message('ancient', 90, { message_type: 'image', file_url: 'https://files.example.com/a.jpg', file_name: 'a.jpg' }),
+          message('poll', 5, { message_type: 'poll', message_text: 'Pizza or pasta?', poll_id: 'poll-1' }),
+        ],
+        chat_polls: [{ id: 'poll-1', conversation_id: CONVERSATION_ID, question: 'Pizza or pasta?', closed_at: null }],
+      },
+    });
+    server = createChatServer({ supabase, cluster, clock, messageWindows: { editMinutes: 15, deleteMinutes: 60 } });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    admin.disconnect();
+    tom.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const edit = (messageId, newText) => tom.timeout(2000).emitWithAck('edit_message', { conversationId: CONVERSATION_ID, messageId, newText });
+  const deleteForEveryone = (client, messageId) => client.timeout(2000).emitWithAck('delete_message', { conversationId: CONVERSATION_ID, messageId, deleteForEveryone: true });
+  const row = id => supabase.db.chat_messages.find(m => m.id === id);
+
+  test('non-admins can only edit within the edit window', async () => {
+    assert.equal((await edit('recent', 'Fixed typo')).success, true);
+    assert.equal(row('recent').updated_at, new Date(clock.now()).toISOString());
+    assert.equal((await edit('old', 'Too late')).error.code, 'edit_window_expired');
+  });
+
+  test('delete-for-everyone is stored and enforces its window', async () => {
+    const deleted = new Promise(resolve => admin.once('message_deleted', resolve));
+    assert.equal((await deleteForEveryone(tom, 'old')).success, true);
+    assert.equal((await deleted).messageId, 'old');
+    assert.equal(row('old').deleted_for_all, true);
+    assert.equal(row('old').message_text, null);
+
+    assert.equal((await deleteForEveryone(tom, 'ancient')).error.code, 'delete_window_expired');
+  });
+
+  test('admins are not limited and file references are cleared', async () => {
+    assert.equal((await deleteForEveryone(admin, 'ancient')).success, true);
+    assert.equal(row('ancient').deleted_for_all, true);
+    assert.equal(row('ancient').file_url, null);
+    assert.equal(row('ancient').file_name, null);
+  });
+
+  test('deleting a poll for everyone unlinks and closes it', async () => {
+    assert.equal((await deleteForEveryone(tom, 'poll')).success, true);
+    assert.equal(row('poll').message_text, null);
+    assert.equal(row('poll').poll_id, null);
+    assert.ok(supabase.db.chat_polls[0].closed_at);
+  });
+
+  test('retrying a delete-for-everyone after the window still succeeds', async () => {
+    clock.advance(60 * MINUTE);
+    assert.equal((await deleteForEveryone(tom, 'old')).success, true);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createModerationPipeline } = require('../lib/moderation');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const RULES = [
+  { id: 'slurs', type: 'words', words: ['darn', 'heck'], action: 'mask' },
+  { id: 'competitor', type: 'regex', pattern: 'brand\\s*x', flags: 'i', action: 'flag', reason: 'Mentions a competitor' },
+  { id: 'links', type: 'links', allow: ['salescrew.app'], deny: ['bit.ly'], action: 'reject' },
+];
+
+describe('moderation pipeline', () => {
+  const pipeline = createModerationPipeline({ rules: RULES });
+  const moderate = text => pipeline.moderate({ text, userId: 'user-1', conversationId: 'c', event: 'send_message' });
+
+  test('masks whole words only, keeping the length', async () => {
+    const result = await moderate('Darn, the darning kit is HECK');
+    assert.equal(result.rejected, false);
+    assert.equal(result.text, '****, the darning kit is ****');
+  });
+
+  test('rejects links outside the allow list', async () => {
+    assert.equal((await moderate('see https://docs.salescrew.app/guide')).rejected, false);
+    assert.equal((await moderate('see www.bit.ly/abc')).rejected, true);
+    assert.equal((await moderate('see http://example.com')).reason, 'Contains a link that is not allowed');
+  });
+
+  test('flags and runs custom hooks after the rules', async () => {
+    const seen = [];
+    const custom = createModerationPipeline({
+      rules: RULES,
+      hooks: [async ({ text }) => { seen.push(text); return null; }],
+    });
+    const result = await custom.moderate({ text: 'heck, Brand X again', userId: 'user-1', conversationId: 'c', event: 'send_message' });
+    assert.deepEqual(result.flags, [{ ruleId: 'competitor', reason: 'Mentions a competitor' }]);
+    assert.deepEqual(seen, ['****, Brand X again']);
+  });
+
+  test('bad rules fail when the pipeline is built', () => {
+    assert.throws(() => createModerationPipeline({ rules: [{ type: 'words', words: ['x'], action: 'delete' }] }), /unknown action/);
+    assert.throws(() => createModerationPipeline({ rules: [{ type: 'regex', pattern: '(', action: 'flag' }] }));
+  });
+});
+
+describe('moderated messages', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let admin;
+  let tom;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-admin': { id: 'admin-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-1', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'admin-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster, moderation: { rules: RULES } });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    admin.disconnect();
+    tom.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const send = messageText => tom.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText });
+
+  test('rejected messages are not stored', async () => {
+    const result = await send('Cheaper at http://bit.ly/deal');
+    assert.equal(result.error.code, 'message_rejected');
+    assert.equal((supabase.db.chat_messages || []).length, 0);
+  });
+
+  test('masked text is what gets stored and broadcast', async () => {
+    const received = new Promise(resolve => admin.once('new_message', resolve));
+    const { message } = await send('Oh heck, the shelf fell');
+    assert.equal(message.message_text, 'Oh ****, the shelf fell');
+    assert.equal((await received).message_text, 'Oh ****, the shelf fell');
+  });
+
+  test('flagged messages go to the admin moderation queue', async () => {
+    const flagged = new Promise(resolve => admin.once('moderation_flagged', resolve));
+    let tomSawFlag = false;
+    tom.once('moderation_flagged', () => { tomSawFlag = true; });
+
+    const { message } = await send('Brand X has a promo today');
+    const item = await flagged;
+    assert.equal(item.message_id, message.id);
+    assert.deepEqual(item.rule_ids, ['competitor']);
+
+    const queue = await admin.timeout(2000).emitWithAck('get_moderation_queue', {});
+    assert.deepEqual(queue.items.map(i => i.message_id), [message.id]);
+    assert.equal(queue.items[0].sender_name, 'Tom');
+    assert.equal((await tom.timeout(2000).emitWithAck('get_moderation_queue', {})).error.code, 'forbidden');
+
+    const reviewed = await admin.timeout(2000).emitWithAck('review_moderation_item', { itemId: item.id, status: 'dismissed' });
+    assert.equal(reviewed.item.status, 'dismissed');
+    assert.equal((await admin.timeout(2000).emitWithAck('get_moderation_queue', {})).items.length, 0);
+    assert.equal(tomSawFlag, false);
+  });
+
+  test('edits run through the same rules', async () => {
+    const { message } = await send('Shelf is fixed');
+    const edit = newText => tom.timeout(2000).emitWithAck('edit_message', { conversationId: CONVERSATION_ID, messageId: message.id, newText });
+
+    assert.equal((await edit('Shelf is fixed, see www.example.com')).error.code, 'message_rejected');
+    assert.equal((await edit('Darn shelf is fixed')).message_text, '**** shelf is fixed');
+    assert.equal(supabase.db.chat_messages.find(m => m.id === message.id).message_text, '**** shelf is fixed');
+  });
+});
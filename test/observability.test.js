@@ -0,0 +1,111 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createMetrics } = require('../lib/metrics');
+const { createLogger, withLogContext } = require('../lib/logger');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('metrics registry', () => {
+  test('renders counters, gauges and histograms in the text format', () => {
+    const metrics = createMetrics();
+    metrics.counter('jobs_total', 'Jobs run').inc({ queue: 'a"b' }, 2);
+    metrics.gauge('workers', 'Busy workers', () => 3);
+    metrics.histogram('job_seconds', 'Job duration', [0.1, 1]).observe({ queue: 'a' }, 0.5);
+
+    const lines = metrics.render().split('\n');
+    assert.ok(lines.includes('# TYPE jobs_total counter'));
+    assert.ok(lines.includes('jobs_total{queue="a\\"b"} 2'));
+    assert.ok(lines.includes('workers 3'));
+    assert.ok(lines.includes('job_seconds_bucket{queue="a",le="0.1"} 0'));
+    assert.ok(lines.includes('job_seconds_bucket{queue="a",le="1"} 1'));
+    assert.ok(lines.includes('job_seconds_bucket{queue="a",le="+Inf"} 1'));
+    assert.ok(lines.includes('job_seconds_count{queue="a"} 1'));
+  });
+});
+
+describe('structured logger', () => {
+  test('writes leveled JSON lines with the async context', async () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: (level, line) => lines.push(JSON.parse(line)) });
+
+    logger.debug('hidden');
+    await withLogContext({ eventId: 'e-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      logger.error('Failed', { err: new Error('boom') });
+    });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].eventId, 'e-1');
+    assert.equal(lines[0].err.message, 'boom');
+  });
+});
+
+describe('/metrics', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let server;
+  let port;
+  let lea;
+  let tom;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    const supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-2', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster });
+    port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    lea.disconnect();
+    tom.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const scrape = async () => {
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    return (await response.text()).split('\n');
+  };
+
+  test('reports sockets, events, acks, queries and fan-out', async () => {
+    await lea.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText: 'Hello' });
+    await lea.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID });
+    await lea.timeout(2000).emitWithAck('made_up_event', {});
+
+    const lines = await scrape();
+    assert.ok(lines.includes('chat_connected_sockets 2'));
+    assert.ok(lines.includes('chat_authenticated_users 2'));
+    assert.ok(lines.includes('chat_events_received_total{event="send_message"} 2'));
+    assert.ok(lines.includes('chat_events_received_total{event="unknown"} 1'));
+    assert.ok(lines.includes('chat_events_rejected_total{event="send_message",code="invalid_payload"} 1'));
+    assert.ok(lines.includes('chat_ack_duration_seconds_count{event="send_message",outcome="ok"} 1'));
+    assert.ok(lines.includes('chat_ack_duration_seconds_count{event="send_message",outcome="error"} 1'));
+    assert.ok(lines.includes('chat_supabase_query_duration_seconds_count{table="chat_messages",operation="insert"} 1'));
+    assert.ok(lines.includes('chat_broadcast_fanout_sockets_sum{event="new_message"} 2'));
+    assert.ok(!lines.some(line => line.startsWith('chat_supabase_query_errors_total{')));
+  });
+});
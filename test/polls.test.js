@@ -0,0 +1,138 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('poll lifecycle', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let clock;
+  let cluster;
+  let supabase;
+  let server;
+  let admin;
+  let member;
+
+  before(async () => {
+    clock = createFakeClock();
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-admin': { id: 'admin-1', email: 'lea@example.com' },
+        'token-member': { id: 'user-1', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'admin-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster, clock });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    member = await connect(port, 'token-member');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    admin.disconnect();
+    member.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  function createPoll(extra = {}) {
+    return admin.timeout(2000).emitWithAck('send_message', {
+      conversationId: CONVERSATION_ID,
+      messageType: 'poll',
+      pollQuestion: 'Which shift?',
+      pollOptions: ['Morning', 'Evening'],
+      ...extra,
+    });
+  }
+
+  test('closes at its deadline and rejects later votes', async () => {
+    const { message } = await createPoll({ closesAt: new Date(clock.now() + HOUR).toISOString() });
+    const { poll } = message;
+    assert.ok(poll.closes_at);
+
+    const closed = new Promise(resolve => member.once('poll_closed', resolve));
+    clock.advance(HOUR);
+    const event = await closed;
+    assert.equal(event.pollId, poll.id);
+    assert.equal(event.closedBy, null);
+
+    const vote = await member.timeout(2000).emitWithAck('vote_poll', {
+      conversationId: CONVERSATION_ID,
+      pollId: poll.id,
+      optionId: poll.options[0].id,
+      checked: true,
+    });
+    assert.equal(vote.error.code, 'poll_closed');
+  });
+
+  test('only admins can close polls', async () => {
+    const { message } = await createPoll();
+    const denied = await member.timeout(2000).emitWithAck('close_poll', { conversationId: CONVERSATION_ID, pollId: message.poll.id });
+    assert.equal(denied.error.code, 'forbidden');
+
+    const ack = await admin.timeout(2000).emitWithAck('close_poll', { conversationId: CONVERSATION_ID, pollId: message.poll.id });
+    assert.equal(ack.success, true);
+
+    const again = await admin.timeout(2000).emitWithAck('close_poll', { conversationId: CONVERSATION_ID, pollId: message.poll.id });
+    assert.equal(again.error.code, 'poll_closed');
+  });
+
+  test('anonymous polls hide voters from the room but not from the admin export', async () => {
+    const { message } = await createPoll({ anonymous: true });
+    const { poll } = message;
+
+    const updated = new Promise(resolve => admin.once('poll_updated', resolve));
+    const vote = await member.timeout(2000).emitWithAck('vote_poll', {
+      conversationId: CONVERSATION_ID,
+      pollId: poll.id,
+      optionId: poll.options[1].id,
+      checked: true,
+    });
+    assert.deepEqual(vote.myVotes, [poll.options[1].id]);
+
+    const broadcast = await updated;
+    assert.deepEqual(broadcast.votersByOption, {});
+    assert.equal(broadcast.myVotes, undefined);
+    assert.equal(broadcast.totals.find(t => t.optionId === poll.options[1].id).count, 1);
+
+    const results = await admin.timeout(2000).emitWithAck('get_poll_results', { conversationId: CONVERSATION_ID, pollId: poll.id });
+    assert.equal(results.totalVotes, 1);
+    assert.deepEqual(results.results[1].voters.map(v => v.name), ['Tom']);
+    assert.equal(results.csv, 'option,voter_id,voter_name,voted_at\n' + `Evening,user-1,Tom,${results.rows[0].voted_at}`);
+  });
+
+  test('results export lists voters for regular polls', async () => {
+    const { message } = await createPoll();
+    const { poll } = message;
+    await member.timeout(2000).emitWithAck('vote_poll', {
+      conversationId: CONVERSATION_ID,
+      pollId: poll.id,
+      optionId: poll.options[0].id,
+      checked: true,
+    });
+
+    const denied = await member.timeout(2000).emitWithAck('get_poll_results', { conversationId: CONVERSATION_ID, pollId: poll.id });
+    assert.equal(denied.error.code, 'forbidden');
+
+    const results = await admin.timeout(2000).emitWithAck('get_poll_results', { conversationId: CONVERSATION_ID, pollId: poll.id });
+    assert.deepEqual(results.results[0].voters.map(v => v.name), ['Tom']);
+    assert.deepEqual(results.rows.map(row => [row.option, row.voter_id, row.voter_name]), [['Morning', 'user-1', 'Tom']]);
+  });
+});
@@ -0,0 +1,95 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createRecordingProvider } = require('../lib/push');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('push notifications', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let clock;
+  let cluster;
+  let supabase;
+  let provider;
+  let server;
+  let admin;
+  let timersAtRest;
+
+  before(async () => {
+    clock = createFakeClock();
+    cluster = createMemoryCluster();
+    provider = createRecordingProvider();
+    supabase = createFakeSupabase({
+      users: { 'token-admin': { id: 'admin-1', email: 'lea@example.com' } },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Mia', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'admin-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2', muted: true, muted_until: null },
+        ],
+        chat_push_tokens: [
+          { user_id: 'user-1', token: 'device-tom', platform: 'android' },
+          { user_id: 'user-2', token: 'device-mia', platform: 'ios' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster, clock, pushProviders: [provider] });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 1);
+    timersAtRest = clock.pending;
+  });
+
+  after(async () => {
+    admin.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const send = messageText => admin.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText });
+
+  test('collapses a burst into one notification for offline participants', async () => {
+    await send('Truck arrives at 9');
+    await send('Please be at the loading dock');
+    await waitFor(() => clock.pending === timersAtRest + 1);
+
+    clock.advance(3000);
+    await waitFor(() => provider.sent.length === 1);
+
+    const [{ token, notification }] = provider.sent;
+    assert.equal(token, 'device-tom');
+    assert.equal(notification.title, 'Lea');
+    assert.equal(notification.body, '2 new messages');
+    assert.equal(notification.data.conversationId, CONVERSATION_ID);
+  });
+
+  test('muted participants still hear about mentions', async () => {
+    provider.sent.length = 0;
+    await send('@Mia can you cover Friday?');
+    await waitFor(() => clock.pending === timersAtRest + 2);
+
+    clock.advance(3000);
+    await waitFor(() => provider.sent.length === 2);
+
+    const toMia = provider.sent.find(call => call.token === 'device-mia');
+    assert.equal(toMia.notification.title, 'Lea mentioned you');
+  });
+
+  test('registers device tokens', async () => {
+    const ack = await admin.timeout(2000).emitWithAck('register_push_token', { token: 'device-lea', platform: 'ios' });
+    assert.equal(ack.success, true);
+    assert.ok(supabase.db.chat_push_tokens.some(row => row.user_id === 'admin-1' && row.token === 'device-lea'));
+
+    const invalid = await admin.timeout(2000).emitWithAck('register_push_token', { token: 'not-json', platform: 'web' });
+    assert.equal(invalid.error.field, 'token');
+  });
+});
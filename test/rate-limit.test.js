@@ -0,0 +1,186 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { DEFAULT_RATE_LIMITS, createRateLimiter } = require('../lib/rate-limit');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const isAdminRole = role => role === 'admin_staff';
+
+describe('token buckets', () => {
+  const limits = {
+    connection: { capacity: 1, refillPerSecond: 1 },
+    events: {
+      default: { capacity: 2, refillPerSecond: 1 },
+      send_message: { capacity: 3, refillPerSecond: 2, admin: { capacity: 5, refillPerSecond: 2 } },
+    },
+  };
+
+  test('allow a burst of `capacity`, then refill over time', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ store: createMemoryCluster({ now: clock.now }).store, limits, isAdminRole });
+    const consume = () => limiter.consumeEvent('user-1', 'promotor', 'send_message');
+
+    for (let i = 0; i < 3; i++) {
+      assert.deepEqual(await consume(), { allowed: true, retryAfterMs: 0 });
+    }
+    assert.deepEqual(await consume(), { allowed: false, retryAfterMs: 500 });
+
+    clock.advance(250);
+    assert.deepEqual(await consume(), { allowed: false, retryAfterMs: 250 });
+    clock.advance(250);
+    assert.equal((await consume()).allowed, true);
+
+    // A long pause refills up to capacity and no further
+    clock.advance(60 * 1000);
+    const burst = [];
+    for (let i = 0; i < 4; i++) burst.push((await consume()).allowed);
+    assert.deepEqual(burst, [true, true, true, false]);
+  });
+
+  test('admins get their own limit and events without one share the default bucket', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ store: createMemoryCluster({ now: clock.now }).store, limits, isAdminRole });
+
+    const admin = [];
+    for (let i = 0; i < 6; i++) admin.push((await limiter.consumeEvent('admin-1', 'admin_staff', 'send_message')).allowed);
+    assert.deepEqual(admin, [true, true, true, true, true, false]);
+
+    assert.equal((await limiter.consumeEvent('user-1', 'promotor', 'mark_read')).allowed, true);
+    assert.equal((await limiter.consumeEvent('user-1', 'promotor', 'get_presence')).allowed, true);
+    assert.equal((await limiter.consumeEvent('user-1', 'promotor', 'fetch_messages')).allowed, false);
+    // Other users have buckets of their own
+    assert.equal((await limiter.consumeEvent('user-2', 'promotor', 'mark_read')).allowed, true);
+  });
+
+  test('event names found on Object.prototype use the default bucket', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ store: createMemoryCluster({ now: clock.now }).store, limits, isAdminRole });
+
+    assert.deepEqual(await limiter.consumeEvent('user-1', 'promotor', 'constructor'), { allowed: true, retryAfterMs: 0 });
+    assert.deepEqual(await limiter.consumeEvent('user-1', 'promotor', 'toString'), { allowed: true, retryAfterMs: 0 });
+    assert.deepEqual(await limiter.consumeEvent('user-1', 'promotor', 'hasOwnProperty'), { allowed: false, retryAfterMs: 1000 });
+  });
+});
+
+describe('event rate limit', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let clock;
+  let cluster;
+  let server;
+  let lea;
+  let ada;
+
+  const send = (client, messageText) => client.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText });
+
+  before(async () => {
+    clock = createFakeClock(Date.now());
+    cluster = createMemoryCluster({ now: clock.now });
+    const supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-ada': { id: 'user-2', email: 'ada@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Ada', role: 'admin_staff' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+        ],
+      },
+    });
+    server = createChatServer({
+      supabase,
+      cluster,
+      clock,
+      rateLimits: {
+        ...DEFAULT_RATE_LIMITS,
+        events: {
+          ...DEFAULT_RATE_LIMITS.events,
+          send_message: { capacity: 2, refillPerSecond: 1, admin: { capacity: 4, refillPerSecond: 1 } },
+        },
+      },
+    });
+    const port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    ada = await connect(port, 'token-ada');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    [lea, ada].forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  test('answers rate_limited with a retry-after once the bucket is empty', async () => {
+    assert.equal((await send(lea, 'one')).success, true);
+    assert.equal((await send(lea, 'two')).success, true);
+
+    const limited = await send(lea, 'three');
+    assert.deepEqual(limited.error, { code: 'rate_limited', field: null, message: 'Too many requests, slow down', retryAfterMs: 1000 });
+
+    clock.advance(1000);
+    assert.equal((await send(lea, 'three')).success, true);
+  });
+
+  test('admins send under their own, higher limit', async () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) results.push(Boolean((await send(ada, `notice ${i}`)).success));
+    assert.deepEqual(results, [true, true, true, true, false]);
+  });
+});
+
+describe('connection rate limit', () => {
+  let cluster;
+  let server;
+  let port;
+  const clients = [];
+
+  // Resolves to the client, or to the connect_error
+  const connectFrom = (forwardedFor) => connect(port, 'token-lea', { extraHeaders: { 'x-forwarded-for': forwardedFor } })
+    .then((client) => {
+      clients.push(client);
+      return client;
+    }, error => error);
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    const supabase = createFakeSupabase({
+      users: { 'token-lea': { id: 'user-1', email: 'lea@example.com' } },
+      tables: { user_profiles: [{ user_id: 'user-1', display_name: 'Lea', role: 'promotor' }] },
+    });
+    server = createChatServer({
+      supabase,
+      cluster,
+      rateLimits: { ...DEFAULT_RATE_LIMITS, connection: { capacity: 2, refillPerSecond: 0.001 } },
+    });
+    port = await listen(server.httpServer);
+  });
+
+  after(async () => {
+    clients.forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  test('counts the address the proxy appended, not the ones the client sent', async () => {
+    assert.ok((await connectFrom('10.0.0.1, 1.2.3.4')).connected);
+    assert.ok((await connectFrom('10.0.0.2, 1.2.3.4')).connected);
+
+    const rejected = await connectFrom('10.0.0.3, 1.2.3.4');
+    assert.equal(rejected.data.code, 'rate_limited');
+    assert.ok(rejected.data.retryAfterMs > 0);
+
+    // Claiming another client's address as the first entry doesn't use up
+    // that client's bucket
+    assert.ok((await connectFrom('1.2.3.4, 5.6.7.8')).connected);
+  });
+});
@@ -0,0 +1,115 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('reactions', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let tom;
+  let mia;
+  let failReactionWrites = false;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-tom': { id: 'user-1', email: 'tom@example.com' },
+        'token-mia': { id: 'user-2', email: 'mia@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Mia', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID }, { id: 'conversation-2' }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+        ],
+        chat_messages: [
+          { id: 'message-1', conversation_id: CONVERSATION_ID, sender_id: 'user-2', message_text: 'Hi' },
+          { id: 'message-2', conversation_id: 'conversation-2', sender_id: 'user-2', message_text: 'Elsewhere' },
+        ],
+      },
+    });
+    const from = supabase.from;
+    supabase.from = (table) => {
+      const query = from(table);
+      if (table === 'chat_message_reactions' && failReactionWrites) {
+        const run = query.run.bind(query);
+        query.run = () => (query.action === 'select' ? run() : { data: null, error: { message: 'connection reset' } });
+      }
+      return query;
+    };
+    server = createChatServer({ supabase, cluster });
+    const port = await listen(server.httpServer);
+    tom = await connect(port, 'token-tom');
+    mia = await connect(port, 'token-mia');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  });
+
+  after(async () => {
+    tom.disconnect();
+    mia.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const react = (client, event, data) => client.timeout(2000).emitWithAck(event, { conversationId: CONVERSATION_ID, messageId: 'message-1', ...data });
+
+  test('persists reactions and tells only the actor about my_reactions', async () => {
+    const othersSee = new Promise(resolve => mia.once('reaction_updated', resolve));
+    const ack = await react(tom, 'react_to_message', { emoji: '👍' });
+    assert.equal(ack.success, true);
+    assert.deepEqual(ack.my_reactions, ['👍']);
+
+    const update = await othersSee;
+    assert.equal(update.my_reactions, undefined);
+    assert.deepEqual(update.reactionsSummary, [{ emoji: '👍', count: 1, reactorIds: ['user-1'] }]);
+    assert.equal(supabase.db.chat_message_reactions.length, 1);
+  });
+
+  test('supports several emojis per user, toggling and removal', async () => {
+    const second = await react(tom, 'react_to_message', { emoji: '🔥' });
+    assert.deepEqual(second.my_reactions.sort(), ['👍', '🔥'].sort());
+
+    const toggled = await react(tom, 'react_to_message', { emoji: '🔥', toggle: true });
+    assert.equal(toggled.added, false);
+    assert.deepEqual(toggled.my_reactions, ['👍']);
+
+    const removed = await react(tom, 'remove_reaction', { emoji: '👍' });
+    assert.deepEqual(removed.my_reactions, []);
+    assert.equal(removed.totalReactions, 0);
+  });
+
+  test('rejects emojis outside the allowed list', async () => {
+    const ack = await react(tom, 'react_to_message', { emoji: '🦄' });
+    assert.equal(ack.error.code, 'invalid_payload');
+    assert.equal(ack.error.field, 'emoji');
+  });
+
+  test('rejects messages from another conversation', async () => {
+    const ack = await react(tom, 'react_to_message', { messageId: 'message-2', emoji: '👍' });
+    assert.equal(ack.error.code, 'not_found');
+  });
+
+  test('answers with an error when the reaction cannot be saved', async () => {
+    let broadcast = false;
+    mia.once('reaction_updated', () => { broadcast = true; });
+
+    failReactionWrites = true;
+    try {
+      const added = await react(tom, 'react_to_message', { emoji: '🎉' });
+      assert.deepEqual(added.error, { code: 'internal_error', field: null, message: 'Failed to update reaction' });
+    } finally {
+      failReactionWrites = false;
+    }
+    assert.equal(broadcast, false);
+  });
+});
@@ -0,0 +1,119 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const MINUTE = 60 * 1000;
+
+describe('mute, kick and ban', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let clock;
+  let cluster;
+  let supabase;
+  let server;
+  let port;
+  let admin;
+  let tom;
+  let mia;
+
+  before(async () => {
+    clock = createFakeClock();
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-admin': { id: 'admin-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-1', email: 'tom@example.com' },
+        'token-mia': { id: 'user-2', email: 'mia@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' },
+          { user_id: 'user-1', display_name: 'Tom', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Mia', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: ['admin-1', 'user-1', 'user-2'].map(id => ({ conversation_id: CONVERSATION_ID, user_id: id })),
+        chat_messages: [{ id: 'm1', conversation_id: CONVERSATION_ID, sender_id: 'admin-1', message_type: 'text', message_text: 'Hi', deleted_for_all: false }],
+      },
+    });
+    server = createChatServer({ supabase, cluster, clock });
+    port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    tom = await connect(port, 'token-tom');
+    mia = await connect(port, 'token-mia');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 3);
+  });
+
+  after(async () => {
+    [admin, tom, mia].forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  const adminEmit = (event, data) => admin.timeout(2000).emitWithAck(event, data);
+  const send = (client, messageText) => client.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText });
+  const react = client => client.timeout(2000).emitWithAck('react_to_message', { conversationId: CONVERSATION_ID, messageId: 'm1', emoji: '👍' });
+
+  test('a timed mute blocks sending and reacting until it ends', async () => {
+    const announced = new Promise(resolve => mia.once('user_muted', resolve));
+    const muted = await adminEmit('mute_user', { conversationId: CONVERSATION_ID, userId: 'user-1', minutes: 10, reason: 'Spam' });
+    assert.equal(muted.success, true);
+    assert.equal((await announced).userId, 'user-1');
+
+    assert.equal((await send(tom, 'Buy now')).error.code, 'muted');
+    assert.equal((await react(tom)).error.code, 'muted');
+    assert.equal((await send(mia, 'Not me')).success, true);
+
+    clock.advance(11 * MINUTE);
+    assert.equal((await send(tom, 'Sorry')).success, true);
+  });
+
+  test('unmute lifts the mute early', async () => {
+    await adminEmit('mute_user', { conversationId: CONVERSATION_ID, userId: 'user-1', minutes: 60 });
+    const announced = new Promise(resolve => tom.once('user_unmuted', resolve));
+    assert.equal((await adminEmit('unmute_user', { conversationId: CONVERSATION_ID, userId: 'user-1' })).success, true);
+    await announced;
+    assert.equal((await react(tom)).success, true);
+  });
+
+  test('only admins sanction, and never other admins', async () => {
+    const byUser = await tom.timeout(2000).emitWithAck('mute_user', { conversationId: CONVERSATION_ID, userId: 'user-2', minutes: 5 });
+    assert.equal(byUser.error.code, 'forbidden');
+    assert.equal((await adminEmit('ban_user', { userId: 'admin-1' })).error.code, 'forbidden');
+  });
+
+  test('kick removes the user from the room and the participants', async () => {
+    const kicked = new Promise(resolve => mia.once('kicked', resolve));
+    const removed = new Promise(resolve => tom.once('participant_removed', resolve));
+
+    assert.equal((await adminEmit('kick_user', { conversationId: CONVERSATION_ID, userId: 'user-2', reason: 'Off-topic' })).success, true);
+    assert.equal((await kicked).reason, 'Off-topic');
+    assert.deepEqual(await removed, { conversationId: CONVERSATION_ID, userId: 'user-2', reason: 'kicked' });
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+    assert.ok(!supabase.db.chat_participants.some(p => p.user_id === 'user-2'));
+  });
+
+  test('ban disconnects every socket and blocks reconnecting', async () => {
+    const secondDevice = await connect(port, 'token-tom');
+    const banned = new Promise(resolve => tom.once('banned', resolve));
+    const announced = new Promise(resolve => admin.once('user_banned', resolve));
+    const disconnected = Promise.all([tom, secondDevice].map(client => new Promise(resolve => client.once('disconnect', resolve))));
+
+    assert.equal((await adminEmit('ban_user', { userId: 'user-1', minutes: 60, reason: 'Abuse' })).success, true);
+    assert.equal((await banned).reason, 'Abuse');
+    assert.equal((await announced).userId, 'user-1');
+    await disconnected;
+
+    await assert.rejects(connect(port, 'token-tom'), error => error.data.code === 'banned');
+
+    assert.equal((await adminEmit('unban_user', { userId: 'user-1' })).success, true);
+    tom = await connect(port, 'token-tom');
+
+    const log = await adminEmit('get_audit_log', { action: 'user_banned' });
+    assert.equal(log.entries[0].target_id, 'user-1');
+  });
+});
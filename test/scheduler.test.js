@@ -0,0 +1,189 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createScheduler } = require('../lib/scheduler');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { createFakeClock } = require('./helpers/fake-clock');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('createScheduler', () => {
+  test('runs a job when its time comes', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const runs = [];
+
+    scheduler.schedule('a', clock.now() + HOUR, () => runs.push('a'));
+    clock.advance(HOUR - 1);
+    await Promise.resolve();
+    assert.deepEqual(runs, []);
+
+    clock.advance(1);
+    await new Promise(setImmediate);
+    assert.deepEqual(runs, ['a']);
+    assert.equal(scheduler.size, 0);
+  });
+
+  test('cancelled and replaced jobs do not run', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const runs = [];
+
+    scheduler.schedule('a', clock.now() + HOUR, () => runs.push('a'));
+    scheduler.schedule('b', clock.now() + HOUR, () => runs.push('b'));
+    scheduler.schedule('b', clock.now() + 2 * HOUR, () => runs.push('b2'));
+    assert.equal(scheduler.cancel('a'), true);
+
+    clock.advance(3 * HOUR);
+    await new Promise(setImmediate);
+    assert.deepEqual(runs, ['b2']);
+  });
+
+  test('splits delays longer than setTimeout allows', async () => {
+    const clock = createFakeClock();
+    const scheduler = createScheduler({ clock });
+    const runs = [];
+
+    scheduler.schedule('far', clock.now() + 40 * 24 * HOUR, () => runs.push('far'));
+    clock.advance(25 * 24 * HOUR);
+    await new Promise(setImmediate);
+    assert.deepEqual(runs, []);
+    assert.equal(scheduler.has('far'), true);
+
+    clock.advance(15 * 24 * HOUR);
+    await new Promise(setImmediate);
+    assert.deepEqual(runs, ['far']);
+  });
+});
+
+describe('scheduled messages', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let clock;
+  let cluster;
+  let supabase;
+  let server;
+  let admin;
+
+  before(async () => {
+    clock = createFakeClock();
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: { 'token-admin': { id: 'admin-1', email: 'lea@example.com' } },
+      tables: {
+        user_profiles: [{ user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' }],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [{ conversation_id: CONVERSATION_ID, user_id: 'admin-1' }],
+      },
+    });
+    server = createChatServer({ supabase, cluster, clock });
+    const port = await listen(server.httpServer);
+    admin = await connect(port, 'token-admin');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 1);
+  });
+
+  after(async () => {
+    admin.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  test('sends through the send_message path when due', async () => {
+    const ack = await admin.timeout(2000).emitWithAck('schedule_message', {
+      conversationId: CONVERSATION_ID,
+      messageText: 'Shift starts at 7:00',
+      sendAt: new Date(clock.now() + HOUR).toISOString(),
+    });
+    assert.equal(ack.success, true);
+
+    const listed = await admin.timeout(2000).emitWithAck('list_scheduled', {});
+    assert.deepEqual(listed.scheduled.map(job => job.id), [ack.scheduled.id]);
+
+    const received = new Promise(resolve => admin.once('new_message', resolve));
+    clock.advance(HOUR);
+
+    const message = await received;
+    assert.equal(message.message_text, 'Shift starts at 7:00');
+    assert.equal(message.sender_name, 'Lea');
+    await waitFor(() => supabase.db.chat_scheduled_messages[0].status === 'sent');
+  });
+
+  test('cancelled messages are not sent', async () => {
+    const ack = await admin.timeout(2000).emitWithAck('schedule_message', {
+      conversationId: CONVERSATION_ID,
+      messageText: 'Never mind',
+      sendAt: new Date(clock.now() + HOUR).toISOString(),
+    });
+    const cancelled = await admin.timeout(2000).emitWithAck('cancel_scheduled', { scheduledId: ack.scheduled.id });
+    assert.equal(cancelled.success, true);
+
+    let sent = false;
+    admin.once('new_message', () => { sent = true; });
+    clock.advance(2 * HOUR);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(sent, false);
+  });
+
+  test('rejects send times in the past', async () => {
+    const ack = await admin.timeout(2000).emitWithAck('schedule_message', {
+      conversationId: CONVERSATION_ID,
+      messageText: 'Too late',
+      sendAt: new Date(clock.now() - 1000).toISOString(),
+    });
+    assert.equal(ack.error.code, 'invalid_payload');
+    assert.equal(ack.error.field, 'sendAt');
+  });
+});
+
+describe('scheduled messages left sending', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  const clock = createFakeClock();
+  let cluster;
+  let supabase;
+  let server;
+
+  const job = (id, claimedAt) => ({
+    id,
+    conversation_id: CONVERSATION_ID,
+    sender_id: 'admin-1',
+    payload: { messageText: `Job ${id}` },
+    send_at: new Date(clock.now() - HOUR).toISOString(),
+    status: 'sending',
+    claimed_at: new Date(claimedAt).toISOString(),
+  });
+  const statusOf = id => supabase.db.chat_scheduled_messages.find(j => j.id === id).status;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: { 'token-admin': { id: 'admin-1', email: 'lea@example.com' } },
+      tables: {
+        user_profiles: [{ user_id: 'admin-1', display_name: 'Lea', role: 'admin_staff' }],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [{ conversation_id: CONVERSATION_ID, user_id: 'admin-1' }],
+        // One claimed by an instance that died an hour ago, one being sent
+        // by a live instance right now
+        chat_scheduled_messages: [job('stale', clock.now() - HOUR), job('fresh', clock.now() - 1000)],
+      },
+    });
+    server = createChatServer({ supabase, cluster, clock });
+    await listen(server.httpServer);
+  });
+
+  after(async () => {
+    await server.close();
+    await cluster.close();
+  });
+
+  test('are retried on startup once their claim has expired', async () => {
+    await waitFor(() => statusOf('stale') === 'pending');
+    clock.advance(0);
+    await waitFor(() => statusOf('stale') === 'sent');
+
+    const sent = supabase.db.chat_messages.map(m => m.message_text);
+    assert.deepEqual(sent, ['Job stale']);
+    assert.equal(statusOf('fresh'), 'sending');
+  });
+});
@@ -0,0 +1,117 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { buildSnippet, searchTerms } = require('../lib/search');
+const { listen, connect } = require('./helpers/socket');
+
+describe('search_messages', () => {
+  let cluster;
+  let server;
+  let lea;
+
+  const message = (id, conversationId, senderId, text, extra = {}) => ({
+    id,
+    conversation_id: conversationId,
+    sender_id: senderId,
+    message_type: 'text',
+    message_text: text,
+    deleted_for_all: false,
+    created_at: `2026-03-${String(id).padStart(2, '0')}T09:00:00.000Z`,
+    ...extra,
+  });
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    const supabase = createFakeSupabase({
+      users: { 'token-lea': { id: 'user-1', email: 'lea@example.com' } },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'admin-1', display_name: 'Nina', role: 'admin_staff' },
+        ],
+        chat_conversations: [
+          { id: 'berlin', is_read_only: false },
+          { id: 'hamburg', is_read_only: false },
+          { id: 'munich', is_read_only: false },
+        ],
+        chat_participants: [
+          { conversation_id: 'berlin', user_id: 'user-1' },
+          { conversation_id: 'hamburg', user_id: 'user-1' },
+        ],
+        chat_messages: [
+          message(1, 'berlin', 'admin-1', 'Store instructions for the weekend: set up the tasting table by 9'),
+          message(2, 'hamburg', 'admin-1', 'New store instructions attached', { message_type: 'file', file_name: 'instructions.pdf' }),
+          message(3, 'hamburg', 'user-1', 'Did anyone read the instructions?'),
+          message(4, 'munich', 'admin-1', 'Munich store instructions'),
+          message(5, 'berlin', 'admin-1', 'Old store instructions, ignore', { deleted_for_all: true }),
+          message(6, 'berlin', 'user-1', 'Storefront photo'),
+        ],
+      },
+    });
+    server = createChatServer({ supabase, cluster });
+    const port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+  });
+
+  after(async () => {
+    lea.disconnect();
+    await server.close();
+    await cluster.close();
+  });
+
+  const search = data => lea.timeout(2000).emitWithAck('search_messages', data);
+  const ids = result => result.results.map(r => r.message.id);
+
+  test('only searches the caller\'s conversations and skips deleted messages', async () => {
+    const result = await search({ query: 'store instructions' });
+    assert.deepEqual(ids(result), [2, 1]);
+    assert.equal(result.hasMore, false);
+
+    const denied = await search({ query: 'store', conversationId: 'munich' });
+    assert.equal(denied.error.code, 'not_participant');
+  });
+
+  test('filters by sender, date range, type and attachment', async () => {
+    assert.deepEqual(ids(await search({ query: 'instructions', senderId: 'user-1' })), [3]);
+    assert.deepEqual(ids(await search({ query: 'instructions', from: '2026-03-02T00:00:00Z', to: '2026-03-03T00:00:00Z' })), [2]);
+    assert.deepEqual(ids(await search({ query: 'instructions', messageType: 'file' })), [2]);
+    assert.deepEqual(ids(await search({ query: 'instructions', hasAttachment: false })), [3, 1]);
+  });
+
+  test('pages with nextCursor', async () => {
+    const first = await search({ query: 'instructions', limit: 2 });
+    assert.deepEqual(ids(first), [3, 2]);
+    assert.equal(first.nextCursor, 2);
+
+    const second = await search({ query: 'instructions', limit: 2, before: first.nextCursor });
+    assert.deepEqual(ids(second), [1]);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test('returns highlighted snippets', async () => {
+    const { results } = await search({ query: 'tasting' });
+    const { text, highlights } = results[0].snippet;
+    assert.deepEqual(highlights.map(h => text.slice(h.offset, h.offset + h.length)), ['tasting']);
+  });
+});
+
+describe('search snippets', () => {
+  test('highlights whole words and phrases only', () => {
+    const terms = searchTerms('"store instructions" -weekend or Store');
+    assert.deepEqual(terms, ['store instructions', 'store']);
+
+    const { text, highlights } = buildSnippet('Storefront: store instructions and the STORE key', terms);
+    assert.deepEqual(highlights.map(h => text.slice(h.offset, h.offset + h.length)), ['store instructions', 'STORE']);
+  });
+
+  test('cuts long texts around the first match', () => {
+    const long = `${'filler '.repeat(60)}the key is under the mat ${'filler '.repeat(60)}`;
+    const { text, highlights } = buildSnippet(long, ['mat'], 80);
+    assert.ok(text.startsWith('…') && text.endsWith('…'));
+    assert.ok(text.length <= 82);
+    assert.equal(text.slice(highlights[0].offset, highlights[0].offset + 3), 'mat');
+  });
+});
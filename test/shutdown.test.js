@@ -0,0 +1,118 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+// Makes inserts into `table` wait for `delay()` before they run
+function withSlowInserts(supabase, table, delay) {
+  return {
+    auth: supabase.auth,
+    storage: supabase.storage,
+    channel: supabase.channel,
+    removeChannel: supabase.removeChannel,
+    from(name) {
+      const query = supabase.from(name);
+      if (name !== table) return query;
+      let inserting = false;
+      const proxy = new Proxy(query, {
+        get(target, prop) {
+          if (prop === 'then') {
+            return (resolve, reject) => (inserting ? delay() : Promise.resolve()).then(() => target.then(resolve, reject));
+          }
+          const value = target[prop];
+          if (typeof value !== 'function') return value;
+          return (...args) => {
+            if (prop === 'insert') inserting = true;
+            const result = value.apply(target, args);
+            return result === target ? proxy : result;
+          };
+        },
+      });
+      return proxy;
+    },
+  };
+}
+
+describe('graceful shutdown', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let port;
+  let lea;
+  let tom;
+
+  async function startServer(delay) {
+    cluster = createMemoryCluster();
+    supabase = createFakeSupabase({
+      users: {
+        'token-lea': { id: 'user-1', email: 'lea@example.com' },
+        'token-tom': { id: 'user-2', email: 'tom@example.com' },
+      },
+      tables: {
+        user_profiles: [
+          { user_id: 'user-1', display_name: 'Lea', role: 'promotor' },
+          { user_id: 'user-2', display_name: 'Tom', role: 'promotor' },
+        ],
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: [
+          { conversation_id: CONVERSATION_ID, user_id: 'user-1' },
+          { conversation_id: CONVERSATION_ID, user_id: 'user-2' },
+        ],
+      },
+    });
+    server = createChatServer({ supabase: withSlowInserts(supabase, 'chat_messages', delay), cluster });
+    port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    tom = await connect(port, 'token-tom');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 2);
+  }
+
+  beforeEach(() => {
+    server = null;
+  });
+
+  afterEach(async () => {
+    [lea, tom].forEach(client => client.disconnect());
+    await server.shutdown({ timeoutMs: 0 });
+    await cluster.close();
+  });
+
+  test('waits for in-flight handlers, warns clients and then closes', async () => {
+    await startServer(() => new Promise(resolve => setTimeout(resolve, 150)));
+
+    const notice = new Promise(resolve => lea.once('server_shutting_down', resolve));
+    const disconnected = new Promise(resolve => lea.once('disconnect', resolve));
+    const sending = tom.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, messageText: 'Last one' });
+    await waitFor(() => server.io.of('/').sockets.size === 2 && supabase.db.chat_messages === undefined);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const shutdown = server.shutdown({ timeoutMs: 2000, reconnectDelayMs: 500 });
+    const { reconnectAfterMs } = await notice;
+    assert.ok(reconnectAfterMs >= 500 && reconnectAfterMs < 1000);
+
+    const refused = await lea.timeout(2000).emitWithAck('fetch_conversations', {});
+    assert.equal(refused.error.code, 'server_shutting_down');
+
+    assert.equal((await sending).success, true);
+    assert.deepEqual(await shutdown, { drained: true, abandoned: 0 });
+    assert.equal(supabase.db.chat_messages.length, 1);
+    await disconnected;
+
+    await assert.rejects(fetch(`http://127.0.0.1:${port}/health`));
+  });
+
+  test('gives up on handlers that outlive the deadline', async () => {
+    await startServer(() => new Promise(() => {}));
+
+    tom.emit('send_message', { conversationId: CONVERSATION_ID, messageText: 'Stuck' }, () => {});
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const result = await server.shutdown({ timeoutMs: 100 });
+    assert.equal(result.drained, false);
+    assert.equal(result.abandoned, 1);
+  });
+});
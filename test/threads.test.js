@@ -0,0 +1,141 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createChatServer } = require('../server');
+const { createMemoryCluster } = require('../lib/cluster');
+const { createFakeSupabase } = require('./helpers/fake-supabase');
+const { listen, connect, waitFor, roomSize } = require('./helpers/socket');
+
+describe('threads', () => {
+  const CONVERSATION_ID = 'conversation-1';
+  let cluster;
+  let supabase;
+  let server;
+  let lea;
+  let tom;
+  let mia;
+
+  before(async () => {
+    cluster = createMemoryCluster();
+    const users = { lea: 'user-1', tom: 'user-2', mia: 'user-3' };
+    supabase = createFakeSupabase({
+      users: Object.fromEntries(Object.entries(users).map(([name, id]) => [`token-${name}`, { id, email: `${name}@example.com` }])),
+      tables: {
+        user_profiles: Object.entries(users).map(([name, id]) => ({ user_id: id, display_name: name, role: 'promotor' })),
+        chat_conversations: [{ id: CONVERSATION_ID, is_read_only: false }],
+        chat_participants: Object.values(users).map(id => ({ conversation_id: CONVERSATION_ID, user_id: id })),
+      },
+    });
+    server = createChatServer({ supabase, cluster });
+    const port = await listen(server.httpServer);
+    lea = await connect(port, 'token-lea');
+    tom = await connect(port, 'token-tom');
+    mia = await connect(port, 'token-mia');
+    await waitFor(() => roomSize(server, CONVERSATION_ID) === 3);
+  });
+
+  after(async () => {
+    [lea, tom, mia].forEach(client => client.disconnect());
+    await server.close();
+    await cluster.close();
+  });
+
+  const send = (client, data) => client.timeout(2000).emitWithAck('send_message', { conversationId: CONVERSATION_ID, ...data });
+
+  test('replies reach followers and the channel only sees thread_updated', async () => {
+    const { message: root } = await send(lea, { messageText: 'Who has the keys?' });
+
+    let miaGotReply = false;
+    const onMessage = (message) => { if (message.thread_root_id) miaGotReply = true; };
+    mia.on('new_message', onMessage);
+    const rootAuthorGetsReply = new Promise(resolve => lea.once('new_message', resolve));
+    const channelUpdate = new Promise(resolve => mia.once('thread_updated', resolve));
+
+    const { message: reply } = await send(tom, { messageText: 'I do', threadRootId: root.id });
+    assert.equal(reply.thread_root_id, root.id);
+
+    assert.equal((await rootAuthorGetsReply).id, reply.id);
+    const update = await channelUpdate;
+    assert.equal(update.threadRootId, root.id);
+    assert.equal(update.replyCount, 1);
+    assert.deepEqual(update.latestReplierIds, ['user-2']);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    mia.off('new_message', onMessage);
+    assert.equal(miaGotReply, false);
+  });
+
+  test('following a thread delivers its replies', async () => {
+    const { message: root } = await send(lea, { messageText: 'Inventory count tonight' });
+    const follow = await mia.timeout(2000).emitWithAck('follow_thread', { conversationId: CONVERSATION_ID, threadRootId: root.id });
+    assert.equal(follow.success, true);
+
+    const received = new Promise(resolve => mia.once('new_message', resolve));
+    const { message: reply } = await send(tom, { messageText: 'Count me in', threadRootId: root.id });
+    assert.equal((await received).id, reply.id);
+  });
+
+  test('fetch_thread pages replies and the main timeline leaves them out', async () => {
+    const { message: root } = await send(lea, { messageText: 'Shift swaps' });
+    for (const text of ['one', 'two', 'three']) {
+      await send(tom, { messageText: text, threadRootId: root.id });
+    }
+
+    const thread = await mia.timeout(2000).emitWithAck('fetch_thread', { conversationId: CONVERSATION_ID, threadRootId: root.id, limit: 2 });
+    assert.equal(thread.root.id, root.id);
+    assert.deepEqual(thread.messages.map(m => m.message_text), ['two', 'three']);
+    assert.equal(thread.hasMore, true);
+    assert.equal(thread.following, false);
+
+    const timeline = await mia.timeout(2000).emitWithAck('fetch_messages', { conversationId: CONVERSATION_ID, limit: 100 });
+    assert.ok(timeline.messages.every(m => !m.thread_root_id));
+  });
+
+  test('sync replays thread_updated but not the replies themselves', async () => {
+    const ask = (client, event, data) => client.timeout(2000).emitWithAck(event, data);
+    const start = await ask(mia, 'sync', { cursors: { [CONVERSATION_ID]: null } });
+    const { cursor } = start.conversations[0];
+
+    const { message: root } = await send(lea, { messageText: 'Parking spots' });
+    await send(tom, { messageText: 'Level 2', threadRootId: root.id });
+
+    const { conversations: [synced] } = await ask(mia, 'sync', { cursors: { [CONVERSATION_ID]: cursor } });
+    assert.deepEqual(synced.changes.map(c => c.event), ['new_message', 'thread_updated']);
+    assert.equal(synced.changes[0].payload.id, root.id);
+    assert.equal(synced.cursor, synced.changes[1].seq);
+  });
+
+  test('edits, reactions and deletes of a reply stay in its thread', async () => {
+    const ask = (client, event, data) => client.timeout(2000).emitWithAck(event, data);
+    const [{ cursor }] = (await ask(mia, 'sync', { cursors: { [CONVERSATION_ID]: null } })).conversations;
+    const { message: root } = await send(lea, { messageText: 'Uniform sizes' });
+    const { message: reply } = await send(tom, { messageText: 'M please', threadRootId: root.id });
+    const target = { conversationId: CONVERSATION_ID, messageId: reply.id };
+
+    const miaSaw = [];
+    const events = ['message_edited', 'reaction_updated', 'message_deleted'];
+    const listeners = events.map(event => [event, () => miaSaw.push(event)]);
+    listeners.forEach(([event, listener]) => mia.on(event, listener));
+
+    const edited = new Promise(resolve => lea.once('message_edited', resolve));
+    await ask(tom, 'edit_message', { ...target, newText: 'L please' });
+    assert.equal((await edited).threadRootId, root.id);
+    const reacted = new Promise(resolve => lea.once('reaction_updated', resolve));
+    await ask(tom, 'react_to_message', { ...target, emoji: '👍' });
+    assert.equal((await reacted).messageId, reply.id);
+    const deleted = new Promise(resolve => lea.once('message_deleted', resolve));
+    await ask(tom, 'delete_message', { ...target, deleteForEveryone: true });
+    assert.equal((await deleted).messageId, reply.id);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    listeners.forEach(([event, listener]) => mia.off(event, listener));
+    assert.deepEqual(miaSaw, []);
+
+    const { conversations: [synced] } = await ask(mia, 'sync', { cursors: { [CONVERSATION_ID]: cursor } });
+    assert.deepEqual(synced.changes.map(c => c.event), ['new_message', 'thread_updated', 'thread_updated']);
+
+    // The conversation list previews the root, not the reply
+    const { conversations } = await ask(mia, 'fetch_conversations', {});
+    assert.equal(conversations[0].last_message.id, root.id);
+  });
+});